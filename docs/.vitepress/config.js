@@ -47,7 +47,9 @@ export default defineConfig({
                     { text: 'Track', link: '/implementations/track' },
                     { text: 'Events', link: '/implementations/events' },
                     { text: 'Autoplay', link: '/implementations/autoplay' },
-                    { text: 'Persistence', link: '/implementations/persistence' }
+                    { text: 'Lyrics', link: '/implementations/lyrics' },
+                    { text: 'Persistence', link: '/implementations/persistence' },
+                    { text: 'Testing', link: '/implementations/testing' }
                 ]
             },
             {
@@ -55,6 +57,7 @@ export default defineConfig({
                 items: [
                     { text: 'Overview', link: '/plugins/overview' },
                     { text: 'LavaSrc', link: '/plugins/lavasrc' },
+                    { text: 'SponsorBlock', link: '/plugins/sponsorblock' },
                     { text: 'Custom Sources', link: '/plugins/custom-sources' }
                 ]
             },
@@ -17,10 +17,16 @@ const { Player } = require('./src/structures/Player');
 const { Node } = require('./src/structures/Node');
 const { Filters } = require('./src/structures/Filters');
 const { Connection } = require('./src/structures/Connection');
+const { RoutePlanner } = require('./src/structures/RoutePlanner');
+const { VoteSkip } = require('./src/structures/VoteSkip');
 
 // Managers
 const { NodeManager } = require('./src/managers/NodeManager');
 const { PlayerManager } = require('./src/managers/PlayerManager');
+const { LyricsManager } = require('./src/managers/LyricsManager');
+const { NodeSelectionStrategies } = require('./src/managers/NodeSelection');
+const { Rebalancer } = require('./src/managers/Rebalancer');
+const { LoadCache } = require('./src/managers/LoadCache');
 
 // Adapters
 const { VoiceAdapter } = require('./src/adapters/VoiceAdapter');
@@ -33,18 +39,27 @@ const { BaseSource } = require('./src/plugins/sources/BaseSource');
 // Persistence
 const { SessionStore } = require('./src/persistence/SessionStore');
 
+// Testing
+const { MockLavalinkServer } = require('./src/testing/MockLavalinkServer');
+const { FakeDiscordClient } = require('./src/testing/FakeDiscordClient');
+
 // Events
 const { FuelinkEmitter, EventPriority } = require('./src/events/EventEmitter');
 
 // Utils
 const {
     PlayerState,
+    PlayerTransitions,
     NodeState,
     LoopMode,
     TrackEndReason,
+    MigrateReason,
+    NodeSelectionStrategy,
     Events,
     OpCodes,
     LavalinkEvents,
+    SponsorBlockCategories,
+    FadeCurve,
     ErrorCodes,
     Defaults,
     BassBoostPresets,
@@ -53,6 +68,8 @@ const {
 } = require('./src/utils/Constants');
 const { Logger, LogLevel, Colors } = require('./src/utils/Logger');
 const { Util } = require('./src/utils/Util');
+const { FuelinkRestError } = require('./src/utils/Errors');
+const { TrackCodec } = require('./src/utils/TrackCodec');
 
 // Version
 const { version } = require('./package.json');
@@ -79,10 +96,16 @@ module.exports = {
     Node,
     Filters,
     Connection,
+    RoutePlanner,
+    VoteSkip,
 
     // Managers
     NodeManager,
     PlayerManager,
+    LyricsManager,
+    NodeSelectionStrategies,
+    Rebalancer,
+    LoadCache,
 
     // Adapters
     VoiceAdapter,
@@ -95,18 +118,27 @@ module.exports = {
     // Persistence
     SessionStore,
 
+    // Testing
+    MockLavalinkServer,
+    FakeDiscordClient,
+
     // Events
     FuelinkEmitter,
     EventPriority,
 
     // Constants
     PlayerState,
+    PlayerTransitions,
     NodeState,
     LoopMode,
     TrackEndReason,
+    MigrateReason,
+    NodeSelectionStrategy,
     Events,
     OpCodes,
     LavalinkEvents,
+    SponsorBlockCategories,
+    FadeCurve,
     ErrorCodes,
     Defaults,
     BassBoostPresets,
@@ -117,5 +149,7 @@ module.exports = {
     Logger,
     LogLevel,
     Colors,
-    Util
+    Util,
+    FuelinkRestError,
+    TrackCodec
 };
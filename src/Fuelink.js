@@ -8,6 +8,8 @@
 const { FuelinkEmitter } = require('./events/EventEmitter');
 const { NodeManager } = require('./managers/NodeManager');
 const { PlayerManager } = require('./managers/PlayerManager');
+const { LyricsManager } = require('./managers/LyricsManager');
+const { LoadCache } = require('./managers/LoadCache');
 const { PluginManager } = require('./plugins/PluginManager');
 const { VoiceAdapter } = require('./adapters/VoiceAdapter');
 const { DistubeAdapter } = require('./adapters/DistubeAdapter');
@@ -22,6 +24,11 @@ const { Events, ErrorCodes, Defaults } = require('./utils/Constants');
  * @property {string} [clientName='Fuelink'] - Client name for Lavalink
  * @property {boolean} [autoConnect=true] - Auto-connect to nodes on init
  * @property {boolean} [autoResume=false] - Auto-resume players on startup
+ * @property {Object} [failover] - Node failover configuration
+ * @property {string|Function} [nodeSelection='penalty'] - Node selection strategy
+ * @property {Object} [routePlanner] - Route planner monitoring configuration
+ * @property {Object} [rebalance] - Player rebalancing configuration
+ * @property {Object} [loadCache] - Load result cache configuration
  * @property {Object} [persistence] - Persistence configuration
  * @property {Object} [player] - Default player options
  * @property {Object} [plugins] - Plugin options
@@ -74,6 +81,18 @@ class Fuelink extends FuelinkEmitter {
          */
         this.players = new PlayerManager(this);
 
+        /**
+         * Lyrics manager
+         * @type {LyricsManager}
+         */
+        this.lyrics = new LyricsManager(this);
+
+        /**
+         * Load result cache
+         * @type {LoadCache}
+         */
+        this.loadCache = new LoadCache(this, options.loadCache);
+
         /**
          * Plugin manager
          * @type {PluginManager}
@@ -165,18 +184,39 @@ class Fuelink extends FuelinkEmitter {
             this.plugins.enableLavaSrc(this.options.plugins.lavaSrc);
         }
 
+        // Reuse Lavalink sessions from before a restart
+        if (this.persistence) {
+            const sessions = await this.persistence.restoreNodeSessions();
+            if (sessions > 0) {
+                this.logger.debug(`Restored ${sessions} node sessions`);
+            }
+        }
+
         // Connect to nodes
         if (this.options.autoConnect !== false) {
             await this.nodes.connectAll();
         }
 
+        // Watch route planners for failing addresses if configured
+        if (this.nodes.routePlanner.checkInterval) {
+            this.nodes.startRoutePlannerMonitor();
+        }
+
+        // Rebalance players on a schedule if configured
+        if (this.nodes.rebalancer.options.enabled) {
+            this.nodes.rebalancer.start();
+        }
+
         // Restore players if configured
         if (this.options.autoResume && this.persistence) {
             try {
+                // Players still alive on a resumed session are adopted as-is first
+                await this.nodes.waitForReady();
+
                 const savedPlayers = await this.persistence.restoreAll();
                 if (savedPlayers.length > 0) {
-                    await this.players.fromJSON(savedPlayers);
-                    this.logger.info(`Restored ${savedPlayers.length} players`);
+                    const restored = await this.players.fromJSON(savedPlayers);
+                    this.logger.info(`Restored ${restored.length} players`);
                 }
             } catch (error) {
                 this.logger.error(`Failed to restore players: ${error.message}`);
@@ -274,10 +314,17 @@ class Fuelink extends FuelinkEmitter {
 
     /**
      * Decode a track
+     * Decoded locally; falls back to a node for formats the codec does not understand
      * @param {string} encoded - Encoded track
      * @returns {Promise<Track>}
      */
     async decodeTrack(encoded) {
+        try {
+            return Track.fromEncoded(encoded);
+        } catch (error) {
+            this.logger.debug(`Decoding track on a node: ${error.message}`);
+        }
+
         const node = this.nodes.getBest();
         if (!node) {
             throw new Error('No available nodes');
@@ -294,6 +341,7 @@ class Fuelink extends FuelinkEmitter {
         return {
             nodes: this.nodes.getClusterStats(),
             players: this.players.getStats(),
+            loadCache: this.loadCache.getStats(),
             uptime: this.initialized ? Date.now() - this.initTime : 0
         };
     }
@@ -302,9 +350,12 @@ class Fuelink extends FuelinkEmitter {
 
     /**
      * Destroy the client
+     * @param {Object} [options] - Shutdown options
+     * @param {boolean} [options.keepPlayers=false] - Leave players playing on Lavalink and in
+     *   voice, so a restart with persistence can resume their sessions
      * @returns {Promise<void>}
      */
-    async destroy() {
+    async destroy(options = {}) {
         this.logger.info('Shutting down...');
 
         // Save player states if persistence enabled
@@ -314,7 +365,7 @@ class Fuelink extends FuelinkEmitter {
         }
 
         // Destroy all players
-        await this.players.destroyAll();
+        await this.players.destroyAll({ keepRemote: options.keepPlayers ?? false });
 
         // Disconnect all nodes
         this.nodes.disconnectAll();
@@ -6,6 +6,21 @@
  */
 
 const { Track } = require('../structures/Track');
+const { ErrorCodes } = require('../utils/Constants');
+const { Util } = require('../utils/Util');
+
+/**
+ * Lavalink search prefixes by source name
+ * @readonly
+ */
+const SearchPrefixes = {
+    youtube: 'ytsearch:',
+    youtubemusic: 'ytmsearch:',
+    soundcloud: 'scsearch:',
+    spotify: 'spsearch:',
+    applemusic: 'amsearch:',
+    deezer: 'dzsearch:'
+};
 
 /**
  * @typedef {Object} SearchOptions
@@ -52,6 +67,12 @@ class DistubeAdapter {
          * @type {boolean}
          */
         this.preferLavalink = true;
+
+        /**
+         * Source used to find playable mirrors for tracks without encoded data
+         * @type {string}
+         */
+        this.mirrorSource = manager.options?.plugins?.mirrorSource ?? 'youtube';
     }
 
     /**
@@ -90,37 +111,42 @@ class DistubeAdapter {
      * @param {string} query - Search query
      * @param {SearchOptions} [options] - Search options
      * @returns {Promise<Track[]>}
+     * @throws {Error} CAPABILITY_UNAVAILABLE if no available node supports the source
      */
     async search(query, options = {}) {
         const { source = 'youtube', limit = 10, requester = null } = options;
-
-        // Get a node
-        const node = this.manager.nodes.getBest();
-        if (!node) {
-            throw new Error('No available nodes');
+        const context = { query, source, requester };
+
+        // Registered source plugins take precedence
+        const sourceResult = await this.manager.plugins.loadFromSource(query, options);
+        if (sourceResult) {
+            const tracks = this._fromSourceResult(sourceResult, requester);
+            return this.manager.plugins.runTrackLoadMiddlewareAll(
+                (Array.isArray(tracks) ? tracks : tracks.tracks).slice(0, limit),
+                context
+            );
         }
 
         // Build search identifier
         let identifier;
+        let requires;
         if (this._isUrl(query)) {
             identifier = query;
+            requires = { source: this._urlSource(query) };
         } else {
             // Use source prefixes based on source
-            const prefixes = {
-                youtube: 'ytsearch:',
-                youtubemusic: 'ytmsearch:',
-                soundcloud: 'scsearch:',
-                spotify: 'spsearch:',
-                applemusic: 'amsearch:',
-                deezer: 'dzsearch:'
-            };
-            identifier = `${prefixes[source] || 'ytsearch:'}${query}`;
+            identifier = `${SearchPrefixes[source] || SearchPrefixes.youtube}${query}`;
+            requires = { source: SearchPrefixes[source] ? source : 'youtube' };
         }
 
-        // Load tracks from Lavalink
-        const result = await node.loadTracks(identifier);
+        // Get a node that can search the source
+        const node = this.manager.nodes.selectOrThrow({ requires });
+
+        // Load tracks from Lavalink (or the load cache)
+        const result = await this.manager.loadCache.load(node, identifier);
+        const tracks = this._processLoadResult(result, requester, limit);
 
-        return this._processLoadResult(result, requester, limit);
+        return this.manager.plugins.runTrackLoadMiddlewareAll(tracks, context);
     }
 
     /**
@@ -130,30 +156,47 @@ class DistubeAdapter {
      * @returns {Promise<Track[]|Object>}
      */
     async resolve(url, requester = null) {
-        // Get a node
-        const node = this.manager.nodes.getBest();
-        if (!node) {
-            throw new Error('No available nodes');
+        const context = { query: url, requester };
+        const plugins = this.manager.plugins;
+
+        // Registered source plugins take precedence
+        const sourceResult = await plugins.loadFromSource(url, { requester });
+        if (sourceResult) {
+            const resolved = this._fromSourceResult(sourceResult, requester);
+            if (Array.isArray(resolved)) {
+                return plugins.runTrackLoadMiddlewareAll(resolved, context);
+            }
+            resolved.tracks = await plugins.runTrackLoadMiddlewareAll(resolved.tracks, context);
+            return resolved;
         }
 
-        // Load from Lavalink
-        const result = await node.loadTracks(url);
+        // Get a node that can load the URL's source
+        const node = this.manager.nodes.selectOrThrow({ requires: { source: this._urlSource(url) } });
+
+        // Load from Lavalink (or the load cache)
+        const result = await this.manager.loadCache.load(node, url);
 
         // Handle different load types
         switch (result.loadType) {
             case 'track':
-                return [Track.from(result.data, requester)];
+                return plugins.runTrackLoadMiddlewareAll([Track.from(result.data, requester)], context);
 
             case 'playlist':
                 return {
                     name: result.data.info.name,
-                    tracks: result.data.tracks.map(t => Track.from(t, requester)),
+                    tracks: await plugins.runTrackLoadMiddlewareAll(
+                        result.data.tracks.map(t => Track.from(t, requester)),
+                        context
+                    ),
                     url: url,
                     selectedTrack: result.data.info.selectedTrack ?? 0
                 };
 
             case 'search':
-                return result.data.map(t => Track.from(t, requester));
+                return plugins.runTrackLoadMiddlewareAll(
+                    result.data.map(t => Track.from(t, requester)),
+                    context
+                );
 
             case 'empty':
             case 'error':
@@ -162,6 +205,99 @@ class DistubeAdapter {
         }
     }
 
+    /**
+     * Resolve a track without encoded data (e.g. partial metadata from a source
+     * plugin) to a playable Lavalink track, via ISRC then "artist - title" search
+     * @param {Track} track - Track to resolve (updated in place)
+     * @returns {Promise<Track>}
+     */
+    async resolveTrack(track) {
+        if (track.encoded) return track;
+
+        const node = this.manager.nodes.selectOrThrow({
+            requires: { source: SearchPrefixes[this.mirrorSource] ? this.mirrorSource : 'youtube' }
+        });
+
+        const prefix = SearchPrefixes[this.mirrorSource] || SearchPrefixes.youtube;
+        const identifiers = [];
+        if (track.isrc) {
+            identifiers.push(`${prefix}"${track.isrc}"`);
+        }
+        identifiers.push(`${prefix}${track.author} - ${track.title}`);
+
+        for (const identifier of identifiers) {
+            let candidates;
+            try {
+                candidates = this._processLoadResult(
+                    await this.manager.loadCache.load(node, identifier),
+                    null,
+                    10
+                );
+            } catch (error) {
+                this.manager.logger?.debug(`Mirror search "${identifier}" failed: ${error.message}`);
+                continue;
+            }
+
+            const mirror = this._pickMirror(track, candidates);
+            if (mirror) {
+                track.encoded = mirror.encoded;
+                track.isSeekable = mirror.isSeekable;
+                track.isStream = mirror.isStream;
+                if (!track.duration) track.duration = mirror.duration;
+                track.setMetadata('mirror', { uri: mirror.uri, sourceName: mirror.sourceName });
+                return track;
+            }
+        }
+
+        const error = new Error(`No playable mirror found for ${track.displayName}`);
+        error.code = ErrorCodes.TRACK_ERROR;
+        throw error;
+    }
+
+    /**
+     * Pick the mirror candidate closest in duration to the original track
+     * @private
+     * @param {Track} track - Original track
+     * @param {Track[]} candidates - Search results
+     * @returns {Track|null}
+     */
+    _pickMirror(track, candidates) {
+        if (candidates.length === 0) return null;
+        if (!track.duration) return candidates[0];
+
+        return candidates.reduce((best, candidate) =>
+            Math.abs(candidate.duration - track.duration) < Math.abs(best.duration - track.duration)
+                ? candidate
+                : best
+        );
+    }
+
+    /**
+     * Convert a source plugin result to tracks or a playlist
+     * @private
+     * @param {Object[]|Object} result - Plugin result (track data array or playlist)
+     * @param {Object} requester - Requester
+     * @returns {Track[]|Object}
+     */
+    _fromSourceResult(result, requester) {
+        const toTrack = (data) => {
+            const track = data instanceof Track ? data : Track.from(data, requester);
+            if (!track.requester && requester) track.setRequester(requester);
+            return track;
+        };
+
+        if (Array.isArray(result)) {
+            return result.map(toTrack);
+        }
+
+        return {
+            name: result.name ?? 'Unknown Playlist',
+            tracks: result.tracks.map(toTrack),
+            url: result.url ?? null,
+            selectedTrack: result.selectedTrack ?? 0
+        };
+    }
+
     /**
      * Process Lavalink load result
      * @private
@@ -240,6 +376,16 @@ class DistubeAdapter {
         };
     }
 
+    /**
+     * Get the source manager a URL needs (e.g. 'spotify', or 'http' for other sites)
+     * @private
+     * @param {string} url - URL
+     * @returns {string|null} Null if it is not a URL
+     */
+    _urlSource(url) {
+        return Util.extractSource(url)?.toLowerCase() ?? null;
+    }
+
     /**
      * Check if string is a URL
      * @private
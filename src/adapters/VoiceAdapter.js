@@ -5,6 +5,14 @@
  * @module fuelink/adapters/VoiceAdapter
  */
 
+/**
+ * @typedef {Object} VoiceMember
+ * @property {string} userId - User ID
+ * @property {string} channelId - Voice channel ID
+ * @property {boolean} bot - Whether the user is a bot
+ * @property {boolean} deaf - Whether the user is deafened (by themselves or the server)
+ */
+
 /**
  * Voice adapter for Discord voice state handling
  * Bridges between Discord.js/Eris and Fuelink
@@ -40,6 +48,13 @@ class VoiceAdapter {
          * @private
          */
         this._pendingServers = new Map();
+
+        /**
+         * Users in voice channels per guild (guildId -> userId -> member)
+         * @type {Map<string, Map<string, Object>>}
+         * @private
+         */
+        this._voiceMembers = new Map();
     }
 
     /**
@@ -120,15 +135,45 @@ class VoiceAdapter {
             case 'VOICE_SERVER_UPDATE':
                 this._handleVoiceServerUpdate(packet.d);
                 break;
+            case 'GUILD_CREATE':
+                this._handleGuildCreate(packet.d);
+                break;
+            case 'GUILD_DELETE':
+                this._voiceMembers.delete(packet.d.id);
+                break;
         }
     }
 
+    /**
+     * Handle GUILD_CREATE (seeds voice channel members)
+     * @private
+     * @param {Object} data
+     */
+    _handleGuildCreate(data) {
+        const bots = new Set((data.members ?? []).filter(m => m.user?.bot).map(m => m.user.id));
+        const members = new Map();
+
+        for (const state of data.voice_states ?? []) {
+            if (!state.channel_id) continue;
+
+            members.set(state.user_id, {
+                channelId: state.channel_id,
+                bot: bots.has(state.user_id) || this._isBot(state.user_id),
+                deaf: Boolean(state.deaf || state.self_deaf)
+            });
+        }
+
+        this._voiceMembers.set(data.id, members);
+    }
+
     /**
      * Handle VOICE_STATE_UPDATE
      * @private
      * @param {Object} data
      */
     _handleVoiceStateUpdate(data) {
+        this._trackVoiceMember(data);
+
         // Only handle our own voice state
         if (data.user_id !== this.manager.userId) return;
 
@@ -154,6 +199,95 @@ class VoiceAdapter {
         this._checkPendingConnection(guildId);
     }
 
+    /**
+     * Track a user joining, leaving or (un)deafening in voice
+     * @private
+     * @param {Object} data - VOICE_STATE_UPDATE data
+     */
+    _trackVoiceMember(data) {
+        const guildId = data.guild_id;
+        if (!guildId) return;
+
+        let members = this._voiceMembers.get(guildId);
+        if (!members) {
+            // First update for this guild: start from what the library knows
+            members = this._readVoiceStates(guildId) ?? new Map();
+            this._voiceMembers.set(guildId, members);
+        }
+
+        const previous = members.get(data.user_id)?.channelId ?? null;
+
+        if (data.channel_id) {
+            members.set(data.user_id, {
+                channelId: data.channel_id,
+                bot: data.member?.user?.bot ?? this._isBot(data.user_id),
+                deaf: Boolean(data.deaf || data.self_deaf)
+            });
+        } else {
+            members.delete(data.user_id);
+        }
+
+        const player = this.manager.players.get(guildId);
+        if (player && (previous === player.voiceChannel || data.channel_id === player.voiceChannel)) {
+            player.votes._handleListenersChange();
+        }
+    }
+
+    /**
+     * Check if a user is a bot from the client's user cache
+     * @private
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    _isBot(userId) {
+        if (userId === this.manager.userId) return true;
+
+        // discord.js caches users in users.cache, Eris in users
+        const users = this.client?.users;
+        const user = users?.cache?.get(userId) ?? users?.get?.(userId);
+        return Boolean(user?.bot);
+    }
+
+    /**
+     * Read a guild's voice states from the library's cache
+     * @private
+     * @param {string} guildId - Guild ID
+     * @returns {Map<string, Object>|null} Members by user ID, or null if not cached
+     */
+    _readVoiceStates(guildId) {
+        if (!this.client) return null;
+
+        // Discord.js
+        if (this._isDiscordJS(this.client)) {
+            const states = this.client.guilds.cache.get(guildId)?.voiceStates?.cache;
+            if (!states) return null;
+
+            return new Map(Array.from(states.values())
+                .filter(state => state.channelId)
+                .map(state => [state.id, {
+                    channelId: state.channelId,
+                    bot: state.member?.user?.bot ?? this._isBot(state.id),
+                    deaf: Boolean(state.deaf)
+                }]));
+        }
+
+        // Eris
+        if (this._isEris(this.client)) {
+            const guild = this.client.guilds.get(guildId);
+            if (!guild?.voiceStates) return null;
+
+            return new Map(Array.from(guild.voiceStates.values())
+                .filter(state => state.channelID)
+                .map(state => [state.id, {
+                    channelId: state.channelID,
+                    bot: guild.members?.get(state.id)?.bot ?? this._isBot(state.id),
+                    deaf: Boolean(state.deaf || state.selfDeaf)
+                }]));
+        }
+
+        return null;
+    }
+
     /**
      * Handle VOICE_SERVER_UPDATE
      * @private
@@ -311,6 +445,33 @@ class VoiceAdapter {
 
         return null;
     }
+
+    /**
+     * Get the users in a voice channel
+     * @param {string} guildId - Guild ID
+     * @param {string} channelId - Voice channel ID
+     * @returns {VoiceMember[]|null} Members, or null if the guild's voice states are unknown
+     */
+    getVoiceMembers(guildId, channelId) {
+        const members = this._voiceMembers.get(guildId) ?? this._readVoiceStates(guildId);
+        if (!members) return null;
+
+        return Array.from(members, ([userId, member]) => ({ userId, ...member }))
+            .filter(member => member.channelId === channelId);
+    }
+
+    /**
+     * Get the listeners in a voice channel: users that are neither bots nor deafened
+     * @param {string} guildId - Guild ID
+     * @param {string} channelId - Voice channel ID
+     * @returns {string[]|null} User IDs, or null if the guild's voice states are unknown
+     */
+    getListeners(guildId, channelId) {
+        const members = this.getVoiceMembers(guildId, channelId);
+        if (!members) return null;
+
+        return members.filter(member => !member.bot && !member.deaf).map(member => member.userId);
+    }
 }
 
 module.exports = { VoiceAdapter };
@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * @file Load result cache for Fuelink
+ * @module fuelink/managers/LoadCache
+ */
+
+const { Defaults } = require('../utils/Constants');
+
+/**
+ * @typedef {Object} LoadCacheOptions
+ * @property {boolean} [enabled=false] - Cache load results (identical concurrent lookups are
+ *   always coalesced)
+ * @property {number} [maxSize=500] - Max cached identifiers; least recently used are evicted
+ * @property {number} [ttl=300000] - Default time to live in ms
+ * @property {Object<string, number>} [loadTypes] - TTL per loadType, e.g. `{ error: 10000 }`
+ * @property {Object<string, number>} [sources] - TTL per track sourceName, e.g. `{ http: 0 }`
+ *   (0 = never cache). Does not apply to `error` and `empty` results
+ * @property {boolean} [shared=false] - Also cache in the persistence store, shared by every
+ *   client using it
+ */
+
+/**
+ * @typedef {Object} LoadCacheStats
+ * @property {number} size - Cached identifiers
+ * @property {number} hits - Lookups answered from memory
+ * @property {number} sharedHits - Lookups answered from the persistence store
+ * @property {number} misses - Lookups sent to Lavalink
+ * @property {number} coalesced - Lookups that joined an identical in-flight request
+ * @property {number} evictions - Entries evicted to stay within maxSize
+ * @property {number} hitRate - Share of lookups not sent to Lavalink (0-1)
+ */
+
+/**
+ * Caches Lavalink load results by identifier (LRU + TTL) and coalesces identical
+ * concurrent lookups into a single REST call
+ * Every caller gets its own copy of a result, so changing it cannot corrupt the cache
+ */
+class LoadCache {
+    /**
+     * Create a new LoadCache
+     * @param {Object} manager - Fuelink manager
+     * @param {LoadCacheOptions} [options] - Cache options
+     */
+    constructor(manager, options = {}) {
+        /**
+         * Fuelink manager
+         * @type {Object}
+         */
+        this.manager = manager;
+
+        /**
+         * Cache settings
+         * @type {LoadCacheOptions}
+         */
+        this.options = {
+            ...Defaults.LOAD_CACHE,
+            ...options,
+            loadTypes: { ...Defaults.LOAD_CACHE.loadTypes, ...options.loadTypes },
+            sources: { ...Defaults.LOAD_CACHE.sources, ...options.sources }
+        };
+
+        /**
+         * Cached results by identifier, least recently used first
+         * @type {Map<string, { result: Object, expires: number }>}
+         * @private
+         */
+        this._entries = new Map();
+
+        /**
+         * In-flight lookups by identifier
+         * @type {Map<string, Promise<Object>>}
+         * @private
+         */
+        this._pending = new Map();
+
+        /**
+         * Lookup counters
+         * @type {{ hits: number, sharedHits: number, misses: number, coalesced: number, evictions: number }}
+         * @private
+         */
+        this._stats = { hits: 0, sharedHits: 0, misses: 0, coalesced: 0, evictions: 0 };
+    }
+
+    /**
+     * Number of cached identifiers
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Load tracks through the cache
+     * @param {Object} node - Node to load from on a miss
+     * @param {string} identifier - Search query or URL
+     * @returns {Promise<Object>} Lavalink load result
+     */
+    async load(node, identifier) {
+        const cached = this._get(identifier);
+        if (cached) {
+            this._stats.hits++;
+            return structuredClone(cached);
+        }
+
+        let request = this._pending.get(identifier);
+        if (request) {
+            this._stats.coalesced++;
+        } else {
+            request = this._fetch(node, identifier).finally(() => {
+                this._pending.delete(identifier);
+            });
+            this._pending.set(identifier, request);
+        }
+
+        return structuredClone(await request);
+    }
+
+    /**
+     * Get a cached load result from memory
+     * @param {string} identifier - Search query or URL
+     * @returns {Object|null} A copy of the result
+     */
+    get(identifier) {
+        const result = this._get(identifier);
+        return result ? structuredClone(result) : null;
+    }
+
+    /**
+     * Cache a load result
+     * @param {string} identifier - Search query or URL
+     * @param {Object} result - Lavalink load result
+     * @returns {number} TTL the result was cached with (0 = not cached)
+     */
+    set(identifier, result) {
+        const ttl = this.options.enabled ? this.getTTL(result) : 0;
+        if (ttl <= 0) return 0;
+
+        this._entries.delete(identifier);
+        this._entries.set(identifier, { result: structuredClone(result), expires: Date.now() + ttl });
+
+        while (this._entries.size > this.options.maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+            this._stats.evictions++;
+        }
+        return ttl;
+    }
+
+    /**
+     * Remove an identifier from the cache (and the shared store)
+     * @param {string} identifier - Search query or URL
+     * @returns {Promise<boolean>} Whether it was cached in memory
+     */
+    async delete(identifier) {
+        const existed = this._entries.delete(identifier);
+        if (this._sharedStore) {
+            await this._sharedStore.delete(this._sharedKey(identifier));
+        }
+        return existed;
+    }
+
+    /**
+     * Clear the in-memory cache
+     */
+    clear() {
+        this._entries.clear();
+    }
+
+    /**
+     * Get the TTL a load result would be cached with
+     * @param {Object} result - Lavalink load result
+     * @returns {number} TTL in ms (0 = not cached)
+     */
+    getTTL(result) {
+        const { ttl, loadTypes, sources } = this.options;
+        const loadType = result?.loadType;
+
+        if (loadType === 'error' || loadType === 'empty') {
+            return loadTypes[loadType] ?? ttl;
+        }
+
+        const source = LoadCache.getSource(result);
+        return sources[source] ?? loadTypes[loadType] ?? ttl;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {LoadCacheStats}
+     */
+    getStats() {
+        const { hits, sharedHits, misses, coalesced } = this._stats;
+        const total = hits + sharedHits + misses + coalesced;
+
+        return {
+            size: this.size,
+            ...this._stats,
+            hitRate: total > 0 ? (total - misses) / total : 0
+        };
+    }
+
+    /**
+     * Reset statistics counters
+     */
+    resetStats() {
+        for (const key of Object.keys(this._stats)) {
+            this._stats[key] = 0;
+        }
+    }
+
+    /**
+     * Get the source name of a load result's tracks
+     * @param {Object} result - Lavalink load result
+     * @returns {string|null}
+     */
+    static getSource(result) {
+        switch (result?.loadType) {
+            case 'track':
+                return result.data?.info?.sourceName ?? null;
+            case 'playlist':
+                return result.data?.tracks?.[0]?.info?.sourceName ?? null;
+            case 'search':
+                return result.data?.[0]?.info?.sourceName ?? null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get a cached load result, marking it as recently used
+     * @private
+     * @param {string} identifier - Search query or URL
+     * @returns {Object|null} The cached result itself
+     */
+    _get(identifier) {
+        const entry = this._entries.get(identifier);
+        if (!entry) return null;
+
+        if (entry.expires <= Date.now()) {
+            this._entries.delete(identifier);
+            return null;
+        }
+
+        // Move to the most recently used end
+        this._entries.delete(identifier);
+        this._entries.set(identifier, entry);
+        return entry.result;
+    }
+
+    /**
+     * Persistence store used as the shared cache, if enabled
+     * @type {Object|null}
+     * @private
+     */
+    get _sharedStore() {
+        return this.options.enabled && this.options.shared ? this.manager.persistence : null;
+    }
+
+    /**
+     * Shared store key for an identifier
+     * @private
+     * @param {string} identifier - Search query or URL
+     * @returns {string}
+     */
+    _sharedKey(identifier) {
+        return `load:${identifier}`;
+    }
+
+    /**
+     * Look up the shared store, then Lavalink
+     * @private
+     * @param {Object} node - Node to load from
+     * @param {string} identifier - Search query or URL
+     * @returns {Promise<Object>}
+     */
+    async _fetch(node, identifier) {
+        const store = this._sharedStore;
+
+        if (store) {
+            try {
+                const shared = await store.get(this._sharedKey(identifier));
+                if (shared) {
+                    this._stats.sharedHits++;
+                    this.set(identifier, shared);
+                    return shared;
+                }
+            } catch (error) {
+                this.manager.logger?.warn(`Shared load cache lookup failed: ${error.message}`);
+            }
+        }
+
+        this._stats.misses++;
+        const result = await node.loadTracks(identifier);
+
+        const ttl = this.set(identifier, result);
+        if (store && ttl > 0) {
+            store.set(this._sharedKey(identifier), result, ttl).catch(error => {
+                this.manager.logger?.warn(`Shared load cache write failed: ${error.message}`);
+            });
+        }
+
+        return result;
+    }
+}
+
+module.exports = { LoadCache };
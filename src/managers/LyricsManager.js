@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * @file Lyrics manager for Fuelink
+ * @module fuelink/managers/LyricsManager
+ */
+
+const { ErrorCodes } = require('../utils/Constants');
+
+/**
+ * Lavalink plugins that serve the lyrics endpoints
+ * @readonly
+ */
+const LyricsPlugins = ['lavalyrics-plugin'];
+
+/**
+ * @typedef {Object} LyricsLine
+ * @property {number} time - Line start in ms
+ * @property {number|null} duration - Line duration in ms
+ * @property {string} text - Line text
+ */
+
+/**
+ * @typedef {Object} Lyrics
+ * @property {string|null} source - Source of the track the lyrics belong to
+ * @property {string|null} provider - Lyrics provider
+ * @property {string} text - Full lyrics text
+ * @property {LyricsLine[]} lines - Timed lines, in order
+ * @property {boolean} synced - Whether the lyrics have timed lines
+ */
+
+/**
+ * @typedef {Object} LyricsOptions
+ * @property {boolean} [skipTrackSource=false] - Skip lyrics from the track's own source
+ * @property {Object} [node] - Node to query (must have a lyrics plugin)
+ */
+
+/**
+ * Fetches and normalizes lyrics from Lavalink lyrics plugins
+ */
+class LyricsManager {
+    /**
+     * Create a new LyricsManager
+     * @param {Object} manager - Fuelink manager
+     */
+    constructor(manager) {
+        /**
+         * Fuelink manager
+         * @type {Object}
+         */
+        this.manager = manager;
+    }
+
+    /**
+     * Check if a node can serve lyrics
+     * @param {Object} node - Node
+     * @returns {Promise<boolean>}
+     */
+    async supports(node) {
+        if (!node?.connected) return false;
+
+        try {
+            for (const name of LyricsPlugins) {
+                if (await node.hasPlugin(name)) return true;
+            }
+        } catch (error) {
+            this.manager.logger?.debug(`Failed to fetch info: ${error.message}`, node.name);
+        }
+        return false;
+    }
+
+    /**
+     * Get a connected node with a lyrics plugin
+     * @returns {Promise<Object|null>}
+     */
+    async getNode() {
+        for (const node of this.manager.nodes.getConnected()) {
+            if (await this.supports(node)) return node;
+        }
+        return null;
+    }
+
+    /**
+     * Get lyrics for a track
+     * @param {Object} track - Track (resolved first if it has no encoded data)
+     * @param {LyricsOptions} [options] - Lyrics options
+     * @returns {Promise<Lyrics|null>} Lyrics, or null if none were found
+     */
+    async get(track, options = {}) {
+        const node = options.node ?? await this.getNode();
+        if (!(await this.supports(node))) {
+            throw this._unavailable(node);
+        }
+
+        if (!track.encoded) {
+            await this.manager.distube.resolveTrack(track);
+        }
+
+        const data = await this._request(() =>
+            node.getLyrics(track.encoded, options.skipTrackSource)
+        );
+        return this._normalize(data);
+    }
+
+    /**
+     * Get lyrics for a player's current track
+     * @param {Object} player - Player
+     * @param {LyricsOptions} [options] - Lyrics options
+     * @returns {Promise<Lyrics|null>} Lyrics, or null if nothing is playing or none were found
+     */
+    async getCurrent(player, options = {}) {
+        if (!player.queue.current) return null;
+
+        // The session endpoint only works on the node that holds the player
+        if (!(await this.supports(player.node))) {
+            return this.get(player.queue.current, options);
+        }
+
+        const data = await this._request(() =>
+            player.node.getPlayerLyrics(player.guildId, options.skipTrackSource)
+        );
+        return this._normalize(data);
+    }
+
+    /**
+     * Find the line playing at a position
+     * @param {Lyrics} lyrics - Lyrics
+     * @param {number} position - Position in ms
+     * @returns {number} Line index, or -1 before the first line or for unsynced lyrics
+     */
+    getLineAt(lyrics, position) {
+        const lines = lyrics?.lines ?? [];
+        let index = -1;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].time > position) break;
+            index = i;
+        }
+        return index;
+    }
+
+    /**
+     * Build the error for a missing lyrics plugin
+     * @private
+     * @param {Object|null} node - Selected node
+     * @returns {Error}
+     */
+    _unavailable(node) {
+        const error = new Error(
+            node
+                ? `Node ${node.name} has no lyrics plugin`
+                : 'No connected node has a lyrics plugin'
+        );
+        error.code = ErrorCodes.LYRICS_UNAVAILABLE;
+        return error;
+    }
+
+    /**
+     * Run a lyrics request, treating "not found" as no lyrics
+     * @private
+     * @param {Function} fn - Request function
+     * @returns {Promise<Object|null>}
+     */
+    async _request(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Normalize a lyrics plugin response
+     * @private
+     * @param {Object|null} data - Raw response
+     * @returns {Lyrics|null}
+     */
+    _normalize(data) {
+        if (!data) return null;
+
+        const lines = (data.lines ?? [])
+            .map(line => ({
+                time: line.timestamp ?? 0,
+                duration: line.duration ?? null,
+                text: line.line ?? ''
+            }))
+            .sort((a, b) => a.time - b.time);
+
+        return {
+            source: data.sourceName ?? null,
+            provider: data.provider ?? null,
+            text: data.text ?? lines.map(line => line.text).join('\n'),
+            lines,
+            synced: lines.length > 0
+        };
+    }
+}
+
+module.exports = { LyricsManager };
@@ -6,7 +6,53 @@
  */
 
 const { Node } = require('../structures/Node');
-const { Events, NodeState } = require('../utils/Constants');
+const { NodeSelectionStrategies } = require('./NodeSelection');
+const { Rebalancer } = require('./Rebalancer');
+const {
+    Events,
+    NodeState,
+    MigrateReason,
+    NodeSelectionStrategy,
+    ErrorCodes,
+    Defaults
+} = require('../utils/Constants');
+
+/**
+ * @typedef {Object} FailoverOptions
+ * @property {boolean} [enabled=true] - Migrate players off nodes that are lost
+ * @property {number|null} [gracePeriod=null] - Migrate after this many ms of reconnecting
+ *   instead of waiting for all reconnection attempts to be exhausted
+ */
+
+/**
+ * @typedef {Object} SelectOptions
+ * @property {string|null} [region] - Voice region of the player
+ * @property {Object} [player] - Player being placed or migrated
+ * @property {string} [guildId] - Guild ID of the player
+ * @property {Object[]} [exclude] - Nodes that must not be selected
+ * @property {Object} [requires] - Capabilities the node must support (CapabilityRequirements)
+ * @property {string|Function} [strategy] - Override the configured strategy
+ */
+
+/**
+ * @typedef {Object} DrainOptions
+ * @property {boolean} [migrate=true] - Migrate the node's players to other nodes
+ * @property {boolean} [disconnect] - Disconnect the node afterwards (defaults to `migrate`)
+ */
+
+/**
+ * @typedef {Object} DrainResult
+ * @property {Node} node - Drained node
+ * @property {Object[]} migrated - Players moved to another node
+ * @property {Object[]} failed - `{ player, error }` for players that could not be moved
+ */
+
+/**
+ * @typedef {Object} RoutePlannerOptions
+ * @property {number} [warningThreshold=10] - Emit routePlannerWarning once this many
+ *   addresses are failing across all nodes
+ * @property {number|null} [checkInterval=null] - Poll the route planners every this many ms
+ */
 
 /**
  * Manages multiple Lavalink nodes
@@ -24,6 +70,66 @@ class NodeManager extends Map {
          * @type {Object}
          */
         this.manager = manager;
+
+        /**
+         * Failover settings
+         * @type {FailoverOptions}
+         */
+        this.failover = { ...Defaults.FAILOVER, ...manager.options?.failover };
+
+        /**
+         * Grace period timers for reconnecting nodes (nodeName -> timer)
+         * @type {Map<string, NodeJS.Timeout>}
+         * @private
+         */
+        this._failoverTimers = new Map();
+
+        /**
+         * Node selection strategy (a NodeSelectionStrategy name or a function)
+         * @type {string|Function}
+         */
+        this.selection = NodeSelectionStrategy.PENALTY;
+        this.setSelection(manager.options?.nodeSelection ?? NodeSelectionStrategy.PENALTY);
+
+        /**
+         * Next index for the roundRobin strategy
+         * @type {number}
+         * @private
+         */
+        this._roundRobinIndex = 0;
+
+        /**
+         * Route planner monitoring settings
+         * @type {RoutePlannerOptions}
+         */
+        this.routePlanner = { ...Defaults.ROUTE_PLANNER, ...manager.options?.routePlanner };
+
+        /**
+         * Route planner poll interval
+         * @type {NodeJS.Timeout|null}
+         * @private
+         */
+        this._routePlannerInterval = null;
+
+        /**
+         * Whether the failing address count is above the warning threshold
+         * @type {boolean}
+         * @private
+         */
+        this._routePlannerWarned = false;
+
+        /**
+         * Running drains (nodeName -> drain promise)
+         * @type {Map<string, Promise<DrainResult>>}
+         * @private
+         */
+        this._drains = new Map();
+
+        /**
+         * Moves players to under-loaded nodes
+         * @type {Rebalancer}
+         */
+        this.rebalancer = new Rebalancer(manager, manager.options?.rebalance);
     }
 
     /**
@@ -46,6 +152,17 @@ class NodeManager extends Map {
         node.on(Events.NODE_ERROR, (data) => this.manager.emit(Events.NODE_ERROR, data));
         node.on(Events.NODE_READY, (data) => this.manager.emit(Events.NODE_READY, data));
         node.on(Events.NODE_STATS, (data) => this.manager.emit(Events.NODE_STATS, data));
+        node.on(Events.SESSION_RESUMED, (data) => this.manager.emit(Events.SESSION_RESUMED, data));
+        node.on(Events.LAVALINK_EVENT, (data) => this.manager.emit(Events.LAVALINK_EVENT, data));
+        node.on(Events.NODE_UNHEALTHY, (data) => this.manager.emit(Events.NODE_UNHEALTHY, data));
+        node.on(Events.NODE_HEALTHY, (data) => this.manager.emit(Events.NODE_HEALTHY, data));
+
+        // Failover handling
+        node.on(Events.NODE_DISCONNECT, (data) => this._handleNodeDisconnect(data));
+        node.on(Events.NODE_READY, () => this._clearFailoverTimer(node.name));
+
+        // Spread players onto nodes that join or recover
+        node.on(Events.NODE_READY, () => this.rebalancer._handleNodeReady());
 
         return node;
     }
@@ -59,6 +176,7 @@ class NodeManager extends Map {
         const node = this.get(name);
         if (!node) return false;
 
+        this._clearFailoverTimer(name);
         node.destroy();
         return this.delete(name);
     }
@@ -85,12 +203,41 @@ class NodeManager extends Map {
         await Promise.all(promises);
     }
 
+    /**
+     * Wait for connecting nodes to become ready, fetch their info and finish reconciling
+     * resumed sessions
+     * @param {number} [timeout=15000] - Per-node ready timeout in ms
+     * @returns {Promise<void>}
+     */
+    async waitForReady(timeout = 15000) {
+        const promises = Array.from(this.values()).map(async node => {
+            if (node.state === NodeState.CONNECTING) {
+                try {
+                    await node.waitFor(Events.NODE_READY, timeout);
+                } catch {
+                    return;
+                }
+            }
+
+            if (node.connected) {
+                await node._infoFetch;
+                await node._sessionReconcile;
+            }
+        });
+
+        await Promise.all(promises);
+    }
+
     /**
      * Disconnect all nodes
      * @returns {void}
      */
     disconnectAll() {
+        this.stopRoutePlannerMonitor();
+        this.rebalancer.stop();
+
         for (const node of this.values()) {
+            this._clearFailoverTimer(node.name);
             node.disconnect();
         }
     }
@@ -104,34 +251,91 @@ class NodeManager extends Map {
     }
 
     /**
-     * Get the best node for a given region
-     * @param {string} [region] - Preferred region
+     * Set the node selection strategy
+     * @param {string|Function} strategy - NodeSelectionStrategy name, or a function
+     *   called with (candidates, context) that returns a node
+     * @returns {NodeManager}
+     */
+    setSelection(strategy) {
+        if (typeof strategy !== 'function' && !NodeSelectionStrategies[strategy]) {
+            const error = new Error(`Unknown node selection strategy: ${strategy}`);
+            error.code = ErrorCodes.INVALID_NODE;
+            throw error;
+        }
+
+        this.selection = strategy;
+        return this;
+    }
+
+    /**
+     * Select a node for a player using the configured strategy
+     * Only connected, healthy nodes that meet `options.requires` are candidates
+     * @param {SelectOptions} [options] - Selection options
      * @returns {Node|null}
      */
-    getBest(region = null) {
-        const connected = this.getConnected();
-        if (connected.length === 0) return null;
+    select(options = {}) {
+        const exclude = options.exclude ?? [];
+        const candidates = this.getConnected().filter(n =>
+            n.healthy && !n.draining && !exclude.includes(n) && n.supports(options.requires)
+        );
+        if (candidates.length === 0) return null;
 
-        // Filter by region if specified
-        let candidates = connected;
-        if (region) {
-            const regionNodes = connected.filter(n =>
-                n.regions.length === 0 || n.regions.includes(region)
-            );
-            if (regionNodes.length > 0) {
-                candidates = regionNodes;
-            }
+        const strategy = options.strategy ?? this.selection;
+        const context = {
+            region: options.region ?? null,
+            player: options.player ?? null,
+            guildId: options.guildId ?? options.player?.guildId ?? null,
+            manager: this.manager,
+            nodeManager: this
+        };
+
+        if (typeof strategy !== 'function') {
+            return NodeSelectionStrategies[strategy](candidates, context) ?? null;
         }
 
-        // Sort by priority first, then by penalty
-        candidates.sort((a, b) => {
-            if (a.priority !== b.priority) {
-                return a.priority - b.priority;
-            }
-            return a.penalty - b.penalty;
-        });
+        try {
+            return strategy(candidates, context) ?? null;
+        } catch (error) {
+            this.manager.logger?.warn(`Custom node selection failed: ${error.message}`);
+            return NodeSelectionStrategies[NodeSelectionStrategy.PENALTY](candidates, context);
+        }
+    }
 
-        return candidates[0] || null;
+    /**
+     * Select a node, throwing if none is available
+     * @param {SelectOptions} [options] - Selection options
+     * @returns {Node}
+     * @throws {Error} NO_NODES if no node is available, CAPABILITY_UNAVAILABLE if no
+     *   available node meets `options.requires`
+     */
+    selectOrThrow(options = {}) {
+        const node = this.select(options);
+        if (node) return node;
+
+        const exclude = options.exclude ?? [];
+        const available = this.getConnected().filter(n =>
+            n.healthy && !n.draining && !exclude.includes(n)
+        );
+        if (available.length === 0) {
+            const error = new Error('No available nodes');
+            error.code = ErrorCodes.NO_NODES;
+            throw error;
+        }
+
+        const missing = available[0].getMissingCapabilities(options.requires);
+        const error = new Error(`No available node supports ${missing.join(', ')}`);
+        error.code = ErrorCodes.CAPABILITY_UNAVAILABLE;
+        error.requires = options.requires;
+        throw error;
+    }
+
+    /**
+     * Get the best node for a given region, using the configured strategy
+     * @param {string} [region] - Preferred region
+     * @returns {Node|null}
+     */
+    getBest(region = null) {
+        return this.select({ region });
     }
 
     /**
@@ -184,20 +388,230 @@ class NodeManager extends Map {
     }
 
     /**
-     * Handle node failure - migrate players to healthy nodes
-     * @param {Node} failedNode - The failed node
+     * Get route planner status across connected nodes
+     * Emits routePlannerWarning when the failing address count crosses the threshold
+     * @returns {Promise<{ nodes: Object[], failingAddresses: Object[] }>}
+     */
+    async getRoutePlannerStatus() {
+        const nodes = [];
+        const failingAddresses = [];
+
+        await Promise.all(this.getConnected().map(async node => {
+            try {
+                const status = await node.routePlanner.status();
+                if (!status) return;
+
+                nodes.push({ node, class: status.class, failingAddresses: status.failingAddresses });
+                for (const entry of status.failingAddresses) {
+                    failingAddresses.push({ node, ...entry });
+                }
+            } catch (error) {
+                this.manager.logger?.debug(`Route planner status failed: ${error.message}`, node.name);
+            }
+        }));
+
+        this._checkRoutePlannerThreshold(nodes, failingAddresses);
+
+        return { nodes, failingAddresses };
+    }
+
+    /**
+     * Unmark all failing addresses on every connected node
+     * @returns {Promise<void>}
+     */
+    async unmarkAllAddresses() {
+        await Promise.all(this.getConnected().map(node =>
+            node.routePlanner.unmarkAll().catch(error => {
+                this.manager.logger?.warn(`Failed to unmark addresses: ${error.message}`, node.name);
+            })
+        ));
+        this._routePlannerWarned = false;
+    }
+
+    /**
+     * Start polling route planners
+     * @param {number} [interval] - Poll interval in ms
+     */
+    startRoutePlannerMonitor(interval = this.routePlanner.checkInterval ?? 60000) {
+        this.stopRoutePlannerMonitor();
+        this._routePlannerInterval = setInterval(() => {
+            this.getRoutePlannerStatus().catch(() => { });
+        }, interval);
+    }
+
+    /**
+     * Stop polling route planners
+     */
+    stopRoutePlannerMonitor() {
+        if (this._routePlannerInterval) {
+            clearInterval(this._routePlannerInterval);
+            this._routePlannerInterval = null;
+        }
+    }
+
+    /**
+     * Emit routePlannerWarning when the failing count rises to the threshold
+     * @private
+     * @param {Object[]} nodes - Per-node status
+     * @param {Object[]} failingAddresses - Failing addresses across nodes
+     */
+    _checkRoutePlannerThreshold(nodes, failingAddresses) {
+        const threshold = this.routePlanner.warningThreshold;
+        const above = failingAddresses.length >= threshold;
+
+        if (above && !this._routePlannerWarned) {
+            this.manager.logger?.warn(
+                `${failingAddresses.length} route planner addresses are failing (threshold ${threshold})`
+            );
+            this.manager.emit(Events.ROUTE_PLANNER_WARNING, {
+                failing: failingAddresses.length,
+                threshold,
+                failingAddresses,
+                nodes
+            });
+        }
+
+        this._routePlannerWarned = above;
+    }
+
+    /**
+     * Drain a node for maintenance: stop assigning it new players, migrate its players
+     * one at a time (keeping their positions) and disconnect it
+     * The node stays draining, including across reconnects, until undrain() is called
+     * @param {string} name - Node name
+     * @param {DrainOptions} [options] - Drain options
+     * @returns {Promise<DrainResult>}
+     */
+    async drain(name, options = {}) {
+        const node = this._getOrThrow(name);
+
+        if (this._drains.has(name)) {
+            return this._drains.get(name);
+        }
+
+        const promise = this._drain(node, options).finally(() => this._drains.delete(name));
+        this._drains.set(name, promise);
+        return promise;
+    }
+
+    /**
+     * Put a drained node back into service, reconnecting it if needed
+     * A running drain stops before its next migration
+     * @param {string} name - Node name
      * @returns {Promise<void>}
      */
-    async handleNodeFailure(failedNode) {
-        const playersToMigrate = [];
+    async undrain(name) {
+        const node = this._getOrThrow(name);
+        if (!node.draining) return;
+
+        node.setDraining(false);
+        this.manager.logger?.info('Back in service', node.name);
+        this.manager.emit(Events.NODE_UNDRAIN, { node });
+
+        if (node.state === NodeState.DISCONNECTED) {
+            await node.connect();
+        }
+    }
+
+    /**
+     * Get a node by name, throwing if it does not exist
+     * @private
+     * @param {string} name - Node name
+     * @returns {Node}
+     */
+    _getOrThrow(name) {
+        const node = this.get(name);
+        if (!node) {
+            const error = new Error(`Node ${name} not found`);
+            error.code = ErrorCodes.INVALID_NODE;
+            throw error;
+        }
+        return node;
+    }
+
+    /**
+     * Run a drain
+     * @private
+     * @param {Node} node - Node to drain
+     * @param {DrainOptions} options - Drain options
+     * @returns {Promise<DrainResult>}
+     */
+    async _drain(node, { migrate = true, disconnect = migrate }) {
+        node.setDraining(true);
+
+        const players = migrate ? this.manager.players.getByNode(node.name) : [];
+        const result = { node, migrated: [], failed: [] };
+
+        this.manager.logger?.info(`Draining (${players.length} players to migrate)`, node.name);
+        this.manager.emit(Events.NODE_DRAIN_START, { node, total: players.length });
 
-        // Find players on the failed node
-        for (const player of this.manager.players.values()) {
-            if (player.node?.name === failedNode.name) {
-                playersToMigrate.push(player);
+        for (const player of players) {
+            if (!node.draining) break;
+
+            // Destroyed or moved since the drain started
+            if (player.node !== node || this.manager.players.get(player.guildId) !== player) continue;
+
+            const to = this.select({
+                region: player.connection.region,
+                player,
+                exclude: [node],
+                requires: { filters: player.filters.active }
+            });
+
+            let error = null;
+            if (to) {
+                try {
+                    await player.migrateNode(to, MigrateReason.DRAIN);
+                } catch (err) {
+                    error = err;
+                }
+            } else {
+                error = new Error('No available nodes');
+                error.code = ErrorCodes.NO_NODES;
             }
+
+            if (error) {
+                result.failed.push({ player, error });
+                this.manager.logger?.warn(
+                    `Failed to migrate player ${player.guildId}: ${error.message}`,
+                    node.name
+                );
+            } else {
+                result.migrated.push(player);
+            }
+
+            this.manager.emit(Events.NODE_DRAIN_PROGRESS, {
+                node,
+                player,
+                to,
+                error,
+                completed: result.migrated.length + result.failed.length,
+                total: players.length
+            });
+        }
+
+        if (disconnect && node.draining) {
+            node.disconnect(1000, 'Node drained');
         }
 
+        this.manager.logger?.info(
+            `Drained (${result.migrated.length} migrated, ${result.failed.length} failed)`,
+            node.name
+        );
+        this.manager.emit(Events.NODE_DRAIN_END, result);
+
+        return result;
+    }
+
+    /**
+     * Handle node failure - migrate players to healthy nodes
+     * @param {Node} failedNode - The failed node
+     * @param {string} [reason=MigrateReason.NODE_FAILURE] - Migration reason
+     * @returns {Promise<void>}
+     */
+    async handleNodeFailure(failedNode, reason = MigrateReason.NODE_FAILURE) {
+        const playersToMigrate = this.manager.players.getByNode(failedNode.name);
+
         if (playersToMigrate.length === 0) return;
 
         this.manager.logger?.warn(
@@ -206,11 +620,16 @@ class NodeManager extends Map {
 
         // Migrate each player
         for (const player of playersToMigrate) {
-            const newNode = this.getBest(player.connection.region);
+            const newNode = this.select({
+                region: player.connection.region,
+                player,
+                exclude: [failedNode],
+                requires: { filters: player.filters.active }
+            });
 
             if (newNode) {
                 try {
-                    await player.migrateNode(newNode);
+                    await player.migrateNode(newNode, reason);
                 } catch (error) {
                     this.manager.logger?.error(
                         `Failed to migrate player ${player.guildId}: ${error.message}`
@@ -220,7 +639,82 @@ class NodeManager extends Map {
                 this.manager.logger?.error(
                     `No healthy nodes available for player ${player.guildId}`
                 );
+
+                const error = new Error('No available nodes');
+                error.code = ErrorCodes.NO_NODES;
+                player.emit(Events.PLAYER_MIGRATE_FAILED, {
+                    player,
+                    from: failedNode,
+                    to: null,
+                    reason,
+                    error
+                });
+            }
+        }
+    }
+
+    /**
+     * Handle a node disconnect - start failover if the node is lost
+     * @private
+     * @param {Object} data - Disconnect event data
+     */
+    _handleNodeDisconnect({ node, reconnecting, intentional }) {
+        // Freeze positions so the outage isn't counted as playback time
+        for (const player of this.manager.players.getByNode(node.name)) {
+            player._handleNodeDisconnect();
+        }
+
+        if (!this.failover.enabled) return;
+
+        // Disconnected on purpose: only a drained node's leftover players are moved
+        if (intentional) {
+            this._clearFailoverTimer(node.name);
+            if (node.draining) {
+                this._runFailover(node, MigrateReason.DRAIN);
             }
+            return;
+        }
+
+        if (!reconnecting) {
+            this._clearFailoverTimer(node.name);
+            this._runFailover(node, MigrateReason.NODE_FAILURE);
+            return;
+        }
+
+        if (this.failover.gracePeriod !== null && !this._failoverTimers.has(node.name)) {
+            const timer = setTimeout(() => {
+                this._failoverTimers.delete(node.name);
+                if (!node.connected) {
+                    this._runFailover(node, MigrateReason.RECONNECT_TIMEOUT);
+                }
+            }, this.failover.gracePeriod);
+
+            this._failoverTimers.set(node.name, timer);
+        }
+    }
+
+    /**
+     * Run failover for a node, logging unexpected errors
+     * @private
+     * @param {Node} node - Lost node
+     * @param {string} reason - Migration reason
+     */
+    _runFailover(node, reason) {
+        this.handleNodeFailure(node, reason).catch(error => {
+            this.manager.logger?.error(`Failover for node ${node.name} failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Clear a pending failover grace timer
+     * @private
+     * @param {string} name - Node name
+     */
+    _clearFailoverTimer(name) {
+        const timer = this._failoverTimers.get(name);
+        if (timer) {
+            clearTimeout(timer);
+            this._failoverTimers.delete(name);
         }
     }
 }
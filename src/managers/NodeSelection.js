@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * @file Node selection strategies for Fuelink
+ * @module fuelink/managers/NodeSelection
+ */
+
+const { NodeSelectionStrategy } = require('../utils/Constants');
+
+/**
+ * @typedef {Object} SelectionContext
+ * @property {string|null} [region] - Voice region of the player
+ * @property {Object} [player] - Player being placed or migrated
+ * @property {string} [guildId] - Guild ID of the player
+ * @property {Object} manager - Fuelink manager
+ * @property {Object} nodeManager - Node manager (holds per-strategy state)
+ */
+
+/**
+ * A node selection strategy picks one of the candidate nodes (connected, healthy
+ * and not excluded) for a player, or returns null to select none
+ * @callback SelectionStrategy
+ * @param {Object[]} nodes - Candidate nodes (never empty)
+ * @param {SelectionContext} context - Selection context
+ * @returns {Object|null}
+ */
+
+/**
+ * Count local players on a node (more current than Lavalink's periodic stats)
+ * @param {Object} manager - Fuelink manager
+ * @param {Object} node - Node
+ * @returns {number}
+ */
+function playerCount(manager, node) {
+    return manager.players.getByNode(node.name).length;
+}
+
+/**
+ * Return the node with the lowest score
+ * @param {Object[]} nodes - Nodes
+ * @param {Function} score - Scoring function
+ * @returns {Object}
+ */
+function lowest(nodes, score) {
+    return nodes.reduce((best, node) => (score(node) < score(best) ? node : best));
+}
+
+/**
+ * Built-in node selection strategies
+ * @readonly
+ * @type {Object<string, SelectionStrategy>}
+ */
+const NodeSelectionStrategies = {
+    /**
+     * Nodes serving the region (or any region), then by priority, then by penalty
+     */
+    [NodeSelectionStrategy.PENALTY](nodes, { region }) {
+        let candidates = nodes;
+        if (region) {
+            const regionNodes = nodes.filter(n =>
+                n.regions.length === 0 || n.regions.includes(region)
+            );
+            if (regionNodes.length > 0) {
+                candidates = regionNodes;
+            }
+        }
+
+        return [...candidates].sort((a, b) => {
+            if (a.priority !== b.priority) {
+                return a.priority - b.priority;
+            }
+            return a.penalty - b.penalty;
+        })[0];
+    },
+
+    /**
+     * Node with the fewest players, ties broken by penalty
+     */
+    [NodeSelectionStrategy.LEAST_PLAYERS](nodes, { manager }) {
+        return [...nodes].sort((a, b) =>
+            playerCount(manager, a) - playerCount(manager, b) || a.penalty - b.penalty
+        )[0];
+    },
+
+    /**
+     * Nodes in turn, in name order
+     */
+    [NodeSelectionStrategy.ROUND_ROBIN](nodes, { nodeManager }) {
+        const sorted = [...nodes].sort((a, b) => a.name.localeCompare(b.name));
+        const node = sorted[nodeManager._roundRobinIndex % sorted.length];
+        nodeManager._roundRobinIndex++;
+        return node;
+    },
+
+    /**
+     * Random node, proportional to each node's weight
+     */
+    [NodeSelectionStrategy.WEIGHTED_RANDOM](nodes) {
+        const total = nodes.reduce((acc, n) => acc + Math.max(0, n.weight), 0);
+        if (total <= 0) return nodes[Math.floor(Math.random() * nodes.length)];
+
+        let roll = Math.random() * total;
+        for (const node of nodes) {
+            roll -= Math.max(0, node.weight);
+            if (roll < 0) return node;
+        }
+        return nodes[nodes.length - 1];
+    },
+
+    /**
+     * Node with the lowest WebSocket ping; unmeasured nodes come last
+     */
+    [NodeSelectionStrategy.LOWEST_LATENCY](nodes) {
+        return lowest(nodes, n => (n.ping ?? Infinity));
+    },
+
+    /**
+     * Nodes listing the region, then region-agnostic nodes, then any node; by penalty within each
+     */
+    [NodeSelectionStrategy.REGION_AFFINITY](nodes, { region }) {
+        const tiers = region
+            ? [
+                nodes.filter(n => n.regions.includes(region)),
+                nodes.filter(n => n.regions.length === 0),
+                nodes
+            ]
+            : [nodes];
+
+        const tier = tiers.find(t => t.length > 0);
+        return lowest(tier, n => n.penalty);
+    }
+};
+
+module.exports = { NodeSelectionStrategies };
@@ -6,7 +6,7 @@
  */
 
 const { Player } = require('../structures/Player');
-const { Events, ErrorCodes } = require('../utils/Constants');
+const { Events, ErrorCodes, PlayerState } = require('../utils/Constants');
 
 /**
  * Manages player instances
@@ -38,23 +38,14 @@ class PlayerManager extends Map {
         }
 
         // Get a node
-        const node = options.node || this.manager.nodes.getBest();
+        const node = options.node || this.manager.nodes.select({ guildId: options.guildId });
         if (!node) {
             const error = new Error('No available nodes');
             error.code = ErrorCodes.NO_NODES;
             throw error;
         }
 
-        // Create the player
-        const player = new Player(this.manager, {
-            ...options,
-            node
-        });
-
-        this.set(options.guildId, player);
-
-        // Forward player events
-        this._forwardPlayerEvents(player);
+        const player = this._build({ ...options, node });
 
         // Connect to voice
         await player.connect();
@@ -106,12 +97,13 @@ class PlayerManager extends Map {
 
     /**
      * Destroy all players
+     * @param {Object} [options] - Destroy options (see Player#destroy)
      * @returns {Promise<void>}
      */
-    async destroyAll() {
+    async destroyAll(options = {}) {
         const promises = [];
         for (const player of this.values()) {
-            promises.push(player.destroy().catch(() => { }));
+            promises.push(player.destroy(options).catch(() => { }));
         }
         await Promise.all(promises);
     }
@@ -141,6 +133,122 @@ class PlayerManager extends Map {
         return Array.from(this.values()).filter(p => p.node?.name === nodeName);
     }
 
+    /**
+     * Reconcile local players on a node with the players Lavalink holds for its session
+     * Server players without a local copy are adopted from persisted state when
+     * autoResume is enabled; players missing on either side are otherwise destroyed
+     * @param {Object} node - Resumed node
+     * @param {Object[]} remotePlayers - Players from GET /v4/sessions/{sessionId}/players
+     * @returns {Promise<{ synced: string[], restored: string[], destroyedLocal: string[], destroyedRemote: string[] }>}
+     */
+    async reconcile(node, remotePlayers) {
+        const summary = { synced: [], restored: [], destroyedLocal: [], destroyedRemote: [] };
+        const remoteById = new Map(remotePlayers.map(p => [p.guildId, p]));
+
+        // Sync or destroy local players
+        for (const player of this.getByNode(node.name)) {
+            const remote = remoteById.get(player.guildId);
+
+            if (!remote) {
+                await player.destroy().catch(() => { });
+                summary.destroyedLocal.push(player.guildId);
+                continue;
+            }
+
+            try {
+                await player._syncFromServer(remote);
+                summary.synced.push(player.guildId);
+            } catch (error) {
+                this.manager.logger?.warn(
+                    `Failed to sync player ${player.guildId}: ${error.message}`
+                );
+            }
+        }
+
+        // Adopt server players saved before a restart, destroy the ones we no longer track
+        const untracked = Array.from(remoteById.values())
+            .filter(remote => this.get(remote.guildId)?.node !== node);
+        const adopted = await Promise.all(untracked.map(remote =>
+            !this.has(remote.guildId) && this._adopt(node, remote)
+        ));
+
+        for (const [index, { guildId }] of untracked.entries()) {
+            if (adopted[index]) {
+                summary.restored.push(guildId);
+                continue;
+            }
+
+            try {
+                await node.destroyPlayer(guildId);
+                summary.destroyedRemote.push(guildId);
+            } catch (error) {
+                this.manager.logger?.warn(
+                    `Failed to destroy orphaned player ${guildId}: ${error.message}`
+                );
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Create a player and forward its events, without connecting it
+     * @private
+     * @param {Object} options - Player options, including the node
+     * @returns {Player}
+     */
+    _build(options) {
+        const player = new Player(this.manager, options);
+        this.set(options.guildId, player);
+
+        // Forward player events
+        this._forwardPlayerEvents(player);
+
+        return player;
+    }
+
+    /**
+     * Rebuild a local player around a server player that survived a restart,
+     * without interrupting its playback
+     * The bot is still in voice, so the player attaches to the voice state Lavalink holds
+     * instead of joining again
+     * @private
+     * @param {Object} node - Resumed node
+     * @param {Object} remote - Lavalink player
+     * @returns {Promise<boolean>} Whether the player was adopted
+     */
+    async _adopt(node, remote) {
+        if (!this.manager.options.autoResume || !this.manager.persistence) return false;
+
+        const saved = await this.manager.persistence.restorePlayer(remote.guildId).catch(() => null);
+        if (!saved) return false;
+
+        try {
+            const player = this._build({
+                guildId: saved.guildId,
+                voiceChannel: saved.voiceChannel,
+                textChannel: saved.textChannel,
+                node
+            });
+
+            player.connection.attach({ channelId: saved.voiceChannel, ...remote.voice });
+            player.connected = remote.state?.connected ?? true;
+            player._setState(PlayerState.CONNECTED, 'connect');
+
+            await player.fromJSON(saved, { replay: false });
+            await player._syncFromServer(remote);
+
+            this.manager.emit(Events.PLAYER_CREATE, { player });
+            return true;
+        } catch (error) {
+            this.manager.logger?.warn(
+                `Failed to adopt player ${remote.guildId}: ${error.message}`
+            );
+            await this.get(remote.guildId)?.destroy().catch(() => { });
+            return false;
+        }
+    }
+
     /**
      * Forward player events to manager
      * @private
@@ -152,6 +260,9 @@ class PlayerManager extends Map {
             Events.PLAYER_MOVE,
             Events.PLAYER_DISCONNECT,
             Events.PLAYER_DESTROY,
+            Events.PLAYER_MIGRATE,
+            Events.PLAYER_MIGRATE_FAILED,
+            Events.PLAYER_STATE_CHANGE,
             Events.TRACK_START,
             Events.TRACK_END,
             Events.TRACK_STUCK,
@@ -160,7 +271,21 @@ class PlayerManager extends Map {
             Events.QUEUE_REMOVE,
             Events.QUEUE_SHUFFLE,
             Events.QUEUE_CLEAR,
-            Events.QUEUE_END
+            Events.QUEUE_MOVE,
+            Events.QUEUE_SWAP,
+            Events.QUEUE_REVERSE,
+            Events.QUEUE_JUMP,
+            Events.QUEUE_BACK,
+            Events.QUEUE_LOOP,
+            Events.QUEUE_AUTOPLAY,
+            Events.QUEUE_END,
+            Events.LYRICS_LINE,
+            Events.SEGMENTS_LOADED,
+            Events.SEGMENT_SKIPPED,
+            Events.CHAPTERS_LOADED,
+            Events.CHAPTER_STARTED,
+            Events.VOTE_ADD,
+            Events.VOTE_SKIP_PASSED
         ];
 
         for (const event of events) {
@@ -201,6 +326,9 @@ class PlayerManager extends Map {
         const restored = [];
 
         for (const playerData of data) {
+            // Already adopted from a resumed Lavalink session
+            if (this.has(playerData.guildId)) continue;
+
             try {
                 const player = await this.create({
                     guildId: playerData.guildId,
@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * @file Player rebalancer for Fuelink
+ * @module fuelink/managers/Rebalancer
+ */
+
+const { Events, MigrateReason, Defaults } = require('../utils/Constants');
+
+/**
+ * Penalty a player adds to its node (see Node.penalty)
+ * @param {Object} player - Player
+ * @returns {number}
+ */
+function playerPenalty(player) {
+    return player.playing ? 2.5 : 1;
+}
+
+/**
+ * @typedef {Object} RebalanceOptions
+ * @property {boolean} [enabled=false] - Rebalance when a node becomes ready and on `interval`
+ * @property {number|null} [interval=null] - Also rebalance every this many ms
+ * @property {number} [readyDelay=5000] - Wait this many ms after nodeReady, so the node
+ *   has reported stats
+ * @property {number} [maxMovesPerMinute=10] - Move budget across all nodes
+ * @property {number} [threshold=5] - Minimum penalty difference worth a move
+ */
+
+/**
+ * @typedef {Object} RebalanceResult
+ * @property {Object[]} moved - `{ player, from, to }` for players moved right away
+ * @property {Object[]} deferred - Playing players that move when their track ends
+ */
+
+/**
+ * Moves players from loaded nodes to under-loaded ones without interrupting songs:
+ * idle and paused players move right away, playing players between tracks
+ */
+class Rebalancer {
+    /**
+     * Create a new Rebalancer
+     * @param {Object} manager - Fuelink manager
+     * @param {RebalanceOptions} [options] - Rebalance options
+     */
+    constructor(manager, options = {}) {
+        /**
+         * Fuelink manager
+         * @type {Object}
+         */
+        this.manager = manager;
+
+        /**
+         * Rebalance settings
+         * @type {RebalanceOptions}
+         */
+        this.options = { ...Defaults.REBALANCE, ...options };
+
+        /**
+         * Timestamps of moves in the last minute
+         * @type {number[]}
+         * @private
+         */
+        this._moves = [];
+
+        /**
+         * Guild IDs of playing players waiting for their track to end
+         * @type {Set<string>}
+         * @private
+         */
+        this._deferred = new Set();
+
+        /**
+         * Rebalance interval
+         * @type {NodeJS.Timeout|null}
+         * @private
+         */
+        this._interval = null;
+
+        /**
+         * Pending rebalance after a node became ready
+         * @type {NodeJS.Timeout|null}
+         * @private
+         */
+        this._readyTimeout = null;
+
+        /**
+         * Running rebalance
+         * @type {Promise<RebalanceResult>|null}
+         * @private
+         */
+        this._running = null;
+    }
+
+    /**
+     * Moves left in the current one-minute budget
+     * @type {number}
+     */
+    get budget() {
+        const since = Date.now() - 60000;
+        this._moves = this._moves.filter(time => time > since);
+        return Math.max(0, this.options.maxMovesPerMinute - this._moves.length);
+    }
+
+    /**
+     * Start rebalancing on an interval, if one is configured
+     */
+    start() {
+        this.stop();
+        if (this.options.interval) {
+            this._interval = setInterval(() => this._runSafe(), this.options.interval);
+        }
+    }
+
+    /**
+     * Stop scheduled rebalancing and forget deferred moves
+     */
+    stop() {
+        if (this._interval) {
+            clearInterval(this._interval);
+            this._interval = null;
+        }
+        if (this._readyTimeout) {
+            clearTimeout(this._readyTimeout);
+            this._readyTimeout = null;
+        }
+        this._deferred.clear();
+    }
+
+    /**
+     * Rebalance players across nodes now
+     * @returns {Promise<RebalanceResult>}
+     */
+    async run() {
+        if (!this._running) {
+            this._running = this._run().finally(() => {
+                this._running = null;
+            });
+        }
+        return this._running;
+    }
+
+    /**
+     * Move a deferred player before its next track starts
+     * Called by the player when a track ends
+     * @param {Object} player - Player
+     * @returns {Promise<void>} Resolves once the player may start its next track
+     */
+    async handleTrackEnd(player) {
+        if (!this._deferred.delete(player.guildId)) return;
+        if (this.budget === 0) return;
+
+        const nodes = this._getNodes();
+        const to = this._pickTarget(player, nodes, new Map(nodes.map(n => [n, n.penalty])));
+        if (!to) return;
+
+        await this._move(player, to);
+    }
+
+    /**
+     * Schedule a rebalance after a node becomes ready
+     * @private
+     */
+    _handleNodeReady() {
+        if (!this.options.enabled || this._readyTimeout) return;
+
+        this._readyTimeout = setTimeout(() => {
+            this._readyTimeout = null;
+            this._runSafe();
+        }, this.options.readyDelay);
+    }
+
+    /**
+     * Run a rebalance, logging unexpected errors
+     * @private
+     */
+    _runSafe() {
+        this.run().catch(error => {
+            this.manager.logger?.error(`Rebalance failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Plan and perform moves
+     * @private
+     * @returns {Promise<RebalanceResult>}
+     */
+    async _run() {
+        const result = { moved: [], deferred: [] };
+        this._deferred.clear();
+
+        const nodes = this._getNodes();
+        if (nodes.length < 2) return result;
+
+        // Estimated penalties, updated as moves are planned (node stats lag behind)
+        const load = new Map(nodes.map(n => [n, n.penalty]));
+
+        // Players on the most loaded nodes first
+        const players = Array.from(this.manager.players.values())
+            .filter(player => load.has(player.node))
+            .sort((a, b) => load.get(b.node) - load.get(a.node));
+
+        let budget = this.budget;
+        for (const player of players) {
+            if (budget === 0) break;
+
+            const from = player.node;
+            const to = this._pickTarget(player, nodes, load);
+            if (!to) continue;
+
+            const penalty = playerPenalty(player);
+            load.set(from, load.get(from) - penalty);
+            load.set(to, load.get(to) + penalty);
+            budget--;
+
+            // Moving now would cut the song; wait for it to end
+            if (player.playing && !player.paused) {
+                this._deferred.add(player.guildId);
+                result.deferred.push(player);
+                continue;
+            }
+
+            if (await this._move(player, to)) {
+                result.moved.push({ player, from, to });
+            }
+        }
+
+        if (result.moved.length > 0 || result.deferred.length > 0) {
+            this.manager.logger?.info(
+                `Rebalanced ${result.moved.length} players, ${result.deferred.length} waiting for their track to end`
+            );
+            this.manager.emit(Events.REBALANCE, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Nodes that can take players
+     * @private
+     * @returns {Object[]}
+     */
+    _getNodes() {
+        return this.manager.nodes.getConnected().filter(n => n.healthy && !n.draining);
+    }
+
+    /**
+     * Pick a less loaded node for a player, or null if it should stay
+     * @private
+     * @param {Object} player - Player
+     * @param {Object[]} nodes - Available nodes
+     * @param {Map<Object, number>} load - Estimated penalty per node
+     * @returns {Object|null}
+     */
+    _pickTarget(player, nodes, load) {
+        const from = player.node;
+        if (!load.has(from)) return null;
+
+        const region = player.connection.region;
+        const inRegion = n => !region || n.regions.length === 0 || n.regions.includes(region);
+        const requires = { filters: player.filters.active };
+
+        // Never move a player out of a node that serves its region
+        const candidates = nodes.filter(n =>
+            n !== from && n.supports(requires) && (inRegion(n) || !inRegion(from))
+        );
+        if (candidates.length === 0) return null;
+
+        const to = candidates.reduce((best, n) => (load.get(n) < load.get(best) ? n : best));
+
+        // The move must still leave the target lighter than the source
+        const gap = load.get(from) - load.get(to) - playerPenalty(player);
+        return gap >= this.options.threshold ? to : null;
+    }
+
+    /**
+     * Migrate a player, counting it against the budget
+     * @private
+     * @param {Object} player - Player
+     * @param {Object} to - Target node
+     * @returns {Promise<boolean>} Whether the player was moved
+     */
+    async _move(player, to) {
+        this._moves.push(Date.now());
+
+        try {
+            await player.migrateNode(to, MigrateReason.REBALANCE);
+            return true;
+        } catch (error) {
+            this.manager.logger?.warn(
+                `Failed to rebalance player ${player.guildId}: ${error.message}`
+            );
+            return false;
+        }
+    }
+}
+
+module.exports = { Rebalancer };
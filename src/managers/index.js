@@ -7,8 +7,16 @@
 
 const { NodeManager } = require('./NodeManager');
 const { PlayerManager } = require('./PlayerManager');
+const { LyricsManager } = require('./LyricsManager');
+const { NodeSelectionStrategies } = require('./NodeSelection');
+const { Rebalancer } = require('./Rebalancer');
+const { LoadCache } = require('./LoadCache');
 
 module.exports = {
     NodeManager,
-    PlayerManager
+    PlayerManager,
+    LyricsManager,
+    NodeSelectionStrategies,
+    Rebalancer,
+    LoadCache
 };
@@ -5,12 +5,20 @@
  * @module fuelink/persistence/SessionStore
  */
 
+/**
+ * Interval at which Lavalink sends stats, which refresh saved node sessions, in ms
+ * @type {number}
+ */
+const STATS_INTERVAL = 60000;
+
 /**
  * @typedef {Object} StoreOptions
  * @property {string} [backend='memory'] - Storage backend
  * @property {number} [ttl=3600000] - Time to live in ms (1 hour default)
  * @property {string} [prefix='fuelink:'] - Key prefix
  * @property {Object} [options] - Backend-specific options
+ * @property {boolean} [compactTracks=false] - Store queued tracks without their info, which
+ *   is decoded from the encoded track on restore
  */
 
 /**
@@ -53,6 +61,12 @@ class SessionStore {
          */
         this.options = options.options ?? {};
 
+        /**
+         * Store queued tracks without their info
+         * @type {boolean}
+         */
+        this.compactTracks = options.compactTracks ?? false;
+
         /**
          * Memory store (for memory backend)
          * @type {Map<string, { data: Object, expires: number }>}
@@ -337,7 +351,35 @@ class SessionStore {
      * @returns {Promise<void>}
      */
     async savePlayer(player) {
-        await this.set(`player:${player.guildId}`, player.toJSON());
+        const data = player.toJSON();
+        if (this.compactTracks) {
+            data.queue = this._compactQueue(data.queue);
+        }
+        await this.set(`player:${player.guildId}`, data);
+    }
+
+    /**
+     * Drop track info that Track.fromJSON can decode from the encoded track
+     * @private
+     * @param {Object} queue - Serialized queue
+     * @returns {Object}
+     */
+    _compactQueue(queue) {
+        const compact = track => {
+            if (!track?.encoded) return track;
+            const rest = { ...track };
+            delete rest.info;
+            return rest;
+        };
+
+        return {
+            ...queue,
+            tracks: queue.tracks.map(compact),
+            priorityTracks: queue.priorityTracks.map(compact),
+            current: compact(queue.current),
+            previous: compact(queue.previous),
+            history: queue.history.map(compact)
+        };
     }
 
     /**
@@ -350,7 +392,54 @@ class SessionStore {
     }
 
     /**
-     * Save all active players
+     * Save a node's Lavalink session
+     * Refreshed on every stats payload while the node is connected, and expires once the
+     * node has been gone for longer than its resume timeout, when Lavalink drops the session
+     * @param {Object} node - Node instance
+     * @returns {Promise<void>}
+     */
+    async saveNodeSession(node) {
+        if (!node.sessionId) return;
+
+        await this.set(`node:${node.name}`, {
+            sessionId: node.sessionId,
+            resumeKey: node.resumeKey,
+            resumeTimeout: node.resumeTimeout,
+            savedAt: Date.now()
+        }, node.resumeTimeout * 1000 + STATS_INTERVAL);
+    }
+
+    /**
+     * Restore a node's Lavalink session
+     * @param {string} name - Node name
+     * @returns {Promise<{ sessionId: string, resumeKey: string|null, resumeTimeout: number, savedAt: number }|null>}
+     */
+    async restoreNodeSession(name) {
+        return this.get(`node:${name}`);
+    }
+
+    /**
+     * Restore persisted sessions onto nodes that have not connected yet
+     * @returns {Promise<number>} Number of sessions restored
+     */
+    async restoreNodeSessions() {
+        let restored = 0;
+
+        for (const node of this.manager.nodes.values()) {
+            if (node.sessionId) continue;
+
+            const session = await this.restoreNodeSession(node.name);
+            if (session?.sessionId) {
+                node.sessionId = session.sessionId;
+                restored++;
+            }
+        }
+
+        return restored;
+    }
+
+    /**
+     * Save all active players and connected node sessions
      * @returns {Promise<void>}
      */
     async saveAll() {
@@ -358,6 +447,9 @@ class SessionStore {
         for (const player of this.manager.players.values()) {
             promises.push(this.savePlayer(player));
         }
+        for (const node of this.manager.nodes.values()) {
+            if (node.connected) promises.push(this.saveNodeSession(node));
+        }
         await Promise.all(promises);
     }
 
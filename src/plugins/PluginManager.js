@@ -7,6 +7,17 @@
 
 const { readdirSync, statSync } = require('fs');
 const { join } = require('path');
+const { Track } = require('../structures/Track');
+const { EventPriority } = require('../events/EventEmitter');
+const { Events } = require('../utils/Constants');
+const { Util } = require('../utils/Util');
+
+/**
+ * @typedef {Object} PlayMiddlewareResult
+ * @property {Track} [track] - Track to play instead
+ * @property {number} [startTime] - Start time in ms
+ * @property {number} [endTime] - End time in ms
+ */
 
 /**
  * Manages plugins for Fuelink
@@ -36,11 +47,24 @@ class PluginManager {
         this.sources = new Map();
 
         /**
-         * Middleware plugins
+         * Middleware plugins, in execution order (by priority, then registration)
          * @type {Array<Object>}
          */
         this.middlewares = [];
 
+        /**
+         * Lavalink event handlers by event type
+         * @type {Map<string, Array<{ handler: Function, plugin: Object|null }>>}
+         */
+        this.lavalinkEvents = new Map();
+
+        /**
+         * Removers for plugin info parsers, by plugin name
+         * @type {Map<string, Function>}
+         * @private
+         */
+        this._pluginInfoParsers = new Map();
+
         /**
          * LavaSrc enabled sources
          * @type {Set<string>}
@@ -85,6 +109,21 @@ class PluginManager {
             typeof plugin.onPlay === 'function' ||
             typeof plugin.onFilter === 'function') {
             this.middlewares.push(plugin);
+            this.middlewares.sort((a, b) =>
+                (a.priority ?? EventPriority.NORMAL) - (b.priority ?? EventPriority.NORMAL)
+            );
+        }
+
+        // Register declared Lavalink event handlers
+        if (plugin.lavalinkEvents) {
+            for (const [type, handler] of Object.entries(plugin.lavalinkEvents)) {
+                this.registerLavalinkEvent(type, handler, plugin);
+            }
+        }
+
+        // Register the plugin's parser for track plugin info
+        if (typeof plugin.parsePluginInfo === 'function') {
+            this.registerPluginInfo(plugin.name, (info, track) => plugin.parsePluginInfo(info, track));
         }
 
         this.manager.logger?.debug(`Plugin ${plugin.name} registered`);
@@ -112,6 +151,17 @@ class PluginManager {
         this.plugins.delete(name);
         this.sources.delete(name);
         this.middlewares = this.middlewares.filter(p => p.name !== name);
+        this._pluginInfoParsers.get(name)?.();
+        this._pluginInfoParsers.delete(name);
+
+        for (const [type, handlers] of this.lavalinkEvents) {
+            const remaining = handlers.filter(entry => entry.plugin !== plugin);
+            if (remaining.length > 0) {
+                this.lavalinkEvents.set(type, remaining);
+            } else {
+                this.lavalinkEvents.delete(type);
+            }
+        }
 
         this.manager.logger?.debug(`Plugin ${name} unloaded`);
         return true;
@@ -229,51 +279,223 @@ class PluginManager {
      */
     findSourceFor(query) {
         for (const [, plugin] of this.sources) {
-            if (plugin.canResolve(query)) {
-                return plugin;
+            try {
+                if (plugin.canResolve(query)) {
+                    return plugin;
+                }
+            } catch (error) {
+                this._handlePluginError(plugin, 'canResolve', error, { query });
             }
         }
         return null;
     }
 
+    /**
+     * Load a query through source plugins
+     * A plugin named by `options.source` searches plain queries; otherwise the
+     * first plugin whose canResolve() matches resolves the query
+     * @param {string} query - Query or URL
+     * @param {Object} [options] - Search/resolve options
+     * @param {string} [options.source] - Source plugin name
+     * @returns {Promise<Object[]|Object|null>} Raw plugin result, or null to fall back to Lavalink
+     */
+    async loadFromSource(query, options = {}) {
+        const named = options.source ? this.sources.get(options.source) : null;
+        const plugin = named || this.findSourceFor(query);
+        if (!plugin) return null;
+
+        const method = plugin === named && !Util.isValidUrl(query) ? 'search' : 'resolve';
+
+        try {
+            const result = await plugin[method](query, options);
+            const tracks = Array.isArray(result) ? result : result?.tracks;
+            if (!tracks?.length) return null;
+            return result;
+        } catch (error) {
+            this._handlePluginError(plugin, method, error, { query });
+            return null;
+        }
+    }
+
     /**
      * Run middleware on track load
-     * @param {Object} track - Track being loaded
-     * @returns {Promise<Object>}
+     * Plugins may mutate the track, return a replacement, or return null/false to drop it
+     * @param {Track} track - Track being loaded
+     * @param {Object} [context] - Load context (query, source, requester)
+     * @returns {Promise<Track|null>} Resulting track, or null if dropped
      */
-    async runTrackLoadMiddleware(track) {
+    async runTrackLoadMiddleware(track, context = {}) {
         for (const middleware of this.middlewares) {
-            if (typeof middleware.onTrackLoad === 'function') {
-                try {
-                    track = await middleware.onTrackLoad(track) || track;
-                } catch (error) {
-                    this.manager.logger?.warn(
-                        `Middleware ${middleware.name} onTrackLoad failed: ${error.message}`
-                    );
+            if (typeof middleware.onTrackLoad !== 'function') continue;
+
+            try {
+                const result = await middleware.onTrackLoad(track, context);
+
+                if (result === null || result === false) {
+                    this.manager.logger?.debug(`Track ${track.title} dropped by ${middleware.name}`);
+                    return null;
+                }
+
+                if (result !== undefined) {
+                    track = this._toTrack(result, track.requester);
                 }
+            } catch (error) {
+                this._handlePluginError(middleware, 'onTrackLoad', error, { track });
             }
         }
         return track;
     }
 
     /**
-     * Run middleware on play
+     * Run track load middleware over a list of tracks
+     * @param {Track[]} tracks - Loaded tracks
+     * @param {Object} [context] - Load context (query, source, requester)
+     * @returns {Promise<Track[]>} Tracks that were not dropped
+     */
+    async runTrackLoadMiddlewareAll(tracks, context = {}) {
+        if (!this.middlewares.some(m => typeof m.onTrackLoad === 'function')) {
+            return tracks;
+        }
+
+        const results = [];
+        for (const track of tracks) {
+            const result = await this.runTrackLoadMiddleware(track, context);
+            if (result) results.push(result);
+        }
+        return results;
+    }
+
+    /**
+     * Run middleware on play, before the track is sent to Lavalink
+     * Plugins may return false to veto playback, or an object to swap the
+     * track and/or set start and end times
      * @param {Object} player - Player
-     * @param {Object} track - Track
-     * @returns {Promise<void>}
+     * @param {Track} track - Track
+     * @param {Object} [options] - Play options
+     * @returns {Promise<{ track: Track, options: Object }|null>} Final track and options, or null if vetoed
      */
-    async runPlayMiddleware(player, track) {
+    async runPlayMiddleware(player, track, options = {}) {
+        options = { ...options };
+
         for (const middleware of this.middlewares) {
-            if (typeof middleware.onPlay === 'function') {
-                try {
-                    await middleware.onPlay(player, track);
-                } catch (error) {
-                    this.manager.logger?.warn(
-                        `Middleware ${middleware.name} onPlay failed: ${error.message}`
-                    );
+            if (typeof middleware.onPlay !== 'function') continue;
+
+            try {
+                const result = await middleware.onPlay(player, track, options);
+
+                if (result === false) {
+                    this.manager.logger?.debug(`Playback of ${track.title} vetoed by ${middleware.name}`);
+                    return null;
                 }
+
+                if (result instanceof Track) {
+                    track = result;
+                } else if (result && typeof result === 'object') {
+                    /** @type {PlayMiddlewareResult} */
+                    const { track: swapped, startTime, endTime } = result;
+                    if (swapped) track = this._toTrack(swapped, track.requester);
+                    if (startTime !== undefined) options.startTime = startTime;
+                    if (endTime !== undefined) options.endTime = endTime;
+                }
+            } catch (error) {
+                this._handlePluginError(middleware, 'onPlay', error, { player, track });
             }
         }
+
+        return { track, options };
+    }
+
+    /**
+     * Register a parser for the plugin info of tracks, read with `track.getPluginInfo(name)`
+     * Parsers registered under a loaded plugin's name are removed when it is unloaded
+     * @param {string} name - Plugin name
+     * @param {Function} parser - Called with (pluginInfo, track); returns the parsed info or null
+     * @returns {Function} Function that removes the parser
+     */
+    registerPluginInfo(name, parser) {
+        const unregister = Track.registerPluginInfo(name, parser);
+        this._pluginInfoParsers.set(name, unregister);
+        return unregister;
+    }
+
+    /**
+     * Register a handler for a Lavalink event type, including events defined by
+     * Lavalink plugins (e.g. 'SegmentSkipped')
+     * @param {string} type - Event type as sent in the payload's `type`
+     * @param {Function} handler - Called with (payload, { node, player })
+     * @param {Object} [plugin] - Owning plugin; its handlers are removed when it is unloaded
+     * @returns {Function} Function that removes the handler
+     */
+    registerLavalinkEvent(type, handler, plugin = null) {
+        if (typeof handler !== 'function') {
+            throw new Error('Lavalink event handler must be a function');
+        }
+
+        const entry = { handler, plugin };
+        const handlers = this.lavalinkEvents.get(type) ?? [];
+        handlers.push(entry);
+        this.lavalinkEvents.set(type, handlers);
+
+        return () => {
+            const current = this.lavalinkEvents.get(type);
+            if (!current) return;
+
+            const remaining = current.filter(e => e !== entry);
+            if (remaining.length > 0) {
+                this.lavalinkEvents.set(type, remaining);
+            } else {
+                this.lavalinkEvents.delete(type);
+            }
+        };
+    }
+
+    /**
+     * Run handlers registered for a Lavalink event
+     * @param {Object} payload - Raw event payload
+     * @param {Object} context - Event context
+     * @param {Object} context.node - Node that received the event
+     * @param {Object|null} context.player - Player for the payload's guild, if any
+     * @returns {Promise<void>}
+     */
+    async runLavalinkEvent(payload, context) {
+        const handlers = this.lavalinkEvents.get(payload.type);
+        if (!handlers) return;
+
+        for (const { handler, plugin } of [...handlers]) {
+            try {
+                await handler.call(plugin, payload, context);
+            } catch (error) {
+                this._handlePluginError(plugin, `lavalinkEvent:${payload.type}`, error, context);
+            }
+        }
+    }
+
+    /**
+     * Convert a middleware result to a Track, keeping the original requester
+     * @private
+     * @param {Track|Object} data - Track or raw track data
+     * @param {Object|null} requester - Original requester
+     * @returns {Track}
+     */
+    _toTrack(data, requester) {
+        const track = data instanceof Track ? data : Track.from(data);
+        if (!track.requester && requester) {
+            track.setRequester(requester);
+        }
+        return track;
+    }
+
+    /**
+     * Log and emit a plugin error without interrupting the pipeline
+     * @private
+     * @param {Object|null} plugin - Failing plugin (null for handlers registered without one)
+     * @param {string} hook - Hook name
+     * @param {Error} error - Thrown error
+     * @param {Object} [context] - Extra event data
+     */
+    _handlePluginError(plugin, hook, error, context = {}) {
+        this.manager.logger?.warn(`Middleware ${plugin?.name ?? 'handler'} ${hook} failed: ${error.message}`);
+        this.manager.emit(Events.PLUGIN_ERROR, { plugin, hook, error, ...context });
     }
 
     /**
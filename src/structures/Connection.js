@@ -147,6 +147,25 @@ class Connection extends FuelinkEmitter {
         await this._pendingConnection.promise;
     }
 
+    /**
+     * Attach to a voice connection that already exists (e.g. one Lavalink kept across a
+     * restart) without sending a voice state update to Discord
+     * @param {Object} voice - Voice state
+     * @param {string} voice.channelId - Voice channel ID
+     * @param {string} [voice.sessionId] - Voice session ID
+     * @param {string} [voice.token] - Voice token
+     * @param {string} [voice.endpoint] - Voice endpoint
+     * @returns {void}
+     */
+    attach({ channelId, sessionId = null, token = null, endpoint = null }) {
+        this.channelId = channelId;
+        this.sessionId = sessionId;
+        this.token = token;
+        this.endpoint = endpoint;
+        this.region = this._parseRegion(endpoint);
+        this.connected = true;
+    }
+
     /**
      * Disconnect from voice channel
      * @returns {void}
@@ -228,15 +247,24 @@ class Connection extends FuelinkEmitter {
         this.token = server.token;
         this.endpoint = server.endpoint;
 
-        // Extract region from endpoint
         if (this.endpoint) {
-            const match = this.endpoint.match(/^([a-z-]+)\d*\./);
-            this.region = match ? match[1] : null;
+            this.region = this._parseRegion(this.endpoint);
         }
 
         this._checkReady();
     }
 
+    /**
+     * Extract the region from a voice endpoint
+     * @private
+     * @param {string|null} endpoint - Voice endpoint, e.g. 'us-east1234.discord.media:443'
+     * @returns {string|null}
+     */
+    _parseRegion(endpoint) {
+        const match = endpoint?.match(/^([a-z-]+)\d*\./);
+        return match ? match[1] : null;
+    }
+
     /**
      * Check if voice connection is ready
      * @private
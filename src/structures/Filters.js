@@ -5,7 +5,7 @@
  * @module fuelink/structures/Filters
  */
 
-const { BassBoostPresets, EQPresets, TimescalePresets } = require('../utils/Constants');
+const { BassBoostPresets, EQPresets, TimescalePresets, ErrorCodes } = require('../utils/Constants');
 
 /**
  * @typedef {Object} EQBand
@@ -145,20 +145,41 @@ class Filters {
          */
         this.lowPass = null;
 
+        /**
+         * Filters provided by Lavalink plugins, keyed by plugin filter name
+         * @type {Object<string, Object>}
+         */
+        this.pluginFilters = {};
+
         /**
          * Custom filter presets
          * @type {Map<string, Object>}
          */
         this.presets = new Map();
+
+        /**
+         * Volume multiplier of a running fade (0-1); never part of the saved filters
+         * @type {number}
+         * @private
+         */
+        this._fadeLevel = 1;
     }
 
     /**
      * Apply the current filters to Lavalink
      * @returns {Promise<void>}
+     * @throws {Error} CAPABILITY_UNAVAILABLE if the player's node does not support an active filter
      */
     async apply() {
-        const payload = this.toJSON();
-        await this.player._sendFilters(payload);
+        const node = this.player.node;
+        const missing = node?.getMissingCapabilities({ filters: this.active }) ?? [];
+        if (missing.length > 0) {
+            const error = new Error(`Node ${node.name} does not support ${missing.join(', ')}`);
+            error.code = ErrorCodes.CAPABILITY_UNAVAILABLE;
+            throw error;
+        }
+
+        await this.player._sendFilters(this._toPayload());
     }
 
     /**
@@ -176,6 +197,7 @@ class Filters {
         this.distortion = null;
         this.channelMix = null;
         this.lowPass = null;
+        this.pluginFilters = {};
         await this.apply();
     }
 
@@ -417,6 +439,23 @@ class Filters {
         await this.apply();
     }
 
+    // ==================== Plugin Filters ====================
+
+    /**
+     * Set a filter provided by a Lavalink plugin
+     * @param {string} name - Plugin filter name (e.g. 'echo')
+     * @param {Object|null} options - Filter options or null to disable
+     * @returns {Promise<void>}
+     */
+    async setPluginFilter(name, options) {
+        if (options === null) {
+            delete this.pluginFilters[name];
+        } else {
+            this.pluginFilters[name] = options;
+        }
+        await this.apply();
+    }
+
     // ==================== Presets ====================
 
     /**
@@ -530,6 +569,23 @@ class Filters {
             payload.lowPass = this.lowPass;
         }
 
+        if (Object.keys(this.pluginFilters).length > 0) {
+            payload.pluginFilters = { ...this.pluginFilters };
+        }
+
+        return payload;
+    }
+
+    /**
+     * Filters as sent to Lavalink, with any running fade applied to the volume
+     * @private
+     * @returns {Object}
+     */
+    _toPayload() {
+        const payload = this.toJSON();
+        if (this._fadeLevel < 1) {
+            payload.volume = (this.volume / 100) * this._fadeLevel;
+        }
         return payload;
     }
 
@@ -569,10 +625,41 @@ class Filters {
         if (data.lowPass !== undefined) {
             this.lowPass = data.lowPass;
         }
+        if (data.pluginFilters !== undefined) {
+            this.pluginFilters = { ...data.pluginFilters };
+        }
 
         await this.apply();
     }
 
+    /**
+     * Replace all filters with a Lavalink payload without applying them
+     * @private
+     * @param {Object} [data] - Filter payload as reported by Lavalink
+     */
+    _replaceFromPayload(data = {}) {
+        this.volume = (data.volume ?? 1) * 100;
+        this.equalizer = data.equalizer ?? [];
+        this.timescale = data.timescale ?? null;
+        this.karaoke = data.karaoke ?? null;
+        this.tremolo = data.tremolo ?? null;
+        this.vibrato = data.vibrato ?? null;
+        this.rotation = data.rotation ?? null;
+        this.distortion = data.distortion ?? null;
+        this.channelMix = data.channelMix ?? null;
+        this.lowPass = data.lowPass ?? null;
+        this.pluginFilters = { ...data.pluginFilters };
+    }
+
+    /**
+     * Names of the active filters, as Lavalink reports them in /v4/info
+     * @type {string[]}
+     */
+    get active() {
+        const { pluginFilters = {}, ...filters } = this.toJSON();
+        return [...Object.keys(filters), ...Object.keys(pluginFilters)];
+    }
+
     /**
      * Check if any filters are active
      * @type {boolean}
@@ -588,7 +675,8 @@ class Filters {
             this.rotation !== null ||
             this.distortion !== null ||
             this.channelMix !== null ||
-            this.lowPass !== null
+            this.lowPass !== null ||
+            Object.keys(this.pluginFilters).length > 0
         );
     }
 }
@@ -8,14 +8,44 @@
 const WebSocket = require('ws');
 const { request } = require('undici');
 const { FuelinkEmitter } = require('../events/EventEmitter');
+const { RoutePlanner } = require('./RoutePlanner');
 const {
     NodeState,
     Events,
     OpCodes,
     LavalinkEvents,
+    ErrorCodes,
     Defaults
 } = require('../utils/Constants');
 const { Util } = require('../utils/Util');
+const { FuelinkRestError } = require('../utils/Errors');
+const { LavalinkV3 } = require('../utils/LavalinkV3');
+
+/**
+ * Event types handled by Fuelink itself
+ * @type {Set<string>}
+ */
+const KnownEvents = new Set(Object.values(LavalinkEvents));
+
+/**
+ * HTTP methods that are safe to retry
+ * @type {Set<string>}
+ */
+const IdempotentMethods = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+/**
+ * Connection errors where the request never reached Lavalink (safe to retry for any method)
+ * @type {Set<string>}
+ */
+const ConnectErrorCodes = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Search sources served by another Lavalink source manager
+ * @type {Object<string, string>}
+ */
+const SourceManagerAliases = {
+    youtubemusic: 'youtube'
+};
 
 /**
  * @typedef {Object} NodeOptions
@@ -30,6 +60,19 @@ const { Util } = require('../utils/Util');
  * @property {number} [resumeTimeout=60] - Resume timeout in seconds
  * @property {number} [priority=1] - Node priority (lower = preferred)
  * @property {string[]} [regions] - Preferred regions
+ * @property {number} [weight=1] - Share of players for the weightedRandom selection strategy
+ * @property {number|string} [version=4] - Lavalink major version (3 or 4), or 'auto' to detect
+ *   it from GET /version on each connect
+ * @property {RestOptions} [rest] - REST timeout, retry and health settings
+ */
+
+/**
+ * @typedef {Object} RestOptions
+ * @property {number} [timeout=10000] - Per-request timeout in ms
+ * @property {number} [retries=2] - Max retries for retryable failures
+ * @property {number} [retryDelay=250] - Initial retry backoff in ms, doubled per retry
+ * @property {number} [failureThreshold=5] - Consecutive failures before the node is marked unhealthy
+ * @property {number} [resetTimeout=30000] - How long an unhealthy node rejects requests, in ms
  */
 
 /**
@@ -42,6 +85,21 @@ const { Util } = require('../utils/Util');
  * @property {Object} frameStats - Frame statistics
  */
 
+/**
+ * @typedef {Object} NodeCapabilities
+ * @property {string|null} version - Lavalink version
+ * @property {string[]} sourceManagers - Enabled source managers (e.g. youtube, spotify)
+ * @property {string[]} filters - Enabled filters, including plugin filters
+ * @property {string[]} plugins - Loaded plugin names
+ */
+
+/**
+ * @typedef {Object} CapabilityRequirements
+ * @property {string} [source] - Search source (e.g. spotify, youtubemusic)
+ * @property {string[]} [filters] - Filter names
+ * @property {string[]} [plugins] - Plugin names
+ */
+
 /**
  * Represents a Lavalink node connection
  * @extends FuelinkEmitter
@@ -127,6 +185,31 @@ class Node extends FuelinkEmitter {
          */
         this.regions = options.regions ?? [];
 
+        /**
+         * Selection weight (weightedRandom strategy)
+         * @type {number}
+         */
+        this.weight = options.weight ?? Defaults.NODE.weight;
+
+        /**
+         * Lavalink major version (3 or 4); null until detected when the version option is 'auto'
+         * @type {number|null}
+         */
+        this.version = options.version === 'auto' ? null : options.version ?? Defaults.NODE.version;
+
+        /**
+         * Whether the version is detected on connect
+         * @type {boolean}
+         * @private
+         */
+        this._autoVersion = options.version === 'auto';
+
+        /**
+         * REST settings
+         * @type {RestOptions}
+         */
+        this.restOptions = { ...Defaults.REST, ...options.rest };
+
         /**
          * Current node state
          * @type {string}
@@ -139,6 +222,59 @@ class Node extends FuelinkEmitter {
          */
         this.sessionId = null;
 
+        /**
+         * Pending reconciliation of a resumed session
+         * @type {Promise<void>|null}
+         * @private
+         */
+        this._sessionReconcile = null;
+
+        /**
+         * Pending info fetch after ready
+         * @type {Promise<Object|null>|null}
+         * @private
+         */
+        this._infoFetch = null;
+
+        /**
+         * Whether the node is out of service for new players
+         * @type {boolean}
+         * @private
+         */
+        this._draining = false;
+
+        /**
+         * Consecutive failed REST requests
+         * @type {number}
+         * @private
+         */
+        this._restFailures = 0;
+
+        /**
+         * When the node was last marked unhealthy (0 if healthy)
+         * @type {number}
+         * @private
+         */
+        this._unhealthySince = 0;
+
+        /**
+         * Route planner API
+         * @type {RoutePlanner}
+         */
+        this.routePlanner = new RoutePlanner(this);
+
+        /**
+         * Server info from GET /v4/info (fetched on ready)
+         * @type {Object|null}
+         */
+        this.info = null;
+
+        /**
+         * What the node supports, parsed from its info (null until fetched)
+         * @type {NodeCapabilities|null}
+         */
+        this.capabilities = null;
+
         /**
          * Node statistics
          * @type {NodeStats|null}
@@ -171,6 +307,19 @@ class Node extends FuelinkEmitter {
          * @type {number}
          */
         this.connectedAt = 0;
+
+        /**
+         * WebSocket round-trip time in ms, measured on connect and with each stats payload
+         * @type {number|null}
+         */
+        this.ping = null;
+
+        /**
+         * When the last WebSocket ping was sent
+         * @type {number}
+         * @private
+         */
+        this._pingSentAt = 0;
     }
 
     /**
@@ -186,15 +335,54 @@ class Node extends FuelinkEmitter {
      * @type {string}
      */
     get wsUrl() {
-        return `ws${this.secure ? 's' : ''}://${this.host}:${this.port}/v4/websocket`;
+        const path = this.version === 3 ? '/' : '/v4/websocket';
+        return `ws${this.secure ? 's' : ''}://${this.host}:${this.port}${path}`;
     }
 
     /**
-     * Check if node is connected
+     * Prefix of versioned REST routes ('' on Lavalink v3)
+     * @type {string}
+     */
+    get apiPrefix() {
+        return this.version === 3 ? '' : '/v4';
+    }
+
+    /**
+     * Check if node is connected (a draining node is still connected)
      * @type {boolean}
      */
     get connected() {
-        return this.state === NodeState.CONNECTED;
+        return this.state === NodeState.CONNECTED || this.state === NodeState.DRAINING;
+    }
+
+    /**
+     * Whether the node is draining (not assigned new players)
+     * @type {boolean}
+     */
+    get draining() {
+        return this._draining;
+    }
+
+    /**
+     * Take the node out of service for new players, or put it back
+     * Use NodeManager.drain() to also migrate its players away
+     * @param {boolean} draining - Whether the node is draining
+     */
+    setDraining(draining) {
+        this._draining = draining;
+        if (this.connected) {
+            this.state = draining ? NodeState.DRAINING : NodeState.CONNECTED;
+        }
+    }
+
+    /**
+     * Whether REST requests are accepted (false while the circuit breaker is open)
+     * After resetTimeout, requests are let through again to probe the node
+     * @type {boolean}
+     */
+    get healthy() {
+        return this._unhealthySince === 0 ||
+            Date.now() - this._unhealthySince >= this.restOptions.resetTimeout;
     }
 
     /**
@@ -235,14 +423,20 @@ class Node extends FuelinkEmitter {
 
         this.state = NodeState.CONNECTING;
 
+        if (this._autoVersion) {
+            await this._detectVersion();
+        }
+
         const headers = {
             'Authorization': this.password,
             'User-Id': this.manager.userId,
             'Client-Name': 'Fuelink/1.0.0'
         };
 
-        // Add resume key if available
-        if (this.sessionId) {
+        // Resume the previous (possibly persisted) session if known
+        if (this.version === 3) {
+            if (this.resumeKey) headers['Resume-Key'] = this.resumeKey;
+        } else if (this.sessionId) {
             headers['Session-Id'] = this.sessionId;
         }
 
@@ -262,6 +456,10 @@ class Node extends FuelinkEmitter {
                 resolve();
             });
 
+            this._ws.on('pong', () => {
+                this.ping = Date.now() - this._pingSentAt;
+            });
+
             this._ws.on('close', (code, reason) => {
                 clearTimeout(timeout);
                 this._onClose(code, reason.toString());
@@ -317,6 +515,44 @@ class Node extends FuelinkEmitter {
         this._reconnectAttempts = 0;
         this.connectedAt = Date.now();
         this.manager.logger?.success(`Connected to node`, this.name);
+        this._sendPing();
+
+        // Lavalink v3 has no ready op before 3.7, so the node is usable once connected
+        if (this.version === 3) {
+            this._handleReady({ op: OpCodes.READY, resumed: false, sessionId: null });
+        }
+    }
+
+    /**
+     * Detect the Lavalink major version from GET /version
+     * Keeps the previous version (or v4) if the node does not answer
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _detectVersion() {
+        try {
+            const text = await this.rest('GET', '/version', null, { raw: true, retries: 0 });
+            const major = parseInt(text, 10);
+            this.version = major === 3 ? 3 : 4;
+            this.manager.logger?.debug(`Detected Lavalink ${text.trim()}`, this.name);
+        } catch (error) {
+            this.version = this.version ?? Defaults.NODE.version;
+            this.manager.logger?.warn(
+                `Failed to detect version, using v${this.version}: ${error.message}`,
+                this.name
+            );
+        }
+    }
+
+    /**
+     * Send a WebSocket ping to measure latency
+     * @private
+     */
+    _sendPing() {
+        if (this._ws?.readyState !== WebSocket.OPEN) return;
+
+        this._pingSentAt = Date.now();
+        this._ws.ping();
     }
 
     /**
@@ -328,9 +564,18 @@ class Node extends FuelinkEmitter {
     _onClose(code, reason) {
         this.manager.logger?.warn(`Disconnected (${code}): ${reason}`, this.name);
 
-        this.emit(Events.NODE_DISCONNECT, { node: this, code, reason });
+        // A manual disconnect() leaves the state as DISCONNECTED before the socket closes
+        const intentional = this.state === NodeState.DESTROYED ||
+            this.state === NodeState.DISCONNECTED;
+        const reconnecting = !intentional && this._reconnectAttempts < this.retryAmount;
+
+        if (this.state !== NodeState.DESTROYED) {
+            this.state = reconnecting ? NodeState.RECONNECTING : NodeState.DISCONNECTED;
+        }
+
+        this.emit(Events.NODE_DISCONNECT, { node: this, code, reason, reconnecting, intentional });
 
-        if (this.state !== NodeState.DESTROYED && this._reconnectAttempts < this.retryAmount) {
+        if (reconnecting) {
             this._scheduleReconnect();
         }
     }
@@ -362,7 +607,12 @@ class Node extends FuelinkEmitter {
 
         switch (payload.op) {
             case OpCodes.READY:
-                this._handleReady(payload);
+                // Lavalink 3.7 also sends ready; the v3 connection was already set up on open
+                if (this.version === 3) {
+                    this.sessionId = payload.sessionId ?? null;
+                } else {
+                    this._handleReady(payload);
+                }
                 break;
             case OpCodes.STATS:
                 this._handleStats(payload);
@@ -371,7 +621,7 @@ class Node extends FuelinkEmitter {
                 this._handlePlayerUpdate(payload);
                 break;
             case OpCodes.EVENT:
-                this._handleEvent(payload);
+                this._handleEvent(this.version === 3 ? LavalinkV3.fromEvent(payload) : payload);
                 break;
         }
     }
@@ -383,7 +633,8 @@ class Node extends FuelinkEmitter {
      */
     _handleReady(payload) {
         this.sessionId = payload.sessionId;
-        this.state = NodeState.CONNECTED;
+        this.state = this._draining ? NodeState.DRAINING : NodeState.CONNECTED;
+        this._recordRestSuccess();
 
         const resumed = payload.resumed ?? false;
         this.manager.logger?.success(
@@ -391,13 +642,26 @@ class Node extends FuelinkEmitter {
             this.name
         );
 
-        // Configure resuming if key is set
-        if (this.resumeKey) {
+        // Configure resuming if key is set, or if the session is persisted across restarts
+        if (this.resumeKey || this.manager.persistence) {
             this._configureResuming();
         }
 
+        this._persistSession();
+
+        // The server may have been upgraded or reconfigured while we were away
+        this._infoFetch = this.getInfo().catch(error => {
+            this.manager.logger?.warn(`Failed to fetch info: ${error.message}`, this.name);
+            return null;
+        });
+
         this.emit(Events.NODE_READY, { node: this, resumed });
         this.manager.emit(Events.NODE_CONNECT, { node: this });
+
+        // Sync local players with the ones Lavalink kept for us
+        if (resumed) {
+            this._sessionReconcile = this._reconcileSession();
+        }
     }
 
     /**
@@ -415,6 +679,20 @@ class Node extends FuelinkEmitter {
             frameStats: payload.frameStats
         };
         this.emit(Events.NODE_STATS, { node: this, stats: this.stats });
+        this._sendPing();
+
+        // Keep the saved session alive while the node is
+        this._persistSession();
+    }
+
+    /**
+     * Save the session to the persistence store, if enabled
+     * @private
+     */
+    _persistSession() {
+        this.manager.persistence?.saveNodeSession(this).catch(error => {
+            this.manager.logger?.warn(`Failed to persist session: ${error.message}`, this.name);
+        });
     }
 
     /**
@@ -431,13 +709,34 @@ class Node extends FuelinkEmitter {
 
     /**
      * Handle event payload
+     * Built-in event types drive the player; every type also runs handlers
+     * registered by plugins, and unknown types are forwarded as lavalinkEvent
      * @private
      * @param {Object} payload
      */
     _handleEvent(payload) {
-        const player = this.manager.players.get(payload.guildId);
-        if (!player) return;
+        const player = this.manager.players.get(payload.guildId) ?? null;
+        const known = KnownEvents.has(payload.type);
+
+        // Players that moved to another node ignore what is left of them here
+        if (player?.node === this && known) {
+            this._dispatchPlayerEvent(player, payload);
+        }
 
+        this.manager.plugins.runLavalinkEvent(payload, { node: this, player });
+
+        if (!known) {
+            this.emit(Events.LAVALINK_EVENT, { node: this, player, type: payload.type, payload });
+        }
+    }
+
+    /**
+     * Dispatch a built-in event to its player
+     * @private
+     * @param {Object} player
+     * @param {Object} payload
+     */
+    _dispatchPlayerEvent(player, payload) {
         switch (payload.type) {
             case LavalinkEvents.TRACK_START:
                 player._handleTrackStart(payload.track);
@@ -454,6 +753,40 @@ class Node extends FuelinkEmitter {
             case LavalinkEvents.WEBSOCKET_CLOSED:
                 player._handleWebSocketClosed(payload.code, payload.reason, payload.byRemote);
                 break;
+            case LavalinkEvents.SEGMENTS_LOADED:
+                player._handleSegmentsLoaded(payload.segments);
+                break;
+            case LavalinkEvents.SEGMENT_SKIPPED:
+                player._handleSegmentSkipped(payload.segment);
+                break;
+            case LavalinkEvents.CHAPTERS_LOADED:
+                player._handleChaptersLoaded(payload.chapters);
+                break;
+            case LavalinkEvents.CHAPTER_STARTED:
+                player._handleChapterStarted(payload.chapter);
+                break;
+        }
+    }
+
+    /**
+     * Reconcile local players with the resumed session's players
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _reconcileSession() {
+        try {
+            const remotePlayers = await this.getPlayers();
+            const summary = await this.manager.players.reconcile(this, remotePlayers ?? []);
+
+            this.manager.logger?.info(
+                `Reconciled ${summary.synced.length} players ` +
+                `(${summary.destroyedLocal.length} local / ${summary.destroyedRemote.length} remote orphans)`,
+                this.name
+            );
+
+            this.emit(Events.SESSION_RESUMED, { node: this, ...summary });
+        } catch (error) {
+            this.manager.logger?.error(`Failed to reconcile session: ${error.message}`, this.name);
         }
     }
 
@@ -462,6 +795,15 @@ class Node extends FuelinkEmitter {
      * @private
      */
     async _configureResuming() {
+        // Lavalink v3 resumes by key, configured over the websocket
+        if (this.version === 3) {
+            if (!this.resumeKey) return;
+
+            this.send({ op: OpCodes.CONFIGURE_RESUMING, key: this.resumeKey, timeout: this.resumeTimeout });
+            this.manager.logger?.debug('Resuming configured', this.name);
+            return;
+        }
+
         try {
             await this.rest('PATCH', `/v4/sessions/${this.sessionId}`, {
                 resuming: true,
@@ -506,57 +848,186 @@ class Node extends FuelinkEmitter {
     /**
      * Send payload via WebSocket
      * @param {Object} payload - Payload to send
+     * @throws {Error} NODE_ERROR if the WebSocket is not open
      */
     send(payload) {
         if (!this._ws || this._ws.readyState !== WebSocket.OPEN) {
-            throw new Error('WebSocket not connected');
+            const error = new Error(`Node ${this.name} WebSocket not connected`);
+            error.code = ErrorCodes.NODE_ERROR;
+            throw error;
         }
         this._ws.send(JSON.stringify(payload));
     }
 
     /**
-     * Make a REST request to Lavalink
+     * Make a REST request
+     * Idempotent requests are retried with backoff on timeouts, connection errors,
+     * 429 and 5xx responses; other methods only when the connection was refused
      * @param {string} method - HTTP method
      * @param {string} path - API path
      * @param {Object} [body] - Request body
-     * @returns {Promise<Object>}
+     * @param {Object} [options] - Request options
+     * @param {number} [options.timeout] - Timeout in ms
+     * @param {number} [options.retries] - Max retries
+     * @param {boolean} [options.idempotent] - Override idempotency detection
+     * @param {boolean} [options.raw=false] - Return the response text instead of parsed JSON
+     * @returns {Promise<Object|string|null>}
+     * @throws {FuelinkRestError}
+     */
+    async rest(method, path, body = null, options = {}) {
+        const idempotent = options.idempotent ?? IdempotentMethods.has(method);
+        const timeout = options.timeout ?? this.restOptions.timeout;
+
+        return Util.retry(() => this._request(method, path, body, timeout, options.raw), {
+            maxRetries: options.retries ?? this.restOptions.retries,
+            initialDelay: this.restOptions.retryDelay,
+            shouldRetry: error =>
+                error.retryable && (idempotent || ConnectErrorCodes.has(error.cause?.code))
+        });
+    }
+
+    /**
+     * Send a single REST request
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - API path
+     * @param {Object|null} body - Request body
+     * @param {number} timeout - Timeout in ms
+     * @param {boolean} [raw=false] - Return the response text
+     * @returns {Promise<Object|string|null>}
      */
-    async rest(method, path, body = null) {
-        const url = `${this.restUrl}${path}`;
+    async _request(method, path, body, timeout, raw = false) {
+        if (!this.healthy) {
+            throw new FuelinkRestError(`Node ${this.name} is unhealthy, REST ${method} ${path} skipped`, {
+                method,
+                path,
+                node: this.name,
+                code: ErrorCodes.NODE_UNHEALTHY
+            });
+        }
 
         const options = {
             method,
             headers: {
                 'Authorization': this.password,
                 'Content-Type': 'application/json'
-            }
+            },
+            signal: AbortSignal.timeout(timeout)
         };
 
         if (body) {
             options.body = JSON.stringify(body);
         }
 
-        const response = await request(url, options);
+        let response;
+        let text;
+
+        try {
+            response = await request(`${this.restUrl}${path}`, options);
+            text = await response.body.text();
+        } catch (cause) {
+            const timedOut = options.signal.aborted;
+            const error = new FuelinkRestError(
+                timedOut
+                    ? `REST ${method} ${path} timed out after ${timeout}ms`
+                    : `REST ${method} ${path} failed: ${cause.message}`,
+                {
+                    method,
+                    path,
+                    node: this.name,
+                    code: timedOut ? ErrorCodes.REST_TIMEOUT : ErrorCodes.REST_ERROR,
+                    retryable: true,
+                    cause
+                }
+            );
+            this._recordRestFailure(error);
+            throw error;
+        }
+
+        const status = response.statusCode;
+
+        if (status >= 400) {
+            let data = null;
+            try {
+                data = JSON.parse(text);
+            } catch {
+                // Not a Lavalink error body
+            }
+
+            const error = new FuelinkRestError(
+                `REST ${method} ${path} failed (${status}): ${data?.message ?? text}`,
+                {
+                    method,
+                    path,
+                    node: this.name,
+                    status,
+                    response: data,
+                    retryable: status === 429 || status >= 500
+                }
+            );
 
-        if (response.statusCode >= 400) {
-            const text = await response.body.text();
-            throw new Error(`REST ${method} ${path} failed (${response.statusCode}): ${text}`);
+            // Client errors still mean the node is responding
+            if (status >= 500) {
+                this._recordRestFailure(error);
+            } else {
+                this._recordRestSuccess();
+            }
+            throw error;
         }
 
+        this._recordRestSuccess();
+
+        if (raw) return text;
+
         // Handle empty responses
-        const text = await response.body.text();
         if (!text) return null;
 
         return JSON.parse(text);
     }
 
+    /**
+     * Count a failed request, marking the node unhealthy at the threshold
+     * @private
+     * @param {FuelinkRestError} error
+     */
+    _recordRestFailure(error) {
+        this._restFailures++;
+        if (this._restFailures < this.restOptions.failureThreshold) return;
+
+        const wasHealthy = this._unhealthySince === 0;
+        this._unhealthySince = Date.now();
+
+        if (wasHealthy) {
+            this.manager.logger?.warn(
+                `Marked unhealthy after ${this._restFailures} failed requests: ${error.message}`,
+                this.name
+            );
+            this.emit(Events.NODE_UNHEALTHY, { node: this, failures: this._restFailures, error });
+        }
+    }
+
+    /**
+     * Reset the failure count, marking the node healthy again
+     * @private
+     */
+    _recordRestSuccess() {
+        this._restFailures = 0;
+        if (this._unhealthySince === 0) return;
+
+        this._unhealthySince = 0;
+        this.manager.logger?.info('Healthy again', this.name);
+        this.emit(Events.NODE_HEALTHY, { node: this });
+    }
+
     /**
      * Load tracks from Lavalink
      * @param {string} identifier - Search query or URL
      * @returns {Promise<Object>}
      */
     async loadTracks(identifier) {
-        return this.rest('GET', `/v4/loadtracks?identifier=${encodeURIComponent(identifier)}`);
+        const path = `${this.apiPrefix}/loadtracks?identifier=${encodeURIComponent(identifier)}`;
+        const result = await this.rest('GET', path);
+        return this.version === 3 ? LavalinkV3.fromLoadResult(result) : result;
     }
 
     /**
@@ -565,6 +1036,11 @@ class Node extends FuelinkEmitter {
      * @returns {Promise<Object>}
      */
     async decodeTrack(encoded) {
+        if (this.version === 3) {
+            // v3 returns the bare track info
+            const info = await this.rest('GET', `/decodetrack?track=${encodeURIComponent(encoded)}`);
+            return LavalinkV3.fromTrack({ track: encoded, info: info?.info ?? info });
+        }
         return this.rest('GET', `/v4/decodetrack?encodedTrack=${encodeURIComponent(encoded)}`);
     }
 
@@ -574,7 +1050,8 @@ class Node extends FuelinkEmitter {
      * @returns {Promise<Object[]>}
      */
     async decodeTracks(tracks) {
-        return this.rest('POST', '/v4/decodetracks', tracks);
+        const decoded = await this.rest('POST', `${this.apiPrefix}/decodetracks`, tracks);
+        return this.version === 3 ? (decoded ?? []).map(track => LavalinkV3.fromTrack(track)) : decoded;
     }
 
     /**
@@ -582,7 +1059,70 @@ class Node extends FuelinkEmitter {
      * @returns {Promise<Object>}
      */
     async getInfo() {
-        return this.rest('GET', '/v4/info');
+        // v3 only reports its version; capabilities stay unknown (assumed supported)
+        if (this.version === 3) {
+            const semver = (await this.rest('GET', '/version', null, { raw: true })).trim();
+            this.info = { version: { semver }, sourceManagers: [], filters: [], plugins: [] };
+            this.capabilities = null;
+            return this.info;
+        }
+
+        this.info = await this.rest('GET', '/v4/info');
+        this.capabilities = {
+            version: this.info?.version?.semver ?? null,
+            sourceManagers: this.info?.sourceManagers ?? [],
+            filters: this.info?.filters ?? [],
+            plugins: (this.info?.plugins ?? []).map(plugin => plugin.name)
+        };
+        return this.info;
+    }
+
+    /**
+     * List the requirements this node does not meet
+     * Capabilities are assumed supported until the node's info has been fetched
+     * @param {CapabilityRequirements} [requires] - Requirements
+     * @returns {string[]} Descriptions of the missing capabilities, e.g. 'source "spotify"'
+     */
+    getMissingCapabilities(requires = {}) {
+        if (!this.capabilities) return [];
+
+        const missing = [];
+        if (requires.source) {
+            const source = SourceManagerAliases[requires.source] ?? requires.source;
+            if (!this.capabilities.sourceManagers.includes(source)) {
+                missing.push(`source "${requires.source}"`);
+            }
+        }
+        for (const filter of requires.filters ?? []) {
+            if (!this.capabilities.filters.includes(filter)) {
+                missing.push(`filter "${filter}"`);
+            }
+        }
+        for (const plugin of requires.plugins ?? []) {
+            if (!this.capabilities.plugins.includes(plugin)) {
+                missing.push(`plugin "${plugin}"`);
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Check if the node meets capability requirements
+     * @param {CapabilityRequirements} [requires] - Requirements
+     * @returns {boolean}
+     */
+    supports(requires = {}) {
+        return this.getMissingCapabilities(requires).length === 0;
+    }
+
+    /**
+     * Check if the node has a Lavalink plugin loaded
+     * @param {string} name - Plugin name as reported by /v4/info
+     * @returns {Promise<boolean>}
+     */
+    async hasPlugin(name) {
+        const info = this.info ?? await this.getInfo();
+        return info?.plugins?.some(plugin => plugin.name === name) ?? false;
     }
 
     /**
@@ -590,17 +1130,100 @@ class Node extends FuelinkEmitter {
      * @returns {Promise<Object>}
      */
     async getStats() {
+        // v3 only reports stats over the websocket
+        if (this.version === 3) return this.stats;
         return this.rest('GET', '/v4/stats');
     }
 
+    /**
+     * Get lyrics for an encoded track (lyrics plugin)
+     * @param {string} encoded - Encoded track
+     * @param {boolean} [skipTrackSource=false] - Skip lyrics from the track's own source
+     * @returns {Promise<Object|null>}
+     */
+    async getLyrics(encoded, skipTrackSource = false) {
+        this._requireV4('Lyrics');
+        return this.rest(
+            'GET',
+            `/v4/lyrics?track=${encodeURIComponent(encoded)}&skipTrackSource=${skipTrackSource}`
+        );
+    }
+
+    /**
+     * Get lyrics for a player's current track (lyrics plugin)
+     * @param {string} guildId - Guild ID
+     * @param {boolean} [skipTrackSource=false] - Skip lyrics from the track's own source
+     * @returns {Promise<Object|null>}
+     */
+    async getPlayerLyrics(guildId, skipTrackSource = false) {
+        this._requireV4('Lyrics');
+        return this.rest(
+            'GET',
+            `/v4/sessions/${this.sessionId}/players/${guildId}/track/lyrics?skipTrackSource=${skipTrackSource}`
+        );
+    }
+
+    /**
+     * Get a player's SponsorBlock categories (SponsorBlock plugin)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string[]>}
+     */
+    async getSponsorBlock(guildId) {
+        this._requireV4('SponsorBlock');
+        const path = `/v4/sessions/${this.sessionId}/players/${guildId}/sponsorblock/categories`;
+        return (await this.rest('GET', path)) ?? [];
+    }
+
+    /**
+     * Set a player's SponsorBlock categories (SponsorBlock plugin)
+     * @param {string} guildId - Guild ID
+     * @param {string[]} categories - Segment categories to skip
+     * @returns {Promise<void>}
+     */
+    async setSponsorBlock(guildId, categories) {
+        this._requireV4('SponsorBlock');
+        const path = `/v4/sessions/${this.sessionId}/players/${guildId}/sponsorblock/categories`;
+        await this.rest('PUT', path, categories);
+    }
+
+    /**
+     * Disable SponsorBlock for a player (SponsorBlock plugin)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<void>}
+     */
+    async deleteSponsorBlock(guildId) {
+        this._requireV4('SponsorBlock');
+        const path = `/v4/sessions/${this.sessionId}/players/${guildId}/sponsorblock/categories`;
+        await this.rest('DELETE', path);
+    }
+
+    /**
+     * Get all players in the current session
+     * @returns {Promise<Object[]>}
+     */
+    async getPlayers() {
+        // v3 cannot list players
+        if (this.version === 3) return [];
+        return this.rest('GET', `/v4/sessions/${this.sessionId}/players`);
+    }
+
     /**
      * Update player state
+     * On Lavalink v3 the update is sent as websocket ops, which get no response
      * @param {string} guildId - Guild ID
      * @param {Object} data - Player data
      * @param {boolean} [noReplace=false] - Don't replace current track
-     * @returns {Promise<Object>}
+     * @returns {Promise<Object|null>} Updated Lavalink player, or null on Lavalink v3
+     * @throws {Error} NODE_ERROR on Lavalink v3 if the WebSocket is not open
      */
     async updatePlayer(guildId, data, noReplace = false) {
+        if (this.version === 3) {
+            for (const op of LavalinkV3.toOps(guildId, data, noReplace)) {
+                this.send(op);
+            }
+            return null;
+        }
+
         const path = `/v4/sessions/${this.sessionId}/players/${guildId}?noReplace=${noReplace}`;
         return this.rest('PATCH', path, data);
     }
@@ -609,12 +1232,32 @@ class Node extends FuelinkEmitter {
      * Destroy a player
      * @param {string} guildId - Guild ID
      * @returns {Promise<void>}
+     * @throws {Error} NODE_ERROR on Lavalink v3 if the WebSocket is not open
      */
     async destroyPlayer(guildId) {
+        if (this.version === 3) {
+            this.send({ op: OpCodes.DESTROY, guildId });
+            return;
+        }
+
         const path = `/v4/sessions/${this.sessionId}/players/${guildId}`;
         await this.rest('DELETE', path);
     }
 
+    /**
+     * Throw if a feature needs Lavalink v4
+     * @private
+     * @param {string} feature - Feature name
+     * @throws {Error} CAPABILITY_UNAVAILABLE on Lavalink v3
+     */
+    _requireV4(feature) {
+        if (this.version !== 3) return;
+
+        const error = new Error(`${feature} is not supported on Lavalink v3 (node ${this.name})`);
+        error.code = ErrorCodes.CAPABILITY_UNAVAILABLE;
+        throw error;
+    }
+
     /**
      * Serialize node state
      * @returns {Object}
@@ -627,10 +1270,14 @@ class Node extends FuelinkEmitter {
             secure: this.secure,
             priority: this.priority,
             regions: this.regions,
+            version: this.version,
             state: this.state,
+            draining: this._draining,
             sessionId: this.sessionId,
             stats: this.stats,
             penalty: this.penalty,
+            ping: this.ping,
+            capabilities: this.capabilities,
             connectedAt: this.connectedAt
         };
     }
@@ -9,14 +9,75 @@ const { FuelinkEmitter } = require('../events/EventEmitter');
 const { Queue } = require('./Queue');
 const { Filters } = require('./Filters');
 const { Connection } = require('./Connection');
+const { VoteSkip } = require('./VoteSkip');
 const { Track } = require('./Track');
 const {
     PlayerState,
+    PlayerTransitions,
     Events,
     Defaults,
-    TrackEndReason
+    LoopMode,
+    TrackEndReason,
+    MigrateReason,
+    SponsorBlockCategories,
+    FadeCurve,
+    ErrorCodes
 } = require('../utils/Constants');
 
+/**
+ * Interval between volume steps of a fade, in ms
+ * @type {number}
+ */
+const FADE_STEP = 250;
+
+/**
+ * How long before the end of a track a crossfade starts the next one, in ms
+ * Covers the last fade step and the play request, so the next track is playing before
+ * the outgoing one would have ended
+ * @type {number}
+ */
+const CROSSFADE_LEAD = 2 * FADE_STEP;
+
+/**
+ * Commands that can fade
+ * @type {string[]}
+ */
+const FADE_ACTIONS = ['pause', 'resume', 'stop', 'skip'];
+
+/**
+ * Commands that wait for a fade-out before acting
+ * @type {string[]}
+ */
+const FADE_OUT_ACTIONS = ['pause', 'stop', 'skip'];
+
+/**
+ * Fade-in level (0-1) at a point (0-1) of the fade, per curve
+ * @type {Object<string, Function>}
+ */
+const FadeCurves = {
+    [FadeCurve.LINEAR]: progress => progress,
+    [FadeCurve.EXPONENTIAL]: progress => progress * progress,
+    [FadeCurve.LOGARITHMIC]: progress => 1 - (1 - progress) * (1 - progress),
+    [FadeCurve.S_CURVE]: progress => progress * progress * (3 - 2 * progress)
+};
+
+/**
+ * @typedef {Object} FadeSetting
+ * @property {number} duration - Fade duration in ms (0 = no fade)
+ * @property {string|Function|null} curve - Curve for this fade (null = the default curve)
+ */
+
+/**
+ * @typedef {Object} FadeOptions
+ * @property {string|Function} [curve='linear'] - Default curve: a FadeCurve, or a function
+ *   mapping fade-in progress (0-1) to a level (0-1)
+ * @property {number|FadeSetting} [pause=0] - Fade out before pausing
+ * @property {number|FadeSetting} [resume=0] - Fade in after resuming
+ * @property {number|FadeSetting} [stop=0] - Fade out before stopping
+ * @property {number|FadeSetting} [skip=0] - Fade out before skipping; the next track fades in
+ *   over the same duration
+ */
+
 /**
  * @typedef {Object} PlayerOptions
  * @property {string} guildId - Guild ID
@@ -25,6 +86,10 @@ const {
  * @property {number} [volume=100] - Initial volume
  * @property {boolean} [selfDeaf=true] - Self deafen
  * @property {boolean} [selfMute=false] - Self mute
+ * @property {number} [crossfade=0] - Fade-out/fade-in between tracks in ms (0 = off)
+ * @property {FadeOptions} [fades] - Fades for pause, resume, stop and skip
+ * @property {Object} [voteSkip] - Vote skip configuration (see VoteSkip)
+ * @property {number} [commandTimeout=15000] - Time a command may run for, plus its fade, in ms
  * @property {Object} [node] - Preferred node
  */
 
@@ -95,6 +160,12 @@ class Player extends FuelinkEmitter {
          */
         this.connection = new Connection(this);
 
+        /**
+         * Skip votes for the current track
+         * @type {VoteSkip}
+         */
+        this.votes = new VoteSkip(this, options.voteSkip);
+
         /**
          * Current node
          * @type {Object|null}
@@ -125,6 +196,28 @@ class Player extends FuelinkEmitter {
          */
         this.positionTimestamp = 0;
 
+        /**
+         * Whether the position was frozen for a node outage (until the next update)
+         * @type {boolean}
+         * @private
+         */
+        this._positionFrozen = false;
+
+        /**
+         * Sequence number of the last track sent to the node
+         * @type {number}
+         * @private
+         */
+        this._playSeq = 0;
+
+        /**
+         * Plays sent to the node whose end event has not arrived yet, oldest first
+         * Lavalink reports each play's events in order, so events are matched to these
+         * @type {number[]}
+         * @private
+         */
+        this._pendingPlays = [];
+
         /**
          * Whether player is connected to voice
          * @type {boolean}
@@ -163,8 +256,98 @@ class Player extends FuelinkEmitter {
          */
         this.selfMute = options.selfMute ?? Defaults.PLAYER.selfMute;
 
+        /**
+         * SponsorBlock categories skipped by Lavalink
+         * @type {string[]}
+         */
+        this.sponsorBlock = [];
+
+        /**
+         * Lyrics of the current track while live sync is enabled
+         * @type {Object|null}
+         */
+        this.lyrics = null;
+
+        /**
+         * Whether lyricsLine events are emitted
+         * @type {boolean}
+         * @private
+         */
+        this._lyricsSync = false;
+
+        /**
+         * Index of the last emitted lyrics line
+         * @type {number}
+         * @private
+         */
+        this._lyricsIndex = -1;
+
+        /**
+         * Timer that emits the next lyrics line
+         * @type {NodeJS.Timeout|null}
+         * @private
+         */
+        this._lyricsTimer = null;
+
+        /**
+         * Fade-out/fade-in between tracks in ms (0 = off)
+         * @type {number}
+         */
+        this.crossfade = options.crossfade ?? 0;
+
+        /**
+         * Timer that starts fading out the current track
+         * @type {NodeJS.Timeout|null}
+         * @private
+         */
+        this._crossfadeTimer = null;
+
+        /**
+         * Play that a crossfade moved on from before Lavalink reported its end
+         * @type {number|null}
+         * @private
+         */
+        this._crossfadedPlay = null;
+
+        /**
+         * Running volume fade, and the command it belongs to
+         * @type {{ timer: NodeJS.Timeout|null, resolve: Function, action: string|null }|null}
+         * @private
+         */
+        this._fade = null;
+
+        /**
+         * Fades for pause, resume, stop and skip
+         * @type {{ curve: string|Function, pause: FadeSetting, resume: FadeSetting, stop: FadeSetting, skip: FadeSetting }}
+         */
+        this.fades = { curve: Defaults.FADES.curve };
+        this.setFades({ ...Defaults.FADES, ...options.fades });
+
+        /**
+         * Time a command may run for (plus its fade) before it is given up on, in ms
+         * @type {number}
+         */
+        this.commandTimeout = options.commandTimeout ?? Defaults.PLAYER.commandTimeout;
+
+        /**
+         * Commands queued or running, oldest first
+         * @type {{ name: string, queuedAt: number, startedAt: number|null }[]}
+         * @private
+         */
+        this._commands = [];
+
+        /**
+         * Settles after the last queued command
+         * @type {Promise<void>}
+         * @private
+         */
+        this._commandChain = Promise.resolve();
+
         // Setup connection event handlers
         this._setupConnectionEvents();
+
+        // Bubble queue mutations up to the player
+        this._forwardQueueEvents();
     }
 
     /**
@@ -180,7 +363,7 @@ class Player extends FuelinkEmitter {
      * @type {number}
      */
     get estimatedPosition() {
-        if (!this.playing || this.paused) {
+        if (!this.playing || this.paused || !this.node?.connected) {
             return this.position;
         }
         return this.position + (Date.now() - this.positionTimestamp);
@@ -224,12 +407,45 @@ class Player extends FuelinkEmitter {
         });
     }
 
+    /**
+     * Forward queue events with guild context
+     * @private
+     */
+    _forwardQueueEvents() {
+        const events = [
+            Events.QUEUE_ADD,
+            Events.QUEUE_REMOVE,
+            Events.QUEUE_SHUFFLE,
+            Events.QUEUE_CLEAR,
+            Events.QUEUE_MOVE,
+            Events.QUEUE_SWAP,
+            Events.QUEUE_REVERSE,
+            Events.QUEUE_JUMP,
+            Events.QUEUE_BACK,
+            Events.QUEUE_LOOP,
+            Events.QUEUE_AUTOPLAY
+        ];
+
+        for (const event of events) {
+            this.queue.on(event, (data) => {
+                this.emit(event, { ...data, player: this, guildId: this.guildId });
+            });
+        }
+    }
+
     /**
      * Connect to voice channel
+     * Connecting while connected re-joins without changing the state
      * @returns {Promise<void>}
+     * @throws {Error} NO_PLAYER if the player is destroyed
      */
     async connect() {
-        this.state = PlayerState.CONNECTING;
+        this._assertNotDestroyed();
+
+        const joining = this.state === PlayerState.CONNECTING || this.state === PlayerState.DISCONNECTED;
+        if (joining) {
+            this._setState(PlayerState.CONNECTING, 'connect');
+        }
 
         await this.connection.connect({
             channelId: this.voiceChannel,
@@ -238,7 +454,9 @@ class Player extends FuelinkEmitter {
         });
 
         this.connected = true;
-        this.state = PlayerState.CONNECTED;
+        if (joining) {
+            this._setState(PlayerState.CONNECTED, 'connect');
+        }
     }
 
     /**
@@ -248,7 +466,7 @@ class Player extends FuelinkEmitter {
     disconnect() {
         this.connection.disconnect();
         this.connected = false;
-        this.state = PlayerState.DISCONNECTED;
+        this._setState(PlayerState.DISCONNECTED, 'disconnect');
     }
 
     /**
@@ -258,7 +476,7 @@ class Player extends FuelinkEmitter {
      */
     async _sendVoiceUpdate(data) {
         if (!this.node) {
-            this.node = this.manager.nodes.getBest(this.connection.region);
+            this.node = this.manager.nodes.select({ region: this.connection.region, player: this });
         }
 
         await this.node.updatePlayer(this.guildId, {
@@ -279,22 +497,73 @@ class Player extends FuelinkEmitter {
      * @param {number} [options.startTime] - Start time in ms
      * @param {number} [options.endTime] - End time in ms
      * @param {boolean} [options.noReplace=false] - Don't replace current track
+     * @param {number} [options.fadeIn] - Fade the track in from silence over this many ms
+     * @param {string|Function} [options.fadeCurve] - Curve for fadeIn (defaults to `fades.curve`)
      * @returns {Promise<Track|null>}
      */
     async play(track, options = {}) {
-        // If no track provided, get from queue
-        if (!track) {
-            track = this.queue.next();
-            if (!track) {
+        return this._enqueue('play', () => this._play(track, options), { interrupt: true });
+    }
+
+    /**
+     * Play a track or the next track in queue
+     * @private
+     * @param {Track} [track] - Track to play
+     * @param {Object} [options] - Play options
+     * @returns {Promise<Track|null>}
+     */
+    async _play(track, options = {}) {
+        this._assertTransition(PlayerState.PLAYING, 'play');
+        const fromQueue = !track;
+
+        // Vetoed or unplayable queue tracks are skipped (bounded so loop modes cannot spin)
+        let attempts = fromQueue ? this.queue.size + 1 : 1;
+        let prepared = null;
+
+        while (!prepared && attempts-- > 0) {
+            if (fromQueue) {
+                // If no track provided, get from queue
+                track = this.queue.next();
+                if (!track) {
+                    this.emit(Events.QUEUE_END, { player: this });
+                    this._handleQueueEnd();
+                    return null;
+                }
+            } else {
+                track = track instanceof Track ? track : Track.from(track);
+            }
+
+            // Let plugins veto, swap the track or adjust start/end times
+            prepared = await this.manager.plugins.runPlayMiddleware(this, track, options);
+
+            // Partial tracks from source plugins are resolved to a playable mirror
+            if (prepared && !prepared.track.encoded) {
+                try {
+                    await this.manager.distube.resolveTrack(prepared.track);
+                } catch (error) {
+                    if (!fromQueue) throw error;
+
+                    this.emit(Events.TRACK_ERROR, { player: this, track: prepared.track, error });
+                    prepared = null;
+                }
+            }
+        }
+
+        if (!prepared) {
+            // Every queued track was vetoed or failed to resolve: the queue ran out
+            if (fromQueue) {
+                this.queue.current = null;
                 this.emit(Events.QUEUE_END, { player: this });
                 this._handleQueueEnd();
-                return null;
             }
-        } else {
-            // Set as current track
-            this.queue.current = track instanceof Track ? track : Track.from(track);
+            return null;
         }
 
+        // Set as current track
+        this.queue.current = prepared.track;
+        this.votes.clear();
+        options = prepared.options;
+
         const playOptions = {
             track: { encoded: this.queue.current.encoded }
         };
@@ -306,19 +575,43 @@ class Player extends FuelinkEmitter {
             playOptions.endTime = options.endTime;
         }
 
-        // Apply current filters
-        if (this.filters.hasActiveFilters) {
-            playOptions.filters = this.filters.toJSON();
+        // A track that faded out hands over to one that fades in from the same level
+        this._clearCrossfade();
+        const faded = this.filters._fadeLevel < 1;
+        const fadeIn = options.fadeIn ?? this.crossfade;
+
+        if (options.fadeIn > 0) {
+            this.filters._fadeLevel = 0;
+        } else if (fadeIn <= 0) {
+            this.filters._fadeLevel = 1;
+        }
+
+        // Apply current filters (and undo a fade the last track left behind)
+        if (this.filters.hasActiveFilters || faded || this.filters._fadeLevel < 1) {
+            playOptions.filters = this.filters._toPayload();
         }
 
         // Set volume
         playOptions.volume = this.volume;
 
-        await this.node.updatePlayer(this.guildId, playOptions, options.noReplace);
+        // With noReplace, a playing node keeps its track and starts no new play
+        const seq = options.noReplace && this.playing ? null : this._startPlay();
+        try {
+            await this.node.updatePlayer(this.guildId, playOptions, options.noReplace);
+        } catch (error) {
+            if (seq !== null) this._pendingPlays = this._pendingPlays.filter(play => play !== seq);
+            throw error;
+        }
 
         this.playing = true;
         this.paused = false;
-        this.state = PlayerState.PLAYING;
+        this._setState(PlayerState.PLAYING, 'play');
+        this.position = options.startTime ?? 0;
+        this.positionTimestamp = Date.now();
+
+        if (this.filters._fadeLevel < 1) {
+            this._fadeTo(1, fadeIn, options.fadeCurve);
+        }
 
         this._resetInactivityTimer();
         this._preloadNextTrack();
@@ -331,12 +624,29 @@ class Player extends FuelinkEmitter {
      * @returns {Promise<void>}
      */
     async pause() {
+        return this._enqueue('pause', () => this._pause(), {
+            interrupt: true,
+            timeout: this.commandTimeout + this.fades.pause.duration
+        });
+    }
+
+    /**
+     * Pause playback
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _pause() {
+        this._assertTransition(PlayerState.PAUSED, 'pause');
         if (!this.playing) return;
+        this._clearCrossfade();
+
+        // Another command arriving during the fade-out calls the pause off
+        if (!this.paused && !(await this._fadeFor('pause', 0))) return;
 
         await this.node.updatePlayer(this.guildId, { paused: true });
 
         this.paused = true;
-        this.state = PlayerState.PAUSED;
+        this._setState(PlayerState.PAUSED, 'pause');
 
         this._startInactivityTimer('paused');
     }
@@ -346,12 +656,43 @@ class Player extends FuelinkEmitter {
      * @returns {Promise<void>}
      */
     async resume() {
-        if (!this.paused) return;
+        return this._enqueue('resume', () => this._resume(), { interrupt: true });
+    }
+
+    /**
+     * Resume playback
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _resume() {
+        this._assertState([PlayerState.PLAYING, PlayerState.PAUSED], 'resume');
+
+        if (!this.paused) {
+            // A pause called off mid fade-out left the volume down
+            if (!this._fade && this.filters._fadeLevel < 1) {
+                this._fadeFor('resume', 1);
+                this._scheduleCrossfade();
+            }
+            return;
+        }
+
+        const { duration } = this.fades.resume;
+        const update = { paused: false };
+
+        // Start from silence to fade in, or undo a pause's fade-out straight away
+        if (duration > 0 || this.filters._fadeLevel === 0) {
+            this.filters._fadeLevel = duration > 0 ? 0 : 1;
+            update.filters = this.filters._toPayload();
+        }
 
-        await this.node.updatePlayer(this.guildId, { paused: false });
+        await this.node.updatePlayer(this.guildId, update);
 
         this.paused = false;
-        this.state = PlayerState.PLAYING;
+        this._setState(PlayerState.PLAYING, 'resume');
+        if (duration > 0) {
+            this._fadeFor('resume', 1);
+        }
+        this._scheduleCrossfade();
 
         this._resetInactivityTimer();
     }
@@ -362,13 +703,32 @@ class Player extends FuelinkEmitter {
      * @returns {Promise<void>}
      */
     async stop(clearQueue = false) {
+        return this._enqueue('stop', () => this._stop(clearQueue), {
+            interrupt: true,
+            timeout: this.commandTimeout + this.fades.stop.duration
+        });
+    }
+
+    /**
+     * Stop playback
+     * @private
+     * @param {boolean} clearQueue - Also clear the queue
+     * @returns {Promise<void>}
+     */
+    async _stop(clearQueue) {
+        this._assertTransition(PlayerState.STOPPED, 'stop');
+        this._clearCrossfade();
+
+        // Another command arriving during the fade-out calls the stop off
+        if (this.playing && !this.paused && !(await this._fadeFor('stop', 0))) return;
+
         await this.node.updatePlayer(this.guildId, { track: { encoded: null } });
 
         this.playing = false;
         this.paused = false;
         this.position = 0;
         this.queue.current = null;
-        this.state = PlayerState.STOPPED;
+        this._setState(PlayerState.STOPPED, 'stop');
 
         if (clearQueue) {
             this.queue.clear();
@@ -379,10 +739,51 @@ class Player extends FuelinkEmitter {
 
     /**
      * Skip to the next track
+     * Skips the track playing when called: if it has already ended by the time the
+     * command runs, nothing more is skipped
      * @returns {Promise<Track|null>}
      */
     async skip() {
-        return this.play();
+        const track = this.queue.current;
+
+        return this._enqueue('skip', () => this._skip(track), {
+            interrupt: true,
+            timeout: this.commandTimeout + this.fades.skip.duration
+        });
+    }
+
+    /**
+     * Vote to skip the current track
+     * Skips once enough listeners voted, or the track's requester did
+     * @param {string} userId - Voting user ID
+     * @returns {Promise<Object>} Vote result (see VoteSkip#add)
+     */
+    async voteSkip(userId) {
+        return this.votes.add(userId);
+    }
+
+    /**
+     * Skip a track
+     * @private
+     * @param {Track|null} track - Track to skip
+     * @returns {Promise<Track|null>}
+     */
+    async _skip(track) {
+        if (track && this.queue.current !== track) {
+            return this.queue.current;
+        }
+
+        const { duration, curve } = this.fades.skip;
+
+        if (duration > 0 && this.playing && !this.paused) {
+            this._clearCrossfade();
+
+            // Another command arriving during the fade-out calls the skip off
+            if (!(await this._fadeFor('skip', 0))) return null;
+            return this._play(undefined, { fadeIn: duration, fadeCurve: curve ?? undefined });
+        }
+
+        return this._play();
     }
 
     /**
@@ -390,11 +791,15 @@ class Player extends FuelinkEmitter {
      * @returns {Promise<Track|null>}
      */
     async back() {
-        const track = this.queue.back();
-        if (track) {
-            return this.play(track);
-        }
-        return null;
+        return this._enqueue('back', async () => {
+            this._assertTransition(PlayerState.PLAYING, 'back');
+
+            const track = this.queue.back();
+            if (track) {
+                return this._play(track);
+            }
+            return null;
+        }, { interrupt: true });
     }
 
     /**
@@ -403,12 +808,36 @@ class Player extends FuelinkEmitter {
      * @returns {Promise<void>}
      */
     async seek(position) {
+        return this._enqueue('seek', () => this._seek(position), { interrupt: true });
+    }
+
+    /**
+     * Seek to a position
+     * @private
+     * @param {number} position - Position in milliseconds
+     * @returns {Promise<void>}
+     */
+    async _seek(position) {
+        this._assertState([PlayerState.PLAYING, PlayerState.PAUSED], 'seek');
         const clampedPosition = Math.max(0, Math.min(position, this.current?.duration || 0));
 
         await this.node.updatePlayer(this.guildId, { position: clampedPosition });
 
         this.position = clampedPosition;
         this.positionTimestamp = Date.now();
+
+        // Jump to the line at the new position without emitting the ones in between
+        if (this.lyrics) {
+            this._lyricsIndex = this.manager.lyrics.getLineAt(this.lyrics, clampedPosition) - 1;
+            this._updateLyricsLine();
+        }
+
+        // Seeking out of a fade-out restores the volume; into one restarts it
+        this._clearCrossfade();
+        if (this.filters._fadeLevel < 1) {
+            await this._fadeTo(1, 0);
+        }
+        this._scheduleCrossfade();
     }
 
     /**
@@ -421,106 +850,468 @@ class Player extends FuelinkEmitter {
         await this.filters.setVolume(this.volume);
     }
 
-    // ==================== Event Handlers ====================
+    // ==================== State ====================
 
     /**
-     * Handle player state update from Lavalink
+     * Check a state against the transition table (staying put is always allowed)
      * @private
-     * @param {Object} state
+     * @param {string} state - PlayerState
+     * @returns {boolean}
      */
-    _handleUpdate(state) {
-        this.position = state.position ?? 0;
-        this.positionTimestamp = state.time ?? Date.now();
-        this.connected = state.connected ?? this.connected;
-
-        this.emit(Events.PLAYER_UPDATE, { player: this, state });
+    _canMoveTo(state) {
+        return this.state === state || PlayerTransitions[this.state].includes(state);
     }
 
     /**
-     * Handle track start event
+     * Move to a new state and emit playerStateChange
+     * Transitions missing from the table are ignored with a warning
      * @private
-     * @param {Object} trackData
+     * @param {string} state - New state
+     * @param {string} cause - Command or event behind the change
+     * @returns {boolean} Whether the state changed
      */
-    _handleTrackStart(trackData) {
-        this.playing = true;
-        this.paused = false;
-        this.state = PlayerState.PLAYING;
+    _setState(state, cause) {
+        const oldState = this.state;
+        if (oldState === state) return false;
+
+        if (!PlayerTransitions[oldState].includes(state)) {
+            this.manager.logger?.warn(
+                `Ignoring illegal state change ${oldState} -> ${state} (${cause})`,
+                `Player:${this.guildId}`
+            );
+            return false;
+        }
 
-        this.emit(Events.TRACK_START, {
-            player: this,
-            track: this.queue.current
-        });
+        this.state = state;
+        this.emit(Events.PLAYER_STATE_CHANGE, { player: this, oldState, newState: state, cause });
+        return true;
     }
 
     /**
-     * Handle track end event
+     * Throw unless a command may move the player to a state
      * @private
-     * @param {Object} trackData
-     * @param {string} reason
+     * @param {string} state - State the command leads to
+     * @param {string} command - Command name, for the error message
+     * @throws {Error} NO_PLAYER if the player is destroyed, CONNECTION_ERROR if it is not
+     *   connected to voice, INVALID_STATE if the table does not allow the transition
      */
-    _handleTrackEnd(trackData, reason) {
-        this.emit(Events.TRACK_END, {
-            player: this,
-            track: this.queue.current,
-            reason
-        });
+    _assertTransition(state, command) {
+        if (this._canMoveTo(state)) return;
 
-        // Only auto-play next if track finished normally
-        if (reason === TrackEndReason.FINISHED) {
-            this.play();
-        } else if (reason === TrackEndReason.LOAD_FAILED) {
-            // Try next track on load failure
-            this.play();
-        }
+        this._assertUsable();
+        const error = new Error(`Cannot ${command} player ${this.guildId}: ${this.state} -> ${state} is not allowed`);
+        error.code = ErrorCodes.INVALID_STATE;
+        throw error;
     }
 
     /**
-     * Handle track stuck event
+     * Throw unless the player is in one of the states a command applies to
      * @private
-     * @param {Object} trackData
-     * @param {number} thresholdMs
+     * @param {string[]} states - States the command applies to
+     * @param {string} command - Command name, for the error message
+     * @throws {Error} NO_PLAYER if the player is destroyed, CONNECTION_ERROR if it is not
+     *   connected to voice, INVALID_STATE if it is in any other state
      */
-    _handleTrackStuck(trackData, thresholdMs) {
-        this.emit(Events.TRACK_STUCK, {
-            player: this,
-            track: this.queue.current,
-            threshold: thresholdMs
-        });
+    _assertState(states, command) {
+        if (states.includes(this.state)) return;
 
-        // Skip to next track
-        this.play();
+        this._assertUsable();
+        const error = new Error(`Cannot ${command} player ${this.guildId} while ${this.state}`);
+        error.code = ErrorCodes.INVALID_STATE;
+        throw error;
     }
 
     /**
-     * Handle track exception event
+     * Throw if the player cannot take commands
      * @private
-     * @param {Object} trackData
-     * @param {Object} exception
+     * @throws {Error} NO_PLAYER if the player is destroyed, CONNECTION_ERROR if it is still
+     *   connecting or disconnected
      */
-    _handleTrackException(trackData, exception) {
-        this.emit(Events.TRACK_ERROR, {
-            player: this,
-            track: this.queue.current,
-            error: new Error(exception.message)
-        });
+    _assertUsable() {
+        this._assertNotDestroyed();
 
-        // Skip to next track
-        this.play();
+        if (this.state === PlayerState.CONNECTING || this.state === PlayerState.DISCONNECTED) {
+            const error = new Error(`Player ${this.guildId} is not connected to voice (${this.state})`);
+            error.code = ErrorCodes.CONNECTION_ERROR;
+            throw error;
+        }
     }
 
     /**
-     * Handle WebSocket closed event
+     * Throw if the player is destroyed
      * @private
-     * @param {number} code
-     * @param {string} reason
-     * @param {boolean} byRemote
+     * @throws {Error} NO_PLAYER if the player is destroyed
      */
-    _handleWebSocketClosed(code, reason, byRemote) {
-        this.manager.logger?.warn(
-            `Voice WebSocket closed (${code}): ${reason}`,
-            `Player:${this.guildId}`
-        );
-
+    _assertNotDestroyed() {
+        if (this.state === PlayerState.DESTROYED) {
+            const error = new Error(`Player ${this.guildId} is destroyed`);
+            error.code = ErrorCodes.NO_PLAYER;
+            throw error;
+        }
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Commands queued or running, oldest first
+     * @type {{ name: string, queuedAt: number, startedAt: number|null }[]}
+     */
+    get pending() {
+        return this._commands.map(({ name, queuedAt, startedAt }) => ({ name, queuedAt, startedAt }));
+    }
+
+    /**
+     * Run a command once those queued before it have finished
+     * Commands that change what is playing run one at a time so they never interleave
+     * their queue changes and Lavalink updates
+     * @private
+     * @param {string} name - Command name
+     * @param {Function} fn - Command body
+     * @param {Object} [options] - Command options
+     * @param {boolean} [options.interrupt=false] - Call off a command waiting on its fade-out
+     * @param {number} [options.timeout] - Time the command may run for (defaults to commandTimeout)
+     * @returns {Promise<*>}
+     * @throws {Error} COMMAND_TIMEOUT if the command runs for too long (the next command still
+     *   waits for it to finish), NO_PLAYER if the player is destroyed before it runs
+     */
+    _enqueue(name, fn, options = {}) {
+        const { interrupt = false, timeout = this.commandTimeout } = options;
+        const command = { name, queuedAt: Date.now(), startedAt: null };
+        this._commands.push(command);
+
+        // The running command is only waiting for the volume to reach 0
+        if (interrupt && FADE_OUT_ACTIONS.includes(this._fade?.action)) {
+            this._cancelFade();
+        }
+
+        let body = null;
+
+        const run = () => {
+            if (this.state === PlayerState.DESTROYED) {
+                this._commands.splice(this._commands.indexOf(command), 1);
+                const error = new Error('Player was destroyed');
+                error.code = ErrorCodes.NO_PLAYER;
+                throw error;
+            }
+
+            command.startedAt = Date.now();
+            body = new Promise(resolve => resolve(fn())).finally(() => {
+                this._commands.splice(this._commands.indexOf(command), 1);
+            });
+
+            let timer = null;
+            const timedOut = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    const error = new Error(`Player command ${name} timed out after ${timeout}ms`);
+                    error.code = ErrorCodes.COMMAND_TIMEOUT;
+                    reject(error);
+                }, timeout);
+            });
+
+            return Promise.race([body, timedOut]).finally(() => clearTimeout(timer));
+        };
+
+        const result = this._commandChain.then(run);
+        // A timed-out command keeps its place until its body settles, so the next one cannot interleave with it
+        this._commandChain = result.then(() => body, () => body).catch(() => {});
+        return result;
+    }
+
+    /**
+     * Play the track after one that ended, unless a command already moved on from it
+     * @private
+     * @param {Track|null} track - Track that ended
+     * @param {number} play - Sequence number of the play that ended
+     * @param {string} name - Command name
+     * @returns {Promise<void>}
+     */
+    async _advance(track, play, name) {
+        try {
+            await this._enqueue(name, async () => {
+                if (this.queue.current !== track || this._playSeq !== play) return;
+                await this._play();
+            });
+        } catch (error) {
+            this.manager.logger?.warn(`Failed to play the next track: ${error.message}`, `Player:${this.guildId}`);
+        }
+    }
+
+    /**
+     * Record a track sent to the node
+     * @private
+     * @returns {number} The play's sequence number
+     */
+    _startPlay() {
+        this._pendingPlays.push(++this._playSeq);
+        return this._playSeq;
+    }
+
+    /**
+     * Check if an event is about a play that was already replaced
+     * Works for the same track played twice in a row, e.g. in track loop mode
+     * @private
+     * @param {Object} trackData - Track from the event
+     * @param {boolean} [ended=false] - The event ends its play
+     * @returns {boolean}
+     */
+    _isStale(trackData, ended = false) {
+        const play = ended ? this._pendingPlays.shift() : this._pendingPlays[0];
+        if (play !== undefined) {
+            return play !== this._playSeq;
+        }
+
+        // A play we did not send (adopted or resumed): fall back to comparing tracks
+        const current = this.queue.current;
+        return Boolean(trackData?.encoded && current?.encoded && trackData.encoded !== current.encoded);
+    }
+
+    // ==================== Event Handlers ====================
+
+    /**
+     * Handle player state update from Lavalink
+     * @private
+     * @param {Object} state
+     */
+    _handleUpdate(state) {
+        this.position = state.position ?? 0;
+        this.positionTimestamp = state.time ?? Date.now();
+        this._positionFrozen = false;
+        this.connected = state.connected ?? this.connected;
+
+        this.emit(Events.PLAYER_UPDATE, { player: this, state });
+
+        // Correct the fade-out timer for drift (and queue changes since it was set)
+        if (!this._fade) {
+            this._scheduleCrossfade();
+        }
+
+        if (this.lyrics) {
+            this._updateLyricsLine();
+        }
+    }
+
+    /**
+     * Handle track start event
+     * @private
+     * @param {Object} trackData
+     */
+    _handleTrackStart(trackData) {
+        if (this._isStale(trackData)) {
+            this.manager.logger?.debug('Ignoring start of a replaced track', `Player:${this.guildId}`);
+            return;
+        }
+
+        this.playing = true;
+        this.paused = false;
+        this._setState(PlayerState.PLAYING, 'trackStart');
+        this._scheduleCrossfade();
+
+        this.emit(Events.TRACK_START, {
+            player: this,
+            track: this.queue.current
+        });
+
+        if (this._lyricsSync) {
+            this._loadSyncedLyrics();
+        }
+    }
+
+    /**
+     * Handle track end event
+     * @private
+     * @param {Object} trackData
+     * @param {string} reason
+     */
+    _handleTrackEnd(trackData, reason) {
+        // The REPLACED end of a track we already moved on from
+        if (this._isStale(trackData, true)) {
+            this.manager.logger?.debug(`Ignoring end (${reason}) of a replaced track`, `Player:${this.guildId}`);
+            return;
+        }
+
+        const track = this.queue.current;
+        const play = this._playSeq;
+
+        // A crossfade already ended the track and is starting the next one
+        if (play === this._crossfadedPlay) return;
+        this._clearCrossfade();
+
+        this.emit(Events.TRACK_END, {
+            player: this,
+            track,
+            reason
+        });
+
+        // Only auto-play next if track finished normally, or try the next one on load failure
+        if (reason === TrackEndReason.FINISHED || reason === TrackEndReason.LOAD_FAILED) {
+            this._playNextAfter(track, play, 'trackEnd');
+        }
+    }
+
+    /**
+     * Play the next track after one finished, letting the rebalancer move the player first
+     * @private
+     * @param {Track|null} track - Track that finished
+     * @param {number} play - Sequence number of the play that finished
+     * @param {string} name - Command name
+     */
+    _playNextAfter(track, play, name) {
+        // Nothing is audible until the next track starts, so the rebalancer may move us now
+        this.playing = false;
+        this.manager.nodes.rebalancer.handleTrackEnd(this)
+            .catch(error => {
+                this.manager.logger?.warn(
+                    `Rebalance on track end failed: ${error.message}`,
+                    `Player:${this.guildId}`
+                );
+            })
+            .finally(() => this._advance(track, play, name));
+    }
+
+    /**
+     * Handle track stuck event
+     * @private
+     * @param {Object} trackData
+     * @param {number} thresholdMs
+     */
+    _handleTrackStuck(trackData, thresholdMs) {
+        if (this._isStale(trackData)) return;
+
+        const track = this.queue.current;
+        const play = this._playSeq;
+        this._clearCrossfade();
+
+        this.emit(Events.TRACK_STUCK, {
+            player: this,
+            track,
+            threshold: thresholdMs
+        });
+
+        // Skip to next track
+        this._advance(track, play, 'trackStuck');
+    }
+
+    /**
+     * Handle track exception event
+     * @private
+     * @param {Object} trackData
+     * @param {Object} exception
+     */
+    _handleTrackException(trackData, exception) {
+        if (this._isStale(trackData)) return;
+
+        const track = this.queue.current;
+        const play = this._playSeq;
+        this._clearCrossfade();
+
+        this.emit(Events.TRACK_ERROR, {
+            player: this,
+            track,
+            error: new Error(exception.message)
+        });
+
+        // Skip to next track (the end event that follows finds it already skipped)
+        this._advance(track, play, 'trackException');
+    }
+
+    /**
+     * Handle SponsorBlock segments loaded event
+     * @private
+     * @param {Object[]} segments
+     */
+    _handleSegmentsLoaded(segments = []) {
+        const track = this.queue.current;
+        const normalized = segments.map(segment => this._normalizeSegment(segment));
+
+        if (track) track.segments = normalized;
+
+        this.emit(Events.SEGMENTS_LOADED, { player: this, track, segments: normalized });
+    }
+
+    /**
+     * Handle SponsorBlock segment skipped event
+     * @private
+     * @param {Object} segment
+     */
+    _handleSegmentSkipped(segment) {
+        const skipped = this._normalizeSegment(segment);
+
+        // Lavalink seeked past the segment
+        this.position = skipped.end;
+        this.positionTimestamp = Date.now();
+
+        this.emit(Events.SEGMENT_SKIPPED, { player: this, track: this.queue.current, segment: skipped });
+    }
+
+    /**
+     * Handle SponsorBlock chapters loaded event
+     * @private
+     * @param {Object[]} chapters
+     */
+    _handleChaptersLoaded(chapters = []) {
+        const track = this.queue.current;
+        const normalized = chapters.map(chapter => this._normalizeChapter(chapter));
+
+        if (track) track.chapters = normalized;
+
+        this.emit(Events.CHAPTERS_LOADED, { player: this, track, chapters: normalized });
+    }
+
+    /**
+     * Handle SponsorBlock chapter started event
+     * @private
+     * @param {Object} chapter
+     */
+    _handleChapterStarted(chapter) {
+        this.emit(Events.CHAPTER_STARTED, {
+            player: this,
+            track: this.queue.current,
+            chapter: this._normalizeChapter(chapter)
+        });
+    }
+
+    /**
+     * Normalize a SponsorBlock segment
+     * @private
+     * @param {Object} segment
+     * @returns {Object}
+     */
+    _normalizeSegment(segment) {
+        return {
+            category: segment.category,
+            start: Number(segment.start),
+            end: Number(segment.end)
+        };
+    }
+
+    /**
+     * Normalize a SponsorBlock chapter
+     * @private
+     * @param {Object} chapter
+     * @returns {Object}
+     */
+    _normalizeChapter(chapter) {
+        return {
+            name: chapter.name,
+            start: Number(chapter.start),
+            end: Number(chapter.end),
+            duration: Number(chapter.duration ?? chapter.end - chapter.start)
+        };
+    }
+
+    /**
+     * Handle WebSocket closed event
+     * @private
+     * @param {number} code
+     * @param {string} reason
+     * @param {boolean} byRemote
+     */
+    _handleWebSocketClosed(code, reason, byRemote) {
+        this.manager.logger?.warn(
+            `Voice WebSocket closed (${code}): ${reason}`,
+            `Player:${this.guildId}`
+        );
+
         if (code === 4014) {
             // Disconnected from voice channel
             this.connected = false;
@@ -548,10 +1339,69 @@ class Player extends FuelinkEmitter {
         }
 
         this.playing = false;
-        this.state = PlayerState.STOPPED;
+        this._setState(PlayerState.STOPPED, 'queueEnd');
         this._startInactivityTimer('empty');
     }
 
+    /**
+     * Sync local state with the server copy of this player
+     * @private
+     * @param {Object} remote - Player from the Lavalink session
+     * @returns {Promise<void>}
+     */
+    async _syncFromServer(remote) {
+        if (remote.state) {
+            this.position = remote.state.position ?? 0;
+            this.positionTimestamp = remote.state.time ?? Date.now();
+            this._positionFrozen = false;
+            this.connected = remote.state.connected ?? this.connected;
+        }
+
+        // setVolume() applies the volume through the volume filter, so Lavalink's player
+        // volume is not it: the local volume stays, and the filter is synced below
+        this.paused = remote.paused ?? false;
+
+        // A fade cut off by the outage left the server's volume filter faded: keep the
+        // real filter volume and the fade level, and pick the fade up again below
+        this._clearCrossfade();
+        const { volume: filterVolume, _fadeLevel: fadeLevel } = this.filters;
+        this.filters._replaceFromPayload(remote.filters);
+        if (fadeLevel < 1) {
+            this.filters.volume = filterVolume;
+        }
+
+        // Events of the plays before the sync are not coming
+        this._pendingPlays = [];
+
+        if (!remote.track) {
+            // The track ended while we were away; the end event was lost
+            if (this.playing) {
+                this.playing = false;
+                this._setState(PlayerState.STOPPED, 'sync');
+                if (this.queue.size > 0) {
+                    await this.play();
+                } else {
+                    this.queue.current = null;
+                    this._startInactivityTimer('empty');
+                }
+            }
+            return;
+        }
+
+        if (this.queue.current?.encoded !== remote.track.encoded) {
+            this.queue.current = Track.from(remote.track, this.queue.current?.requester ?? null);
+        }
+
+        this.playing = true;
+
+        // A paused server player has a track loaded: it started playing, then paused
+        if (this.paused && !this._canMoveTo(PlayerState.PAUSED)) {
+            this._setState(PlayerState.PLAYING, 'sync');
+        }
+        this._setState(this.paused ? PlayerState.PAUSED : PlayerState.PLAYING, 'sync');
+        this._scheduleCrossfade();
+    }
+
     // ==================== Filters ====================
 
     /**
@@ -563,6 +1413,410 @@ class Player extends FuelinkEmitter {
         await this.node.updatePlayer(this.guildId, { filters: filterPayload });
     }
 
+    // ==================== SponsorBlock ====================
+
+    /**
+     * Set the SponsorBlock categories Lavalink skips (requires the SponsorBlock plugin)
+     * Categories apply from the next track; pass an empty array to disable
+     * @param {string[]} [categories=['sponsor', 'selfpromo']] - Segment categories
+     * @returns {Promise<Player>}
+     */
+    async setSponsorBlock(categories = [SponsorBlockCategories.SPONSOR, SponsorBlockCategories.SELF_PROMO]) {
+        if (!this.node) {
+            const error = new Error('Player has no node');
+            error.code = ErrorCodes.NO_NODES;
+            throw error;
+        }
+
+        if (categories.length > 0) {
+            await this.node.setSponsorBlock(this.guildId, categories);
+        } else {
+            await this.node.deleteSponsorBlock(this.guildId);
+        }
+
+        this.sponsorBlock = [...categories];
+        return this;
+    }
+
+    /**
+     * Get the SponsorBlock categories Lavalink has for this player
+     * @returns {Promise<string[]>}
+     */
+    async getSponsorBlock() {
+        if (!this.node) return [];
+        return this.node.getSponsorBlock(this.guildId);
+    }
+
+    // ==================== Lyrics ====================
+
+    /**
+     * Get lyrics for the current track
+     * @param {Object} [options] - Lyrics options
+     * @param {boolean} [options.skipTrackSource=false] - Skip lyrics from the track's own source
+     * @returns {Promise<Object|null>} Lyrics, or null if nothing is playing or none were found
+     */
+    async getLyrics(options = {}) {
+        return this.manager.lyrics.getCurrent(this, options);
+    }
+
+    /**
+     * Enable or disable live lyrics sync
+     * While enabled, lyrics are fetched on every track start and `lyricsLine`
+     * is emitted as playback reaches each timed line
+     * @param {boolean} [enabled=true] - Whether to sync
+     * @returns {Promise<Object|null>} Lyrics of the current track when enabling
+     */
+    async syncLyrics(enabled = true) {
+        this._lyricsSync = enabled;
+
+        if (!enabled) {
+            this._clearLyricsTimer();
+            this.lyrics = null;
+            this._lyricsIndex = -1;
+            return null;
+        }
+
+        return this._loadSyncedLyrics();
+    }
+
+    /**
+     * Fetch lyrics for the current track for live sync
+     * @private
+     * @returns {Promise<Object|null>}
+     */
+    async _loadSyncedLyrics() {
+        const track = this.queue.current;
+        this._clearLyricsTimer();
+        this.lyrics = null;
+        this._lyricsIndex = -1;
+
+        try {
+            const lyrics = await this.getLyrics();
+
+            // Ignore results for a track that has already ended
+            if (!this._lyricsSync || this.queue.current !== track) return null;
+
+            this.lyrics = lyrics?.synced ? lyrics : null;
+            if (this.lyrics) this._updateLyricsLine();
+            return lyrics;
+        } catch (error) {
+            this.manager.logger?.debug(`Failed to load lyrics: ${error.message}`, `Player:${this.guildId}`);
+            return null;
+        }
+    }
+
+    /**
+     * Emit lyricsLine for every line playback moved past, then schedule the next one
+     * Moving back (or seeking) only emits the line playback is now on
+     * @private
+     */
+    _updateLyricsLine() {
+        this._clearLyricsTimer();
+        const lyrics = this.lyrics;
+        if (!lyrics) return;
+
+        const index = this.manager.lyrics.getLineAt(lyrics, this.estimatedPosition);
+
+        if (index !== this._lyricsIndex) {
+            const from = index > this._lyricsIndex ? this._lyricsIndex + 1 : index;
+
+            for (let i = Math.max(from, 0); i <= index; i++) {
+                this.emit(Events.LYRICS_LINE, {
+                    player: this,
+                    track: this.queue.current,
+                    line: lyrics.lines[i],
+                    index: i,
+                    lyrics
+                });
+            }
+            this._lyricsIndex = index;
+        }
+
+        this._scheduleLyricsLine();
+    }
+
+    /**
+     * Set a timer for the next lyrics line, by estimated position
+     * Player updates reschedule it, correcting drift
+     * @private
+     */
+    _scheduleLyricsLine() {
+        if (!this.lyrics || !this.playing || this.paused || !this.node?.connected) return;
+
+        const next = this.lyrics.lines[this._lyricsIndex + 1];
+        if (!next) return;
+
+        const delay = Math.max(0, next.time - this.estimatedPosition);
+        this._lyricsTimer = setTimeout(() => {
+            this._lyricsTimer = null;
+            this._updateLyricsLine();
+        }, delay);
+    }
+
+    /**
+     * Cancel the timer for the next lyrics line
+     * @private
+     */
+    _clearLyricsTimer() {
+        if (this._lyricsTimer) {
+            clearTimeout(this._lyricsTimer);
+            this._lyricsTimer = null;
+        }
+    }
+
+    // ==================== Fades ====================
+
+    /**
+     * Set the fades for pause, resume, stop and skip
+     * Fades step the volume filter and never change `volume`. A command arriving
+     * mid-fade cancels it: the interrupted command is called off and the new one
+     * carries on from the current level
+     * @param {FadeOptions} options - Fades to change; a number is a duration in ms
+     * @returns {Player}
+     * @throws {Error} FILTER_ERROR if a curve is unknown
+     */
+    setFades(options) {
+        const fades = { ...this.fades };
+
+        if (options.curve !== undefined) {
+            this._resolveFadeCurve(options.curve);
+            fades.curve = options.curve;
+        }
+
+        for (const action of FADE_ACTIONS) {
+            const value = options[action];
+            if (value === undefined || value === null) continue;
+
+            const setting = typeof value === 'number' ? { duration: value } : value;
+            if (setting.curve) this._resolveFadeCurve(setting.curve);
+
+            fades[action] = {
+                duration: Math.max(0, setting.duration ?? 0),
+                curve: setting.curve ?? null
+            };
+        }
+
+        this.fades = fades;
+        return this;
+    }
+
+    /**
+     * Serialize the fades, keeping only named curves
+     * Custom curve functions cannot be saved: a custom default curve is left out (the
+     * restoring player keeps its own) and a custom per-fade curve falls back to the default
+     * @private
+     * @returns {FadeOptions}
+     */
+    _fadesToJSON() {
+        const named = curve => (typeof curve === 'function' ? null : curve);
+        const fades = {};
+
+        if (named(this.fades.curve)) fades.curve = this.fades.curve;
+        for (const action of FADE_ACTIONS) {
+            fades[action] = { ...this.fades[action], curve: named(this.fades[action].curve) };
+        }
+        return fades;
+    }
+
+    /**
+     * Run a command's fade, if it has one
+     * @private
+     * @param {string} action - pause, resume, stop or skip
+     * @param {number} target - Fade level (0-1)
+     * @returns {Promise<boolean>} Whether the command should go ahead (false if cancelled)
+     */
+    async _fadeFor(action, target) {
+        const { duration, curve } = this.fades[action];
+
+        // Without a fade-out the command is abrupt; without a fade-in the level is restored at once
+        if (this.filters._fadeLevel === target || (duration <= 0 && target === 0)) {
+            return true;
+        }
+
+        return this._fadeTo(target, duration, curve ?? undefined, action);
+    }
+
+    /**
+     * Get the function behind a fade curve
+     * @private
+     * @param {string|Function} curve - FadeCurve or custom curve
+     * @returns {Function}
+     * @throws {Error} FILTER_ERROR if the curve is unknown
+     */
+    _resolveFadeCurve(curve) {
+        if (typeof curve === 'function') return curve;
+
+        const fn = FadeCurves[curve];
+        if (!fn) {
+            const error = new Error(`Unknown fade curve: ${curve}`);
+            error.code = ErrorCodes.FILTER_ERROR;
+            throw error;
+        }
+        return fn;
+    }
+
+    // ==================== Crossfade ====================
+
+    /**
+     * Set the crossfade between tracks
+     * Near its end (by estimated position) the outgoing track fades out over `ms`; at
+     * silence the next track starts at once, without waiting for Lavalink to report the
+     * end, and fades in over `ms`, all through the volume filter. Streams are not faded
+     * out, nor is the last track when nothing follows it; loop-track mode fades the
+     * track into itself
+     * @param {number} ms - Duration of each fade in ms (0 = off)
+     * @returns {Player}
+     */
+    setCrossfade(ms) {
+        this.crossfade = Math.max(0, ms);
+        this._scheduleCrossfade();
+        return this;
+    }
+
+    /**
+     * Check if another track will follow the current one
+     * @private
+     * @returns {boolean}
+     */
+    _hasNextTrack() {
+        return this.queue.loop === LoopMode.TRACK ||
+            this.queue.loop === LoopMode.QUEUE ||
+            this.queue.size > 0;
+    }
+
+    /**
+     * (Re)schedule the fade-out of the current track
+     * @private
+     */
+    _scheduleCrossfade() {
+        if (this._crossfadeTimer) {
+            clearTimeout(this._crossfadeTimer);
+            this._crossfadeTimer = null;
+        }
+
+        const track = this.queue.current;
+        if (!track || !this.playing || this.paused) return;
+
+        const fadesOut = this.crossfade > 0 && !track.isStream && track.duration > 0 && this._hasNextTrack();
+        const delay = fadesOut
+            ? track.duration - CROSSFADE_LEAD - this.crossfade - this.estimatedPosition
+            : Infinity;
+
+        if (delay <= 0) {
+            if (!this._fade) {
+                this._crossfadeOut(track);
+            }
+            return;
+        }
+
+        if (fadesOut) {
+            this._crossfadeTimer = setTimeout(() => {
+                this._crossfadeTimer = null;
+                this._crossfadeOut(track);
+            }, delay);
+        }
+
+        // Finish a fade-in cut short by a pause, or undo a fade-out that no longer applies
+        if (!this._fade && this.filters._fadeLevel < 1) {
+            this._fadeTo(1, this.crossfade);
+        }
+    }
+
+    /**
+     * Fade the current track out, then end it and play the next one, which fades in
+     * @private
+     * @param {Track} track - Track being faded out
+     * @returns {Promise<void>}
+     */
+    async _crossfadeOut(track) {
+        if (this.queue.current !== track) return;
+
+        const play = this._playSeq;
+        const remaining = Math.max(0, track.duration - CROSSFADE_LEAD - this.estimatedPosition);
+
+        // Commands and the track's end call the fade off
+        if (!(await this._fadeTo(0, remaining))) return;
+
+        this._crossfadedPlay = play;
+        this.emit(Events.TRACK_END, {
+            player: this,
+            track,
+            reason: TrackEndReason.FINISHED
+        });
+        this._playNextAfter(track, play, 'crossfade');
+    }
+
+    /**
+     * Stop the fade-out timer and any running fade (the fade level is kept)
+     * @private
+     */
+    _clearCrossfade() {
+        if (this._crossfadeTimer) {
+            clearTimeout(this._crossfadeTimer);
+            this._crossfadeTimer = null;
+        }
+        this._cancelFade();
+    }
+
+    /**
+     * Ramp the fade level to a target through the volume filter
+     * @private
+     * @param {number} target - Fade level (0-1)
+     * @param {number} duration - Ramp duration in ms (0 = immediately)
+     * @param {string|Function} [curve=this.fades.curve] - Fade curve
+     * @param {string|null} [action=null] - Command the fade belongs to
+     * @returns {Promise<boolean>} Whether the fade completed (false if cancelled)
+     */
+    _fadeTo(target, duration, curve = this.fades.curve, action = null) {
+        this._cancelFade();
+
+        const from = this.filters._fadeLevel;
+        const started = Date.now();
+        const shape = this._resolveFadeCurve(curve);
+
+        return new Promise(resolve => {
+            const fade = { timer: null, resolve, action };
+            this._fade = fade;
+
+            const step = async () => {
+                const progress = duration > 0 ? Math.min(1, (Date.now() - started) / duration) : 1;
+
+                // Fade-outs run the curve backwards
+                const eased = target >= from ? shape(progress) : 1 - shape(1 - progress);
+                this.filters._fadeLevel = from + (target - from) * Math.max(0, Math.min(1, eased));
+
+                try {
+                    await this._sendFilters(this.filters._toPayload());
+                } catch (error) {
+                    this.manager.logger?.debug(`Fade step failed: ${error.message}`, `Player:${this.guildId}`);
+                }
+
+                if (this._fade !== fade) return;
+                if (progress >= 1) {
+                    this._fade = null;
+                    resolve(true);
+                    return;
+                }
+                fade.timer = setTimeout(step, FADE_STEP);
+            };
+
+            step();
+        });
+    }
+
+    /**
+     * Stop a running fade where it is
+     * @private
+     */
+    _cancelFade() {
+        if (!this._fade) return;
+
+        const { timer, resolve } = this._fade;
+        this._fade = null;
+        if (timer) clearTimeout(timer);
+        resolve(false);
+    }
+
     // ==================== Inactivity ====================
 
     /**
@@ -623,63 +1877,149 @@ class Player extends FuelinkEmitter {
     /**
      * Migrate player to a different node
      * @param {Object} newNode - Target node
+     * @param {string} [reason=MigrateReason.MANUAL] - Migration reason
+     * @returns {Promise<void>}
+     */
+    async migrateNode(newNode, reason = MigrateReason.MANUAL) {
+        return this._enqueue('migrate', () => this._migrateNode(newNode, reason));
+    }
+
+    /**
+     * Migrate player to a different node
+     * @private
+     * @param {Object} newNode - Target node
+     * @param {string} reason - Migration reason
      * @returns {Promise<void>}
      */
-    async migrateNode(newNode) {
+    async _migrateNode(newNode, reason) {
         const oldNode = this.node;
+        const position = this.estimatedPosition;
 
         // Destroy on old node
-        try {
-            await oldNode.destroyPlayer(this.guildId);
-        } catch {
-            // Ignore errors - old node might be down
+        if (oldNode?.connected) {
+            try {
+                await oldNode.destroyPlayer(this.guildId);
+            } catch {
+                // Ignore errors - old node might be going down
+            }
         }
 
         // Setup on new node
         this.node = newNode;
 
-        // Restore state
-        if (this.connected) {
-            await this._sendVoiceUpdate(this.connection.getVoicePayload());
-        }
+        try {
+            // Restore state
+            if (this.connected) {
+                await this._sendVoiceUpdate({
+                    sessionId: this.connection.sessionId,
+                    token: this.connection.token,
+                    endpoint: this.connection.endpoint
+                });
+            }
 
-        if (this.queue.current && this.playing) {
-            await this.play(this.queue.current, {
-                startTime: this.estimatedPosition
+            if (this.sponsorBlock.length > 0) {
+                await newNode.setSponsorBlock(this.guildId, this.sponsorBlock);
+            }
+
+            // The old node's plays end there; only the one sent now reports here
+            this._pendingPlays = [];
+
+            if (this.queue.current && this.playing) {
+                this._startPlay();
+                await newNode.updatePlayer(this.guildId, {
+                    track: { encoded: this.queue.current.encoded },
+                    position,
+                    paused: this.paused,
+                    volume: this.volume,
+                    filters: this.filters._toPayload()
+                });
+
+                this.position = position;
+                this.positionTimestamp = Date.now();
+                this._positionFrozen = false;
+            }
+        } catch (error) {
+            // Stay on the old node, so the next failover or drain retries the player
+            this.node = oldNode;
+            newNode.destroyPlayer(this.guildId).catch(() => { });
+
+            this.emit(Events.PLAYER_MIGRATE_FAILED, {
+                player: this,
+                from: oldNode,
+                to: newNode,
+                reason,
+                error
             });
+            throw error;
         }
 
         this.manager.logger?.info(
-            `Migrated from ${oldNode.name} to ${newNode.name}`,
+            `Migrated from ${oldNode?.name} to ${newNode.name}`,
             `Player:${this.guildId}`
         );
+
+        this.emit(Events.PLAYER_MIGRATE, {
+            player: this,
+            from: oldNode,
+            to: newNode,
+            reason,
+            position
+        });
+    }
+
+    /**
+     * Handle loss of the current node
+     * Freezes the position once per outage: the node reports a disconnect for every failed
+     * reconnect attempt, and those must not add the outage to the position
+     * @private
+     */
+    _handleNodeDisconnect() {
+        if (this._positionFrozen) return;
+
+        if (this.playing && !this.paused) {
+            this.position += Date.now() - this.positionTimestamp;
+            this.positionTimestamp = Date.now();
+            this._positionFrozen = true;
+        }
     }
 
     // ==================== Cleanup ====================
 
     /**
      * Destroy the player
+     * @param {Object} [options] - Destroy options
+     * @param {boolean} [options.keepRemote=false] - Only destroy locally: keep the player on
+     *   Lavalink and the bot in voice (for resuming after a restart)
      * @returns {Promise<void>}
      */
-    async destroy() {
+    async destroy(options = {}) {
         this._resetInactivityTimer();
-
-        // Destroy on Lavalink
-        if (this.node?.connected) {
-            try {
-                await this.node.destroyPlayer(this.guildId);
-            } catch {
-                // Ignore errors
+        this._clearCrossfade();
+        this._clearLyricsTimer();
+
+        if (!options.keepRemote) {
+            // Destroy on Lavalink
+            if (this.node?.connected) {
+                try {
+                    await this.node.destroyPlayer(this.guildId);
+                } catch {
+                    // Ignore errors
+                }
             }
-        }
 
-        // Disconnect from voice
-        this.disconnect();
+            // Disconnect from voice
+            this.disconnect();
+        }
 
         // Cleanup
         this.queue.destroy();
-        this.connection.destroy();
-        this.state = PlayerState.DESTROYED;
+        if (options.keepRemote) {
+            // Stay in voice: only stop listening to the connection
+            this.connection.removeAllListeners();
+        } else {
+            this.connection.destroy();
+        }
+        this._setState(PlayerState.DESTROYED, 'destroy');
 
         // Remove from manager
         this.manager.players.delete(this.guildId);
@@ -706,6 +2046,10 @@ class Player extends FuelinkEmitter {
             position: this.estimatedPosition,
             queue: this.queue.toJSON(),
             filters: this.filters.toJSON(),
+            sponsorBlock: this.sponsorBlock,
+            crossfade: this.crossfade,
+            fades: this._fadesToJSON(),
+            voteSkip: this.votes.toJSON(),
             connection: this.connection.toJSON(),
             node: this.node?.name
         };
@@ -714,15 +2058,30 @@ class Player extends FuelinkEmitter {
     /**
      * Restore player from serialized state
      * @param {Object} data - Serialized player data
+     * @param {Object} [options] - Restore options
+     * @param {boolean} [options.replay=true] - Re-apply filters and restart playback on Lavalink;
+     * disable when Lavalink still holds the player (resumed session)
      */
-    async fromJSON(data) {
+    async fromJSON(data, options = {}) {
+        const { replay = true } = options;
+
         this.volume = data.volume ?? 100;
         this.queue.fromJSON(data.queue);
+        this.sponsorBlock = data.sponsorBlock ?? [];
+        this.crossfade = data.crossfade ?? this.crossfade;
+        if (data.fades) this.setFades(data.fades);
+        if (data.voteSkip) this.votes.setOptions(data.voteSkip);
+
+        if (!replay) return;
 
         if (data.filters) {
             await this.filters.fromJSON(data.filters);
         }
 
+        if (this.sponsorBlock.length > 0) {
+            await this.setSponsorBlock(this.sponsorBlock);
+        }
+
         // Resume playback if was playing
         if (data.playing && this.queue.current) {
             await this.play(this.queue.current, {
@@ -17,6 +17,15 @@ const { Util } = require('../utils/Util');
  * @property {Object} [requester] - Track requester
  */
 
+/**
+ * @typedef {Object} QueueSnapshot
+ * @property {Track|null} current - Current track
+ * @property {Track|null} previous - Previous track
+ * @property {Track[]} upcoming - Upcoming tracks (priority + main)
+ * @property {string} loop - Loop mode
+ * @property {boolean} autoplay - Autoplay enabled
+ */
+
 /**
  * Queue manager for a player
  * @extends FuelinkEmitter
@@ -142,6 +151,7 @@ class Queue extends FuelinkEmitter {
      * @returns {Track[]} Added tracks
      */
     add(tracks, options = {}) {
+        const before = this.snapshot();
         const trackArray = Array.isArray(tracks) ? tracks : [tracks];
         const addedTracks = [];
 
@@ -165,7 +175,7 @@ class Queue extends FuelinkEmitter {
             addedTracks.push(trackInstance);
         }
 
-        this.emit(Events.QUEUE_ADD, { tracks: addedTracks, queue: this });
+        this._emitChange(Events.QUEUE_ADD, before, { tracks: addedTracks });
         return addedTracks;
     }
 
@@ -200,10 +210,12 @@ class Queue extends FuelinkEmitter {
     remove(index) {
         if (index < 0) return null;
 
+        const before = this.snapshot();
+
         // Check priority queue first
         if (index < this.priorityTracks.length) {
             const [removed] = this.priorityTracks.splice(index, 1);
-            this.emit(Events.QUEUE_REMOVE, { track: removed, index, queue: this });
+            this._emitChange(Events.QUEUE_REMOVE, before, { track: removed, index });
             return removed;
         }
 
@@ -211,7 +223,7 @@ class Queue extends FuelinkEmitter {
         const mainIndex = index - this.priorityTracks.length;
         if (mainIndex < this.tracks.length) {
             const [removed] = this.tracks.splice(mainIndex, 1);
-            this.emit(Events.QUEUE_REMOVE, { track: removed, index, queue: this });
+            this._emitChange(Events.QUEUE_REMOVE, before, { track: removed, index });
             return removed;
         }
 
@@ -243,6 +255,7 @@ class Queue extends FuelinkEmitter {
      * @returns {Track[]} Removed tracks
      */
     removeByRequester(requesterId) {
+        const before = this.snapshot();
         const removed = [];
 
         this.priorityTracks = this.priorityTracks.filter(t => {
@@ -261,6 +274,13 @@ class Queue extends FuelinkEmitter {
             return true;
         });
 
+        for (const track of removed) {
+            this._emitChange(Events.QUEUE_REMOVE, before, {
+                track,
+                index: before.upcoming.indexOf(track)
+            });
+        }
+
         return removed;
     }
 
@@ -285,6 +305,7 @@ class Queue extends FuelinkEmitter {
      * @returns {number} Number of removed tracks
      */
     clear(includePriority = true) {
+        const before = this.snapshot();
         const count = includePriority ? this.size : this.tracks.length;
 
         this.tracks = [];
@@ -292,7 +313,7 @@ class Queue extends FuelinkEmitter {
             this.priorityTracks = [];
         }
 
-        this.emit(Events.QUEUE_CLEAR, { queue: this });
+        this._emitChange(Events.QUEUE_CLEAR, before, { count });
         return count;
     }
 
@@ -303,8 +324,9 @@ class Queue extends FuelinkEmitter {
      * @returns {Queue} This queue
      */
     shuffle() {
+        const before = this.snapshot();
         Util.shuffle(this.tracks);
-        this.emit(Events.QUEUE_SHUFFLE, { queue: this });
+        this._emitChange(Events.QUEUE_SHUFFLE, before);
         return this;
     }
 
@@ -319,6 +341,7 @@ class Queue extends FuelinkEmitter {
             return false;
         }
 
+        const before = this.snapshot();
         const combined = [...this.priorityTracks, ...this.tracks];
         const [track] = combined.splice(from, 1);
         combined.splice(to, 0, track);
@@ -327,6 +350,7 @@ class Queue extends FuelinkEmitter {
         this.priorityTracks = combined.slice(0, this.priorityTracks.length);
         this.tracks = combined.slice(this.priorityTracks.length);
 
+        this._emitChange(Events.QUEUE_MOVE, before, { track, from, to });
         return true;
     }
 
@@ -341,6 +365,7 @@ class Queue extends FuelinkEmitter {
             return false;
         }
 
+        const before = this.snapshot();
         const combined = [...this.priorityTracks, ...this.tracks];
         [combined[index1], combined[index2]] = [combined[index2], combined[index1]];
 
@@ -348,6 +373,7 @@ class Queue extends FuelinkEmitter {
         this.priorityTracks = combined.slice(0, this.priorityTracks.length);
         this.tracks = combined.slice(this.priorityTracks.length);
 
+        this._emitChange(Events.QUEUE_SWAP, before, { index1, index2 });
         return true;
     }
 
@@ -356,7 +382,9 @@ class Queue extends FuelinkEmitter {
      * @returns {Queue} This queue
      */
     reverse() {
+        const before = this.snapshot();
         this.tracks.reverse();
+        this._emitChange(Events.QUEUE_REVERSE, before);
         return this;
     }
 
@@ -416,6 +444,8 @@ class Queue extends FuelinkEmitter {
             return null;
         }
 
+        const before = this.snapshot();
+
         // Save current to history
         if (this.current) {
             this._addToHistory(this.current);
@@ -436,6 +466,7 @@ class Queue extends FuelinkEmitter {
         this.priorityTracks = combined.slice(0, priorityCount);
         this.tracks = combined.slice(priorityCount);
 
+        this._emitChange(Events.QUEUE_JUMP, before, { track: this.current, position, skipped });
         return this.current;
     }
 
@@ -448,6 +479,8 @@ class Queue extends FuelinkEmitter {
             return null;
         }
 
+        const before = this.snapshot();
+
         // Put current back in front of queue
         if (this.current) {
             this.priorityTracks.unshift(this.current);
@@ -457,6 +490,7 @@ class Queue extends FuelinkEmitter {
         this.current = this.history.pop();
         this.previous = this.history[this.history.length - 1] || null;
 
+        this._emitChange(Events.QUEUE_BACK, before, { track: this.current });
         return this.current;
     }
 
@@ -471,7 +505,9 @@ class Queue extends FuelinkEmitter {
         if (!Object.values(LoopMode).includes(mode)) {
             throw new Error(`Invalid loop mode: ${mode}`);
         }
+        const before = this.snapshot();
         this.loop = mode;
+        this._emitChange(Events.QUEUE_LOOP, before, { mode });
         return this;
     }
 
@@ -482,7 +518,7 @@ class Queue extends FuelinkEmitter {
     cycleLoop() {
         const modes = Object.values(LoopMode);
         const currentIndex = modes.indexOf(this.loop);
-        this.loop = modes[(currentIndex + 1) % modes.length];
+        this.setLoop(modes[(currentIndex + 1) % modes.length]);
         return this.loop;
     }
 
@@ -493,10 +529,12 @@ class Queue extends FuelinkEmitter {
      * @returns {Queue} This queue
      */
     setAutoplay(enabled, provider = null) {
+        const before = this.snapshot();
         this.autoplay = enabled;
         if (provider) {
             this.autoplayProvider = provider;
         }
+        this._emitChange(Events.QUEUE_AUTOPLAY, before, { enabled });
         return this;
     }
 
@@ -571,6 +609,33 @@ class Queue extends FuelinkEmitter {
         this.history = [];
     }
 
+    // ==================== Events ====================
+
+    /**
+     * Take a shallow snapshot of the queue state
+     * @returns {QueueSnapshot}
+     */
+    snapshot() {
+        return {
+            current: this.current,
+            previous: this.previous,
+            upcoming: this.upcoming,
+            loop: this.loop,
+            autoplay: this.autoplay
+        };
+    }
+
+    /**
+     * Emit a queue mutation event with before/after snapshots
+     * @private
+     * @param {string} event - Event name
+     * @param {QueueSnapshot} before - Snapshot taken before the mutation
+     * @param {Object} [data] - Event-specific data
+     */
+    _emitChange(event, before, data = {}) {
+        this.emit(event, { ...data, queue: this, before, after: this.snapshot() });
+    }
+
     // ==================== Serialization ====================
 
     /**
@@ -607,7 +672,8 @@ class Queue extends FuelinkEmitter {
      * Clean up queue
      */
     destroy() {
-        this.clear(true);
+        this.tracks = [];
+        this.priorityTracks = [];
         this.history = [];
         this.current = null;
         this.previous = null;
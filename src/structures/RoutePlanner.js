@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * @file Lavalink route planner API for a node
+ * @module fuelink/structures/RoutePlanner
+ */
+
+/**
+ * @typedef {Object} FailingAddress
+ * @property {string} address - Failing IP address
+ * @property {number} failingTimestamp - When the address was marked as failing (unix ms)
+ * @property {string} failingTime - Human-readable failing time
+ */
+
+/**
+ * @typedef {Object} RoutePlannerStatus
+ * @property {string} class - Route planner class (e.g. RotatingNanoIpRoutePlanner)
+ * @property {Object} details - Raw route planner details from Lavalink
+ * @property {FailingAddress[]} failingAddresses - Addresses currently marked as failing
+ */
+
+/**
+ * Wraps Lavalink's /v4/routeplanner endpoints for a node
+ */
+class RoutePlanner {
+    /**
+     * Create a new RoutePlanner
+     * @param {Object} node - Parent node
+     */
+    constructor(node) {
+        /**
+         * Parent node
+         * @type {Object}
+         */
+        this.node = node;
+    }
+
+    /**
+     * Get the route planner status
+     * @returns {Promise<RoutePlannerStatus|null>} Status, or null if the node has no route planner
+     */
+    async status() {
+        const data = await this.node.rest('GET', `${this.node.apiPrefix}/routeplanner/status`);
+        if (!data?.class) return null;
+
+        return {
+            class: data.class,
+            details: data.details ?? {},
+            failingAddresses: (data.details?.failingAddresses ?? []).map(entry => ({
+                address: entry.failingAddress ?? entry.address,
+                failingTimestamp: entry.failingTimestamp,
+                failingTime: entry.failingTime
+            }))
+        };
+    }
+
+    /**
+     * Unmark a failing address so it can be used again
+     * @param {string} address - IP address
+     * @returns {Promise<void>}
+     */
+    async unmarkAddress(address) {
+        await this.node.rest('POST', `${this.node.apiPrefix}/routeplanner/free/address`, { address });
+        this.node.manager.logger?.debug(`Unmarked address ${address}`, this.node.name);
+    }
+
+    /**
+     * Unmark all failing addresses
+     * @returns {Promise<void>}
+     */
+    async unmarkAll() {
+        await this.node.rest('POST', `${this.node.apiPrefix}/routeplanner/free/all`);
+        this.node.manager.logger?.debug('Unmarked all addresses', this.node.name);
+    }
+}
+
+module.exports = { RoutePlanner };
@@ -6,6 +6,7 @@
  */
 
 const { Util } = require('../utils/Util');
+const { TrackCodec } = require('../utils/TrackCodec');
 
 /**
  * @typedef {Object} TrackInfo
@@ -21,6 +22,21 @@ const { Util } = require('../utils/Util');
  * @property {string} sourceName - Source name (youtube, spotify, etc.)
  */
 
+/**
+ * @typedef {Object} Segment
+ * @property {string} category - SponsorBlock category
+ * @property {number} start - Segment start in ms
+ * @property {number} end - Segment end in ms
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string} name - Chapter name
+ * @property {number} start - Chapter start in ms
+ * @property {number} end - Chapter end in ms
+ * @property {number} duration - Chapter duration in ms
+ */
+
 /**
  * @typedef {Object} Requester
  * @property {string} id - User ID
@@ -29,6 +45,41 @@ const { Util } = require('../utils/Util');
  * @property {string} [avatar] - Avatar URL
  */
 
+/**
+ * @typedef {Object} LavaSrcInfo
+ * @property {string|null} albumName - Album name
+ * @property {string|null} albumUrl - Album URL
+ * @property {string|null} artistUrl - Artist URL
+ * @property {string|null} artistArtworkUrl - Artist artwork URL
+ * @property {string|null} previewUrl - Preview URL
+ * @property {boolean} isPreview - Whether the track is only a preview
+ */
+
+/**
+ * Parse LavaSrc's plugin info
+ * @param {Object} info - Raw plugin info
+ * @returns {LavaSrcInfo|null} Null if the track did not come from LavaSrc
+ */
+function parseLavaSrcInfo(info) {
+    const keys = ['albumName', 'albumUrl', 'artistUrl', 'artistArtworkUrl', 'previewUrl', 'isPreview'];
+    if (!keys.some(key => info[key] !== undefined)) return null;
+
+    return {
+        albumName: info.albumName ?? null,
+        albumUrl: info.albumUrl ?? null,
+        artistUrl: info.artistUrl ?? null,
+        artistArtworkUrl: info.artistArtworkUrl ?? null,
+        previewUrl: info.previewUrl ?? null,
+        isPreview: Boolean(info.isPreview)
+    };
+}
+
+/**
+ * Plugin info parsers by plugin name
+ * @type {Map<string, Function>}
+ */
+const pluginInfoParsers = new Map([['lavasrc', parseLavaSrcInfo]]);
+
 /**
  * Represents a playable track
  */
@@ -109,11 +160,23 @@ class Track {
         this.sourceName = data.info?.sourceName || Util.extractSource(this.uri) || 'unknown';
 
         /**
-         * Plugin-specific info (e.g., from LavaSrc)
+         * Raw plugin-specific info (e.g., from LavaSrc); see getPluginInfo()
          * @type {Object}
          */
         this.pluginInfo = data.pluginInfo || {};
 
+        /**
+         * SponsorBlock segments loaded for this track while playing
+         * @type {Segment[]}
+         */
+        this.segments = [];
+
+        /**
+         * Chapters loaded for this track while playing
+         * @type {Chapter[]}
+         */
+        this.chapters = [];
+
         /**
          * Track requester
          * @type {Requester|null}
@@ -212,6 +275,41 @@ class Track {
         return this.metadata[key];
     }
 
+    /**
+     * Get plugin info parsed by a plugin's registered parser
+     * @param {string} [pluginName] - Plugin whose parser to use (e.g. 'lavasrc'); omit for the raw info
+     * @returns {Object|null} Parsed info, or null if the plugin has no parser or this track
+     *   has no info for it
+     */
+    getPluginInfo(pluginName) {
+        if (!pluginName) return this.pluginInfo;
+
+        const parser = pluginInfoParsers.get(pluginName.toLowerCase());
+        return parser ? parser(this.pluginInfo, this) ?? null : null;
+    }
+
+    /**
+     * Register a parser for plugin info, used by getPluginInfo()
+     * Replaces the plugin's previous parser
+     * @param {string} pluginName - Plugin name
+     * @param {Function} parser - `(pluginInfo, track) => Object|null`
+     * @returns {Function} Function that removes the parser
+     */
+    static registerPluginInfo(pluginName, parser) {
+        if (typeof parser !== 'function') {
+            throw new Error('Plugin info parser must be a function');
+        }
+
+        const name = pluginName.toLowerCase();
+        pluginInfoParsers.set(name, parser);
+
+        return () => {
+            if (pluginInfoParsers.get(name) === parser) {
+                pluginInfoParsers.delete(name);
+            }
+        };
+    }
+
     /**
      * Create a track from raw Lavalink track data
      * @param {Object} data - Raw track data from Lavalink
@@ -222,6 +320,17 @@ class Track {
         return new Track(data, requester);
     }
 
+    /**
+     * Create a track from its encoded form, decoding the info locally
+     * @param {string} encoded - Base64 encoded track
+     * @param {Requester} [requester] - Track requester
+     * @returns {Track}
+     * @throws {Error} TRACK_ERROR if the data is not a valid track
+     */
+    static fromEncoded(encoded, requester = null) {
+        return new Track(TrackCodec.decode(encoded), requester);
+    }
+
     /**
      * Create a track from a URL with minimal info
      * @param {string} url - Track URL
@@ -267,13 +376,14 @@ class Track {
 
     /**
      * Create track from serialized JSON
+     * Info is decoded from `encoded` when it was not stored
      * @param {Object} json - Serialized track data
      * @returns {Track}
      */
     static fromJSON(json) {
         const track = new Track({
             encoded: json.encoded,
-            info: json.info,
+            info: json.info ?? (json.encoded ? TrackCodec.decode(json.encoded).info : undefined),
             pluginInfo: json.pluginInfo
         }, json.requester);
         track.metadata = json.metadata || {};
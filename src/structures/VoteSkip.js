@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * @file Vote skipping for Fuelink
+ * @module fuelink/structures/VoteSkip
+ */
+
+const { Events, Defaults } = require('../utils/Constants');
+
+/**
+ * @typedef {Object} VoteSkipOptions
+ * @property {number|null} [percentage=50] - Share of listeners (0-100) whose votes skip
+ * @property {number|null} [count=null] - Votes that skip regardless of listeners; with a
+ *   percentage too, whichever needs fewer votes applies
+ * @property {boolean} [requesterSkip=true] - A vote from the track's requester skips instantly
+ * @property {boolean} [autoSkip=true] - Skip as soon as the vote passes
+ */
+
+/**
+ * @typedef {Object} VoteResult
+ * @property {boolean} added - Whether the vote counted
+ * @property {boolean} passed - Whether the vote skip passed
+ * @property {string|null} reason - Why it passed ('requester', 'threshold') or was not
+ *   added ('noTrack', 'notListening', 'alreadyVoted', 'alreadyPassed')
+ * @property {number} votes - Votes for the current track
+ * @property {number} required - Votes needed to skip
+ */
+
+/**
+ * Skip votes for a player's current track
+ * Listeners are the non-bot, non-deafened users in the player's voice channel, as tracked
+ * by the VoiceAdapter; when it has no voice states for the guild, anyone may vote and only
+ * `count` (default 1) applies
+ */
+class VoteSkip {
+    /**
+     * Create a new VoteSkip
+     * @param {Object} player - Parent player
+     * @param {VoteSkipOptions} [options] - Vote skip options
+     */
+    constructor(player, options = {}) {
+        /**
+         * Parent player
+         * @type {Object}
+         */
+        this.player = player;
+
+        /**
+         * Vote skip settings
+         * @type {VoteSkipOptions}
+         */
+        this.options = { ...Defaults.VOTE_SKIP, ...options };
+
+        /**
+         * Users who voted
+         * @type {Set<string>}
+         * @private
+         */
+        this._voters = new Set();
+
+        /**
+         * Track the votes are for
+         * @type {Object|null}
+         * @private
+         */
+        this._track = null;
+
+        /**
+         * Whether the vote already passed for this track
+         * @type {boolean}
+         * @private
+         */
+        this._passed = false;
+    }
+
+    /**
+     * Number of votes for the current track
+     * @type {number}
+     */
+    get size() {
+        this._syncTrack();
+        return this._voters.size;
+    }
+
+    /**
+     * Users who voted for the current track
+     * @type {string[]}
+     */
+    get voters() {
+        this._syncTrack();
+        return Array.from(this._voters);
+    }
+
+    /**
+     * Listeners in the player's voice channel, or null if unknown
+     * @type {string[]|null}
+     */
+    get listeners() {
+        return this.player.manager.voice?.getListeners(this.player.guildId, this.player.voiceChannel) ?? null;
+    }
+
+    /**
+     * Votes needed to skip the current track
+     * @type {number}
+     */
+    get required() {
+        const { percentage, count } = this.options;
+        const listeners = this.listeners;
+
+        if (!listeners) {
+            return Math.max(1, count ?? 1);
+        }
+
+        const thresholds = [];
+        if (percentage) thresholds.push(Math.ceil(listeners.length * percentage / 100));
+        if (count) thresholds.push(count);
+
+        // Never more votes than there are listeners
+        const required = thresholds.length > 0 ? Math.min(...thresholds) : listeners.length;
+        return Math.max(1, Math.min(required, listeners.length));
+    }
+
+    /**
+     * Change vote skip settings
+     * @param {VoteSkipOptions} options - Settings to change
+     * @returns {VoteSkip}
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        return this;
+    }
+
+    /**
+     * Check if a user voted for the current track
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    has(userId) {
+        this._syncTrack();
+        return this._voters.has(userId);
+    }
+
+    /**
+     * Check if a user may vote
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    isListening(userId) {
+        const listeners = this.listeners;
+        return !listeners || listeners.includes(userId);
+    }
+
+    /**
+     * Vote to skip the current track
+     * @param {string} userId - User ID
+     * @returns {Promise<VoteResult>}
+     * @throws {Error} If the vote passed but the skip failed; the vote is withdrawn and
+     *   the vote skip stays open
+     */
+    async add(userId) {
+        this._syncTrack();
+        const track = this.player.queue.current;
+
+        if (!track) return this._result(false, false, 'noTrack');
+        if (this._passed) return this._result(false, false, 'alreadyPassed');
+        if (!this.isListening(userId)) return this._result(false, false, 'notListening');
+        if (this._voters.has(userId)) return this._result(false, false, 'alreadyVoted');
+
+        this._voters.add(userId);
+        const required = this.required;
+
+        this.player.emit(Events.VOTE_ADD, {
+            player: this.player,
+            track,
+            userId,
+            votes: this._voters.size,
+            required
+        });
+
+        const reason = this.options.requesterSkip && track.requester?.id === userId
+            ? 'requester'
+            : this._voters.size >= required ? 'threshold' : null;
+
+        if (!reason) {
+            return this._result(true, false, null);
+        }
+
+        // Report the votes that passed; skipping resets them
+        const votes = this._voters.size;
+        try {
+            await this._pass(reason);
+        } catch (error) {
+            // Let the user vote again once the skip can succeed
+            this._voters.delete(userId);
+            throw error;
+        }
+        return { added: true, passed: true, reason, votes, required };
+    }
+
+    /**
+     * Withdraw a vote
+     * @param {string} userId - User ID
+     * @returns {boolean} Whether the user had voted
+     */
+    remove(userId) {
+        this._syncTrack();
+        return this._voters.delete(userId);
+    }
+
+    /**
+     * Clear the votes (done whenever a track starts playing)
+     */
+    clear() {
+        this._voters.clear();
+        this._passed = false;
+        this._track = this.player.queue.current;
+    }
+
+    /**
+     * Serialize settings
+     * @returns {VoteSkipOptions}
+     */
+    toJSON() {
+        return { ...this.options };
+    }
+
+    /**
+     * Reset the votes if the current track changed
+     * @private
+     */
+    _syncTrack() {
+        if (this._track !== this.player.queue.current) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Build a vote result
+     * @private
+     * @param {boolean} added - Whether the vote counted
+     * @param {boolean} passed - Whether the vote passed
+     * @param {string|null} reason - Result reason
+     * @returns {VoteResult}
+     */
+    _result(added, passed, reason) {
+        return { added, passed, reason, votes: this._voters.size, required: this.required };
+    }
+
+    /**
+     * Pass the vote and skip the track
+     * If the skip fails, the vote stays open and voteSkipPassed is not emitted
+     * @private
+     * @param {string} reason - 'requester' or 'threshold'
+     * @returns {Promise<void>}
+     */
+    async _pass(reason) {
+        this._passed = true;
+
+        const data = {
+            player: this.player,
+            track: this.player.queue.current,
+            voters: Array.from(this._voters),
+            required: this.required,
+            reason
+        };
+
+        if (this.options.autoSkip) {
+            try {
+                await this.player.skip();
+            } catch (error) {
+                this._passed = false;
+                throw error;
+            }
+        }
+
+        this.player.emit(Events.VOTE_SKIP_PASSED, data);
+    }
+
+    /**
+     * Drop votes of users who left or deafened, and pass the vote if the
+     * remaining listeners reach the threshold
+     * Called by the VoiceAdapter when the player's voice channel changes
+     * @private
+     */
+    _handleListenersChange() {
+        this._syncTrack();
+        if (this._voters.size === 0 || this._passed) return;
+
+        const listeners = this.listeners;
+        if (listeners) {
+            for (const userId of this._voters) {
+                if (!listeners.includes(userId)) this._voters.delete(userId);
+            }
+        }
+
+        if (this._voters.size > 0 && this._voters.size >= this.required) {
+            this._pass('threshold').catch(error => {
+                this.player.manager.logger?.warn(
+                    `Vote skip failed: ${error.message}`,
+                    `Player:${this.player.guildId}`
+                );
+            });
+        }
+    }
+}
+
+module.exports = { VoteSkip };
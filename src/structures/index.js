@@ -11,6 +11,8 @@ const { Player } = require('./Player');
 const { Node } = require('./Node');
 const { Filters } = require('./Filters');
 const { Connection } = require('./Connection');
+const { RoutePlanner } = require('./RoutePlanner');
+const { VoteSkip } = require('./VoteSkip');
 
 module.exports = {
     Track,
@@ -18,5 +20,7 @@ module.exports = {
     Player,
     Node,
     Filters,
-    Connection
+    Connection,
+    RoutePlanner,
+    VoteSkip
 };
@@ -0,0 +1,388 @@
+'use strict';
+
+/**
+ * @file Fake Discord client for testing voice integrations
+ * @module fuelink/testing/FakeDiscordClient
+ */
+
+const { EventEmitter } = require('events');
+const { FuelinkEmitter } = require('../events/EventEmitter');
+
+/**
+ * @typedef {Object} FakeDiscordClientOptions
+ * @property {string} [library='discord.js'] - Client shape to imitate: 'discord.js' or 'eris'
+ * @property {string} [userId='100000000000000001'] - Bot user ID
+ * @property {number} [shardCount=1] - Number of shards
+ * @property {boolean} [autoRespond=true] - Answer op 4 with voice state/server updates
+ * @property {number} [responseDelay=0] - Delay before answering op 4, in ms
+ * @property {string} [endpoint='us-east1234.discord.media:443'] - Voice server endpoint
+ */
+
+/**
+ * @typedef {Object} FakeVoicePayload
+ * @property {number} shardId - Shard the payload was sent on
+ * @property {number} op - Gateway opcode (always 4)
+ * @property {Object} d - Payload data
+ * @property {number} time - When the payload was sent (unix ms)
+ */
+
+/**
+ * Map with discord.js Collection's first()
+ * @extends Map
+ */
+class FakeCollection extends Map {
+    /**
+     * Get the first value
+     * @returns {*}
+     */
+    first() {
+        return this.values().next().value;
+    }
+}
+
+/**
+ * Simulates a discord.js or Eris client for VoiceAdapter: guilds, shards, raw gateway
+ * events, and Discord's voice state/server updates in response to op 4
+ * @extends FuelinkEmitter
+ */
+class FakeDiscordClient extends FuelinkEmitter {
+    /**
+     * Create a new FakeDiscordClient
+     * @param {FakeDiscordClientOptions} [options] - Client options
+     */
+    constructor(options = {}) {
+        super();
+
+        /**
+         * Imitated library
+         * @type {string}
+         */
+        this.library = options.library ?? 'discord.js';
+
+        /**
+         * Bot user
+         * @type {{ id: string }}
+         */
+        this.user = { id: options.userId ?? '100000000000000001' };
+
+        /**
+         * Answer op 4 with voice state/server updates
+         * @type {boolean}
+         */
+        this.autoRespond = options.autoRespond ?? true;
+
+        /**
+         * Delay before answering op 4, in ms
+         * @type {number}
+         */
+        this.responseDelay = options.responseDelay ?? 0;
+
+        /**
+         * Voice server endpoint sent in VOICE_SERVER_UPDATE
+         * @type {string}
+         */
+        this.endpoint = options.endpoint ?? 'us-east1234.discord.media:443';
+
+        /**
+         * Every op 4 payload sent by Fuelink
+         * @type {FakeVoicePayload[]}
+         */
+        this.voicePayloads = [];
+
+        /**
+         * Bot voice state per guild (guildId -> { channelId, sessionId, selfDeaf, selfMute })
+         * @type {Map<string, Object>}
+         */
+        this.voiceStates = new Map();
+
+        /**
+         * Gateway sequence number
+         * @type {number}
+         * @private
+         */
+        this._sequence = 0;
+
+        /**
+         * Voice session counter
+         * @type {number}
+         * @private
+         */
+        this._sessionCount = 0;
+
+        const shards = new FakeCollection();
+        for (let id = 0; id < (options.shardCount ?? 1); id++) {
+            shards.set(id, this._createShard(id));
+        }
+
+        if (this.library === 'eris') {
+            /**
+             * Shards (Eris)
+             * @type {Map<number, Object>}
+             */
+            this.shards = shards;
+
+            /**
+             * Guilds (Eris)
+             * @type {Map<string, Object>}
+             */
+            this.guilds = new Map();
+
+            /**
+             * Voice connections (Eris)
+             * @type {Map<string, Object>}
+             */
+            this.voiceConnections = new Map();
+        } else {
+            /**
+             * WebSocket manager (discord.js)
+             * @type {EventEmitter}
+             */
+            this.ws = Object.assign(new EventEmitter(), { shards });
+
+            /**
+             * Guild manager (discord.js)
+             * @type {{ cache: FakeCollection }}
+             */
+            this.guilds = { cache: new FakeCollection() };
+        }
+    }
+
+    /**
+     * Shards, for either library
+     * @type {Map<number, Object>}
+     */
+    get shardList() {
+        return this.library === 'eris' ? this.shards : this.ws.shards;
+    }
+
+    /**
+     * Emit the client's ready event
+     * @returns {FakeDiscordClient}
+     */
+    login() {
+        this.emit('ready');
+        return this;
+    }
+
+    /**
+     * Add a guild
+     * @param {string} guildId - Guild ID
+     * @param {Object} [options] - Guild options
+     * @param {number} [options.shardId] - Shard ID (defaults to Discord's sharding formula)
+     * @returns {Object} The guild
+     */
+    addGuild(guildId, options = {}) {
+        const shardId = options.shardId ??
+            Number((BigInt(guildId) >> BigInt(22)) % BigInt(this.shardList.size));
+        const client = this;
+
+        const guild = {
+            id: guildId,
+            shardId,
+            shard: this.shardList.get(shardId),
+            members: {
+                me: {
+                    voice: {
+                        get channelId() {
+                            return client.getVoiceChannelId(guildId);
+                        }
+                    }
+                }
+            }
+        };
+
+        if (this.library === 'eris') {
+            this.guilds.set(guildId, guild);
+        } else {
+            this.guilds.cache.set(guildId, guild);
+        }
+        return guild;
+    }
+
+    /**
+     * Dispatch a raw gateway event (`raw` for discord.js, `rawWS` for Eris)
+     * @param {string} type - Event name, e.g. VOICE_STATE_UPDATE
+     * @param {Object} data - Event data
+     */
+    dispatch(type, data) {
+        const packet = { op: 0, t: type, d: data, s: ++this._sequence };
+        this.emit(this.library === 'eris' ? 'rawWS' : 'raw', packet);
+    }
+
+    /**
+     * Dispatch a VOICE_STATE_UPDATE for the bot
+     * @param {string} guildId - Guild ID
+     * @param {string|null} channelId - Channel ID, null when disconnected
+     * @param {Object} [options] - Voice state options
+     * @param {boolean} [options.selfDeaf] - Self deafened
+     * @param {boolean} [options.selfMute] - Self muted
+     * @param {string} [options.sessionId] - Voice session ID (kept while connected)
+     */
+    sendVoiceStateUpdate(guildId, channelId, options = {}) {
+        const previous = this.voiceStates.get(guildId);
+        const sessionId = options.sessionId ??
+            (previous?.channelId ? previous.sessionId : `fake-voice-session-${++this._sessionCount}`);
+
+        const state = {
+            channelId,
+            sessionId,
+            selfDeaf: options.selfDeaf ?? previous?.selfDeaf ?? false,
+            selfMute: options.selfMute ?? previous?.selfMute ?? false
+        };
+
+        if (channelId) {
+            this.voiceStates.set(guildId, state);
+            this.voiceConnections?.set(guildId, { id: guildId, channelId });
+        } else {
+            this.voiceStates.delete(guildId);
+            this.voiceConnections?.delete(guildId);
+        }
+
+        this.dispatch('VOICE_STATE_UPDATE', {
+            guild_id: guildId,
+            channel_id: channelId,
+            user_id: this.user.id,
+            session_id: sessionId,
+            self_deaf: state.selfDeaf,
+            self_mute: state.selfMute,
+            deaf: false,
+            mute: false,
+            suppress: false
+        });
+    }
+
+    /**
+     * Dispatch a VOICE_STATE_UPDATE for another user, e.g. a listener joining the bot
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {string|null} channelId - Channel ID, null when leaving voice
+     * @param {Object} [options] - Voice state options
+     * @param {boolean} [options.bot=false] - The user is a bot
+     * @param {boolean} [options.selfDeaf=false] - Self deafened
+     * @param {boolean} [options.deaf=false] - Server deafened
+     */
+    setMemberVoice(guildId, userId, channelId, options = {}) {
+        this.dispatch('VOICE_STATE_UPDATE', {
+            guild_id: guildId,
+            channel_id: channelId,
+            user_id: userId,
+            member: { user: { id: userId, bot: options.bot ?? false } },
+            session_id: `fake-member-session-${userId}`,
+            self_deaf: options.selfDeaf ?? false,
+            self_mute: false,
+            deaf: options.deaf ?? false,
+            mute: false,
+            suppress: false
+        });
+    }
+
+    /**
+     * Dispatch a VOICE_SERVER_UPDATE
+     * @param {string} guildId - Guild ID
+     * @param {Object} [options] - Voice server options
+     * @param {string} [options.endpoint] - Endpoint (defaults to the client's endpoint)
+     * @param {string} [options.token] - Voice token
+     */
+    sendVoiceServerUpdate(guildId, options = {}) {
+        this.dispatch('VOICE_SERVER_UPDATE', {
+            guild_id: guildId,
+            token: options.token ?? `fake-token-${guildId}-${this._sequence}`,
+            endpoint: options.endpoint ?? this.endpoint
+        });
+    }
+
+    /**
+     * Simulate someone moving the bot to another channel
+     * @param {string} guildId - Guild ID
+     * @param {string} channelId - New channel ID
+     */
+    moveToChannel(guildId, channelId) {
+        this.sendVoiceStateUpdate(guildId, channelId);
+    }
+
+    /**
+     * Simulate the bot being kicked from voice
+     * @param {string} guildId - Guild ID
+     */
+    forceDisconnect(guildId) {
+        this.sendVoiceStateUpdate(guildId, null);
+    }
+
+    /**
+     * Simulate Discord moving the voice connection to another server
+     * @param {string} guildId - Guild ID
+     * @param {string} endpoint - New endpoint, e.g. 'eu-west5678.discord.media:443'
+     */
+    changeVoiceServer(guildId, endpoint) {
+        this.sendVoiceServerUpdate(guildId, { endpoint });
+    }
+
+    /**
+     * Get the bot's voice channel in a guild
+     * @param {string} guildId - Guild ID
+     * @returns {string|null}
+     */
+    getVoiceChannelId(guildId) {
+        return this.voiceStates.get(guildId)?.channelId ?? null;
+    }
+
+    /**
+     * Get op 4 payloads sent by Fuelink
+     * @param {string} [guildId] - Only payloads for this guild
+     * @returns {FakeVoicePayload[]}
+     */
+    getVoicePayloads(guildId) {
+        return guildId
+            ? this.voicePayloads.filter(payload => payload.d.guild_id === guildId)
+            : this.voicePayloads;
+    }
+
+    /**
+     * Create a shard that records op 4 payloads
+     * @private
+     * @param {number} id - Shard ID
+     * @returns {Object}
+     */
+    _createShard(id) {
+        return {
+            id,
+            // discord.js
+            send: payload => this._handleGatewaySend(id, payload.op, payload.d),
+            // Eris
+            sendWS: (op, d) => this._handleGatewaySend(id, op, d)
+        };
+    }
+
+    /**
+     * Record a gateway payload and answer voice state updates like Discord
+     * @private
+     * @param {number} shardId - Shard ID
+     * @param {number} op - Gateway opcode
+     * @param {Object} d - Payload data
+     */
+    _handleGatewaySend(shardId, op, d) {
+        if (op !== 4) return;
+
+        const payload = { shardId, op, d, time: Date.now() };
+        this.voicePayloads.push(payload);
+        this.emit('voicePayload', payload);
+
+        if (!this.autoRespond) return;
+
+        setTimeout(() => {
+            const joined = Boolean(d.channel_id) && this.getVoiceChannelId(d.guild_id) !== d.channel_id;
+
+            this.sendVoiceStateUpdate(d.guild_id, d.channel_id, {
+                selfDeaf: d.self_deaf,
+                selfMute: d.self_mute
+            });
+
+            // Discord only sends a voice server when joining or switching channels
+            if (joined) {
+                this.sendVoiceServerUpdate(d.guild_id);
+            }
+        }, this.responseDelay);
+    }
+}
+
+module.exports = { FakeDiscordClient };
@@ -0,0 +1,1119 @@
+'use strict';
+
+/**
+ * @file In-process mock Lavalink server for tests
+ * @module fuelink/testing/MockLavalinkServer
+ */
+
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const { FuelinkEmitter } = require('../events/EventEmitter');
+const { OpCodes, LavalinkEvents, TrackEndReason } = require('../utils/Constants');
+const { TrackCodec } = require('../utils/TrackCodec');
+
+/**
+ * @typedef {Object} MockLavalinkServerOptions
+ * @property {number} [port=0] - Port to listen on (0 = random free port)
+ * @property {string} [host='127.0.0.1'] - Host to listen on
+ * @property {string} [password='youshallnotpass'] - Required Authorization header
+ * @property {Object} [info] - Overrides for the GET /v4/info response
+ * @property {boolean} [autoStart=true] - Send TrackStartEvent when a track is set
+ * @property {number} [version=4] - Lavalink major version to speak (3 or 4)
+ */
+
+/**
+ * @typedef {Object} MockPlayerUpdate
+ * @property {string} sessionId - Session ID
+ * @property {string} guildId - Guild ID
+ * @property {Object} body - PATCH body
+ * @property {boolean} noReplace - noReplace query parameter
+ * @property {number} time - When the update was received (unix ms)
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} method - HTTP method
+ * @property {string} path - Request path without query
+ * @property {Object<string, string>} query - Query parameters
+ * @property {*} body - Parsed JSON body
+ * @property {number} time - When the request was received (unix ms)
+ */
+
+/**
+ * @typedef {Object} MockOp
+ * @property {string} sessionId - Session ID
+ * @property {Object} payload - Op payload
+ * @property {number} time - When the op was received (unix ms)
+ */
+
+/**
+ * v4 load types and their v3 equivalents
+ * @type {Object<string, string>}
+ */
+const V3LoadTypes = {
+    track: 'TRACK_LOADED',
+    playlist: 'PLAYLIST_LOADED',
+    search: 'SEARCH_RESULT',
+    empty: 'NO_MATCHES',
+    error: 'LOAD_FAILED'
+};
+
+/**
+ * Check if an object contains all properties of a partial, recursively
+ * @param {*} value - Value
+ * @param {*} partial - Expected subset
+ * @returns {boolean}
+ */
+function matches(value, partial) {
+    if (partial === null || typeof partial !== 'object') {
+        return value === partial;
+    }
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    return Object.keys(partial).every(key => matches(value[key], partial[key]));
+}
+
+/**
+ * A Lavalink v4 (or v3) server on localhost, for testing bots and Fuelink without Java
+ * Implements the WebSocket ops and the REST routes used by Node, lets tests script
+ * load results and player events, and records player updates for assertions
+ * @extends FuelinkEmitter
+ */
+class MockLavalinkServer extends FuelinkEmitter {
+    /**
+     * Create a new MockLavalinkServer
+     * @param {MockLavalinkServerOptions} [options] - Server options
+     */
+    constructor(options = {}) {
+        super();
+
+        /**
+         * Host to listen on
+         * @type {string}
+         */
+        this.host = options.host ?? '127.0.0.1';
+
+        /**
+         * Port the server listens on (set by start() when 0)
+         * @type {number}
+         */
+        this.port = options.port ?? 0;
+
+        /**
+         * Required Authorization header
+         * @type {string}
+         */
+        this.password = options.password ?? 'youshallnotpass';
+
+        /**
+         * Send TrackStartEvent when a track is set
+         * @type {boolean}
+         */
+        this.autoStart = options.autoStart ?? true;
+
+        /**
+         * Lavalink major version spoken (3 drives players with WebSocket ops)
+         * @type {number}
+         */
+        this.version = options.version === 3 ? 3 : 4;
+
+        /**
+         * GET /v4/info response (only its version on v3)
+         * @type {Object}
+         */
+        this.info = {
+            version: this.version === 3
+                ? { semver: '3.7.11', major: 3, minor: 7, patch: 11, preRelease: null, build: null }
+                : { semver: '4.0.8', major: 4, minor: 0, patch: 8, preRelease: null, build: null },
+            buildTime: 0,
+            git: { branch: 'main', commit: 'mock', commitTime: 0 },
+            jvm: 'mock',
+            lavaplayer: 'mock',
+            sourceManagers: ['youtube', 'soundcloud', 'http'],
+            filters: [
+                'volume', 'equalizer', 'karaoke', 'timescale', 'tremolo',
+                'vibrato', 'distortion', 'rotation', 'channelMix', 'lowPass'
+            ],
+            plugins: [],
+            ...options.info
+        };
+
+        /**
+         * Sessions by ID
+         * @type {Map<string, Object>}
+         */
+        this.sessions = new Map();
+
+        /**
+         * Every REST request received
+         * @type {MockRequest[]}
+         */
+        this.requests = [];
+
+        /**
+         * Every player PATCH received
+         * @type {MockPlayerUpdate[]}
+         */
+        this.playerUpdates = [];
+
+        /**
+         * Every WebSocket op received (v3 only; v4 clients send none)
+         * @type {MockOp[]}
+         */
+        this.ops = [];
+
+        /**
+         * Scripted load results
+         * @type {Array<{ matcher: string|RegExp|Function, result: Object }>}
+         * @private
+         */
+        this._loadResults = [];
+
+        /**
+         * Scripted REST failures
+         * @type {Array<{ matcher: string|RegExp|Function, status: number, delay: number, times: number }>}
+         * @private
+         */
+        this._failures = [];
+
+        /**
+         * HTTP server
+         * @type {http.Server|null}
+         * @private
+         */
+        this._server = null;
+
+        /**
+         * WebSocket server
+         * @type {WebSocketServer|null}
+         * @private
+         */
+        this._wss = null;
+
+        /**
+         * Next session number
+         * @type {number}
+         * @private
+         */
+        this._sessionCount = 0;
+    }
+
+    /**
+     * Build a Lavalink track object
+     * @param {Object} [info] - Track info overrides
+     * @returns {Object}
+     */
+    static track(info = {}) {
+        const trackInfo = {
+            identifier: info.identifier ?? 'mock',
+            isSeekable: true,
+            author: 'Mock Artist',
+            length: 180000,
+            isStream: false,
+            position: 0,
+            title: 'Mock Track',
+            uri: `https://example.com/${info.identifier ?? 'mock'}`,
+            artworkUrl: null,
+            isrc: null,
+            sourceName: 'http',
+            ...info
+        };
+
+        return {
+            encoded: TrackCodec.encode(trackInfo),
+            info: trackInfo,
+            pluginInfo: {},
+            userData: {}
+        };
+    }
+
+    /**
+     * Base REST URL
+     * @type {string}
+     */
+    get url() {
+        return `http://${this.host}:${this.port}`;
+    }
+
+    /**
+     * Node options for connecting Fuelink to this server
+     * @param {string} [name='mock'] - Node name
+     * @returns {Object}
+     */
+    nodeOptions(name = 'mock') {
+        return { name, host: this.host, port: this.port, password: this.password };
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<MockLavalinkServer>}
+     */
+    async start() {
+        this._server = http.createServer((req, res) => this._handleRequest(req, res));
+        this._wss = new WebSocketServer({ noServer: true });
+        this._server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(this.port, this.host, () => {
+                this._server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.port = this._server.address().port;
+        return this;
+    }
+
+    /**
+     * Close all connections and stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        for (const session of this.sessions.values()) {
+            clearTimeout(session.expireTimeout);
+            session.socket?.terminate();
+        }
+        this.sessions.clear();
+
+        if (this._wss) {
+            this._wss.close();
+            this._wss = null;
+        }
+
+        if (this._server) {
+            this._server.closeAllConnections();
+            await new Promise(resolve => this._server.close(() => resolve()));
+            this._server = null;
+        }
+    }
+
+    /**
+     * Clear recorded requests, ops, player updates and scripted failures
+     */
+    reset() {
+        this.requests = [];
+        this.ops = [];
+        this.playerUpdates = [];
+        this._failures = [];
+    }
+
+    // ==================== Scripting ====================
+
+    /**
+     * Script the result of GET /v4/loadtracks
+     * Later scripts take precedence; unmatched identifiers return an empty result
+     * @param {string|RegExp|Function} matcher - Identifier, pattern, or predicate
+     * @param {Object|Object[]} result - Load result, or tracks (a single track or a list)
+     * @returns {MockLavalinkServer}
+     */
+    setLoadResult(matcher, result) {
+        if (Array.isArray(result)) {
+            result = { loadType: 'search', data: result };
+        } else if (result.encoded) {
+            result = { loadType: 'track', data: result };
+        }
+
+        this._loadResults.unshift({ matcher, result });
+        return this;
+    }
+
+    /**
+     * Script failing REST responses
+     * Later scripts take precedence; each fails its next `times` matching requests
+     * @param {string|RegExp|Function} matcher - Route ('GET /v4/loadtracks'), pattern tested
+     * against the route, or predicate called with the MockRequest
+     * @param {Object} [options] - Failure options
+     * @param {number} [options.status=500] - HTTP status to answer with
+     * @param {number} [options.delay=0] - Delay before answering in ms, to time requests out
+     * @param {number} [options.times=1] - Requests to fail (Infinity for every one)
+     * @returns {MockLavalinkServer}
+     */
+    failRequests(matcher, options = {}) {
+        this._failures.unshift({
+            matcher,
+            status: options.status ?? 500,
+            delay: options.delay ?? 0,
+            times: options.times ?? 1
+        });
+        return this;
+    }
+
+    /**
+     * Get the server-side player
+     * @param {string} guildId - Guild ID
+     * @param {string} [sessionId] - Session ID (defaults to the session holding the player)
+     * @returns {Object|null}
+     */
+    getPlayer(guildId, sessionId) {
+        for (const session of this.sessions.values()) {
+            if (sessionId && session.id !== sessionId) continue;
+            const player = session.players.get(guildId);
+            if (player) return player;
+        }
+        return null;
+    }
+
+    /**
+     * Send a raw WebSocket payload
+     * @param {Object} payload - Payload
+     * @param {string} [sessionId] - Session to send to (defaults to all connected sessions)
+     */
+    send(payload, sessionId) {
+        for (const session of this.sessions.values()) {
+            if (sessionId && session.id !== sessionId) continue;
+            if (session.socket?.readyState === WebSocket.OPEN) {
+                session.socket.send(JSON.stringify(payload));
+            }
+        }
+    }
+
+    /**
+     * Send a player event (TrackEndEvent, plugin events, ...)
+     * @param {string} guildId - Guild ID
+     * @param {string} type - Event type
+     * @param {Object} [data] - Extra event fields
+     */
+    emitEvent(guildId, type, data = {}) {
+        const session = this._findSession(guildId);
+        this.send(this._toEvent(guildId, { type, ...data }), session?.id);
+    }
+
+    /**
+     * End the player's track
+     * @param {string} guildId - Guild ID
+     * @param {string} [reason='finished'] - TrackEndReason
+     */
+    emitTrackEnd(guildId, reason = TrackEndReason.FINISHED) {
+        const player = this.getPlayer(guildId);
+        const track = player?.track ?? null;
+        if (player) player.track = null;
+
+        this.emitEvent(guildId, LavalinkEvents.TRACK_END, { track, reason });
+    }
+
+    /**
+     * Fail the player's track
+     * @param {string} guildId - Guild ID
+     * @param {Object} [exception] - Exception fields
+     */
+    emitTrackException(guildId, exception = {}) {
+        const player = this.getPlayer(guildId);
+        this.emitEvent(guildId, LavalinkEvents.TRACK_EXCEPTION, {
+            track: player?.track ?? null,
+            exception: { message: 'Mock exception', severity: 'common', cause: 'Mock', ...exception }
+        });
+    }
+
+    /**
+     * Report the player's track as stuck
+     * @param {string} guildId - Guild ID
+     * @param {number} [thresholdMs=10000] - Stuck threshold
+     */
+    emitTrackStuck(guildId, thresholdMs = 10000) {
+        const player = this.getPlayer(guildId);
+        this.emitEvent(guildId, LavalinkEvents.TRACK_STUCK, {
+            track: player?.track ?? null,
+            thresholdMs
+        });
+    }
+
+    /**
+     * Report the player's Discord voice connection as closed
+     * @param {string} guildId - Guild ID
+     * @param {number} [code=4006] - Discord close code
+     * @param {string} [reason='Session no longer valid'] - Close reason
+     * @param {boolean} [byRemote=true] - Whether Discord closed it
+     */
+    emitWebSocketClosed(guildId, code = 4006, reason = 'Session no longer valid', byRemote = true) {
+        this.emitEvent(guildId, LavalinkEvents.WEBSOCKET_CLOSED, { code, reason, byRemote });
+    }
+
+    /**
+     * Send a playerUpdate op
+     * @param {string} guildId - Guild ID
+     * @param {Object} [state] - State overrides (position, time, connected, ping)
+     */
+    sendPlayerUpdate(guildId, state = {}) {
+        const player = this.getPlayer(guildId);
+        if (player) Object.assign(player.state, state);
+
+        this.send({
+            op: OpCodes.PLAYER_UPDATE,
+            guildId,
+            state: { time: Date.now(), ...(player?.state ?? state) }
+        }, this._findSession(guildId)?.id);
+    }
+
+    /**
+     * Send a stats op
+     * @param {Object} [overrides] - Stats overrides
+     */
+    sendStats(overrides = {}) {
+        this.send({ op: OpCodes.STATS, ...this._stats(), ...overrides });
+    }
+
+    /**
+     * Drop all WebSocket connections
+     * Sessions with resuming enabled are kept for their timeout, like Lavalink does
+     * @param {Object} [options] - Disconnect options
+     * @param {number} [options.code=1006] - Close code (1006 terminates without a close frame)
+     * @param {string} [options.reason] - Close reason
+     */
+    disconnect({ code = 1006, reason = 'Mock disconnect' } = {}) {
+        for (const session of this.sessions.values()) {
+            if (!session.socket) continue;
+
+            if (code === 1006) {
+                session.socket.terminate();
+            } else {
+                session.socket.close(code, reason);
+            }
+        }
+    }
+
+    /**
+     * Simulate a Lavalink restart: drop all connections and forget every session
+     */
+    restart() {
+        const sessions = Array.from(this.sessions.values());
+        this.sessions.clear();
+
+        for (const session of sessions) {
+            clearTimeout(session.expireTimeout);
+            session.socket?.terminate();
+        }
+    }
+
+    // ==================== Assertions ====================
+
+    /**
+     * Get recorded player updates
+     * @param {string} [guildId] - Only updates for this guild
+     * @returns {MockPlayerUpdate[]}
+     */
+    getPlayerUpdates(guildId) {
+        return guildId
+            ? this.playerUpdates.filter(update => update.guildId === guildId)
+            : this.playerUpdates;
+    }
+
+    /**
+     * Assert that a player update containing `expected` was received
+     * @param {string} guildId - Guild ID
+     * @param {Object} expected - Subset of the PATCH body, e.g. `{ paused: true }`
+     * @returns {MockPlayerUpdate} The matching update
+     * @throws {Error} If no update matches
+     */
+    assertPlayerUpdate(guildId, expected) {
+        const update = this.getPlayerUpdates(guildId).find(u => matches(u.body, expected));
+        if (!update) {
+            throw new Error(
+                `Expected a player update for ${guildId} matching ${JSON.stringify(expected)}, got ` +
+                JSON.stringify(this.getPlayerUpdates(guildId).map(u => u.body))
+            );
+        }
+        return update;
+    }
+
+    /**
+     * Wait for a player update containing `expected`
+     * Resolves immediately if one was already received since the last reset()
+     * @param {string} guildId - Guild ID
+     * @param {Object} [expected={}] - Subset of the PATCH body
+     * @param {number} [timeout=5000] - Timeout in ms
+     * @returns {Promise<MockPlayerUpdate>}
+     */
+    waitForPlayerUpdate(guildId, expected = {}, timeout = 5000) {
+        const received = this.getPlayerUpdates(guildId).find(u => matches(u.body, expected));
+        if (received) return Promise.resolve(received);
+
+        return new Promise((resolve, reject) => {
+            const listener = update => {
+                if (update.guildId !== guildId || !matches(update.body, expected)) return;
+                clearTimeout(timer);
+                this.off('playerUpdate', listener);
+                resolve(update);
+            };
+
+            const timer = setTimeout(() => {
+                this.off('playerUpdate', listener);
+                reject(new Error(
+                    `Timed out waiting for a player update for ${guildId} matching ${JSON.stringify(expected)}`
+                ));
+            }, timeout);
+
+            this.on('playerUpdate', listener);
+        });
+    }
+
+    // ==================== WebSocket ====================
+
+    /**
+     * Authenticate and accept a WebSocket upgrade
+     * @private
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Socket
+     * @param {Buffer} head - First packet
+     */
+    _handleUpgrade(req, socket, head) {
+        const { pathname } = new URL(req.url, this.url);
+        const path = this.version === 3 ? '/' : '/v4/websocket';
+
+        if (pathname !== path || req.headers.authorization !== this.password) {
+            const status = pathname !== path ? '404 Not Found' : '401 Unauthorized';
+            socket.end(`HTTP/1.1 ${status}\r\n\r\n`);
+            return;
+        }
+
+        this._wss.handleUpgrade(req, socket, head, ws => this._handleConnection(ws, req));
+    }
+
+    /**
+     * Start or resume a session for a new connection
+     * @private
+     * @param {WebSocket} ws - Client socket
+     * @param {http.IncomingMessage} req - Upgrade request
+     */
+    _handleConnection(ws, req) {
+        // v3 resumes by the key the client configured, v4 by session ID
+        const requested = this.version === 3
+            ? Array.from(this.sessions.values()).find(s => s.resumeKey && s.resumeKey === req.headers['resume-key'])
+            : this.sessions.get(req.headers['session-id']);
+        const resumed = Boolean(requested?.resuming && !requested.socket);
+
+        let session;
+        if (resumed) {
+            session = requested;
+            clearTimeout(session.expireTimeout);
+        } else {
+            session = {
+                id: `mock-session-${++this._sessionCount}`,
+                userId: req.headers['user-id'],
+                clientName: req.headers['client-name'],
+                resuming: false,
+                resumeKey: null,
+                timeout: 60,
+                players: new Map(),
+                socket: null,
+                expireTimeout: null
+            };
+            this.sessions.set(session.id, session);
+        }
+
+        session.socket = ws;
+        ws.on('close', () => this._handleClose(session, ws));
+
+        // Like Lavalink before 3.7, v3 sends no ready op
+        if (this.version === 3) {
+            ws.on('message', data => this._handleOp(session, data));
+        } else {
+            ws.send(JSON.stringify({ op: OpCodes.READY, resumed, sessionId: session.id }));
+        }
+        ws.send(JSON.stringify({ op: OpCodes.STATS, ...this._stats() }));
+
+        this.emit('connection', { session, resumed });
+    }
+
+    /**
+     * Apply a v3 WebSocket op, recording it and the v4 update it amounts to
+     * @private
+     * @param {Object} session - Session
+     * @param {Buffer} data - Raw message
+     */
+    _handleOp(session, data) {
+        let payload;
+        try {
+            payload = JSON.parse(data.toString());
+        } catch {
+            return;
+        }
+
+        const op = { sessionId: session.id, payload, time: Date.now() };
+        this.ops.push(op);
+        this.emit('op', op);
+
+        const { op: name, guildId, ...fields } = payload;
+        switch (name) {
+            case OpCodes.VOICE_UPDATE:
+                this._updatePlayer(session, guildId, {
+                    voice: { token: fields.event?.token, endpoint: fields.event?.endpoint, sessionId: fields.sessionId }
+                });
+                break;
+            case OpCodes.PLAY: {
+                const body = { track: { encoded: fields.track } };
+                if (fields.startTime !== undefined) body.position = fields.startTime;
+                if (fields.endTime !== undefined) body.endTime = fields.endTime;
+                if (fields.volume !== undefined) body.volume = fields.volume;
+                if (fields.pause !== undefined) body.paused = fields.pause;
+                this._updatePlayer(session, guildId, body, fields.noReplace === true);
+                break;
+            }
+            case OpCodes.STOP:
+                this._updatePlayer(session, guildId, { track: { encoded: null } });
+                break;
+            case OpCodes.PAUSE:
+                this._updatePlayer(session, guildId, { paused: fields.pause });
+                break;
+            case OpCodes.SEEK:
+                this._updatePlayer(session, guildId, { position: fields.position });
+                break;
+            case OpCodes.VOLUME:
+                this._updatePlayer(session, guildId, { volume: fields.volume });
+                break;
+            case OpCodes.FILTERS:
+                this._updatePlayer(session, guildId, { filters: fields });
+                break;
+            case OpCodes.DESTROY:
+                session.players.delete(guildId);
+                break;
+            case OpCodes.CONFIGURE_RESUMING:
+                session.resumeKey = fields.key ?? null;
+                session.resuming = session.resumeKey !== null;
+                session.timeout = fields.timeout ?? session.timeout;
+                break;
+        }
+    }
+
+    /**
+     * Keep a resumable session for its timeout, otherwise destroy it
+     * @private
+     * @param {Object} session - Session
+     * @param {WebSocket} ws - Closed socket
+     */
+    _handleClose(session, ws) {
+        if (session.socket !== ws) return;
+        session.socket = null;
+
+        this.emit('disconnect', { session });
+
+        if (!this.sessions.has(session.id)) return;
+
+        if (session.resuming) {
+            session.expireTimeout = setTimeout(() => {
+                this.sessions.delete(session.id);
+            }, session.timeout * 1000);
+        } else {
+            this.sessions.delete(session.id);
+        }
+    }
+
+    /**
+     * Find the session holding a player
+     * @private
+     * @param {string} guildId - Guild ID
+     * @returns {Object|null}
+     */
+    _findSession(guildId) {
+        for (const session of this.sessions.values()) {
+            if (session.players.has(guildId)) return session;
+        }
+        return null;
+    }
+
+    /**
+     * Build a stats payload
+     * @private
+     * @returns {Object}
+     */
+    _stats() {
+        const players = Array.from(this.sessions.values()).flatMap(s => Array.from(s.players.values()));
+
+        return {
+            players: players.length,
+            playingPlayers: players.filter(p => p.track && !p.paused).length,
+            uptime: process.uptime() * 1000,
+            memory: { free: 0, used: 0, allocated: 0, reservable: 0 },
+            cpu: { cores: 1, systemLoad: 0, lavalinkLoad: 0 },
+            frameStats: null
+        };
+    }
+
+    // ==================== REST ====================
+
+    /**
+     * Route a REST request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async _handleRequest(req, res) {
+        const url = new URL(req.url, this.url);
+        const path = url.pathname;
+
+        let body = null;
+        try {
+            const chunks = [];
+            for await (const chunk of req) chunks.push(chunk);
+            const text = Buffer.concat(chunks).toString();
+            body = text ? JSON.parse(text) : null;
+        } catch {
+            return this._error(res, 400, 'Invalid JSON body', path);
+        }
+
+        const request = {
+            method: req.method,
+            path,
+            query: Object.fromEntries(url.searchParams),
+            body,
+            time: Date.now()
+        };
+        this.requests.push(request);
+        this.emit('request', request);
+
+        if (req.headers.authorization !== this.password) {
+            return this._error(res, 401, 'Unauthorized', path);
+        }
+
+        const route = `${req.method} ${path}`;
+        const failure = this._takeFailure(route, request);
+        if (failure) {
+            if (failure.delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, failure.delay));
+            }
+            return this._error(res, failure.status, 'Scripted failure', path);
+        }
+
+        if (this.version === 3) {
+            return this._handleV3Request(route, request, res);
+        }
+
+        const playerMatch = path.match(/^\/v4\/sessions\/([^/]+)\/players\/([^/]+)$/);
+        const sessionMatch = path.match(/^\/v4\/sessions\/([^/]+)(\/players)?$/);
+
+        if (route === 'GET /version') {
+            return this._text(res, this.info.version.semver);
+        }
+        if (route === 'GET /v4/info') {
+            return this._json(res, 200, this.info);
+        }
+        if (route === 'GET /v4/stats') {
+            return this._json(res, 200, this._stats());
+        }
+        if (route === 'GET /v4/loadtracks') {
+            return this._json(res, 200, this._loadTracks(request.query.identifier ?? ''));
+        }
+        if (route === 'GET /v4/decodetrack') {
+            const track = this._decode(request.query.encodedTrack);
+            return track
+                ? this._json(res, 200, track)
+                : this._error(res, 400, 'Invalid encoded track', path);
+        }
+        if (route === 'POST /v4/decodetracks') {
+            const tracks = (body ?? []).map(encoded => this._decode(encoded));
+            return tracks.every(Boolean)
+                ? this._json(res, 200, tracks)
+                : this._error(res, 400, 'Invalid encoded track', path);
+        }
+
+        if (playerMatch || sessionMatch) {
+            const sessionId = (playerMatch ?? sessionMatch)[1];
+            const session = this.sessions.get(sessionId);
+            if (!session) {
+                return this._error(res, 404, 'Session not found', path);
+            }
+
+            if (playerMatch) {
+                return this._handlePlayerRequest(req.method, session, playerMatch[2], request, res);
+            }
+            if (sessionMatch[2] && req.method === 'GET') {
+                return this._json(res, 200, Array.from(session.players.values()).map(p => this._toPlayer(p)));
+            }
+            if (!sessionMatch[2] && req.method === 'PATCH') {
+                session.resuming = body?.resuming ?? session.resuming;
+                session.timeout = body?.timeout ?? session.timeout;
+                return this._json(res, 200, { resuming: session.resuming, timeout: session.timeout });
+            }
+        }
+
+        return this._error(res, 404, 'Not Found', path);
+    }
+
+    /**
+     * Route a REST request on v3, which has no /v4 prefix and no player routes
+     * @private
+     * @param {string} route - Method and path
+     * @param {MockRequest} request - Recorded request
+     * @param {http.ServerResponse} res - Response
+     */
+    _handleV3Request(route, request, res) {
+        if (route === 'GET /version') {
+            return this._text(res, this.info.version.semver);
+        }
+        if (route === 'GET /loadtracks') {
+            return this._json(res, 200, this._toV3LoadResult(this._loadTracks(request.query.identifier ?? '')));
+        }
+        if (route === 'GET /decodetrack') {
+            const track = this._decode(request.query.track);
+            return track
+                ? this._json(res, 200, track.info)
+                : this._error(res, 400, 'Invalid encoded track', request.path);
+        }
+        if (route === 'POST /decodetracks') {
+            const tracks = (request.body ?? []).map(encoded => this._decode(encoded));
+            return tracks.every(Boolean)
+                ? this._json(res, 200, tracks.map(track => ({ track: track.encoded, info: track.info })))
+                : this._error(res, 400, 'Invalid encoded track', request.path);
+        }
+
+        return this._error(res, 404, 'Not Found', request.path);
+    }
+
+    /**
+     * Use up the scripted failure for a request, if any
+     * @private
+     * @param {string} route - Method and path
+     * @param {MockRequest} request - Recorded request
+     * @returns {Object|null}
+     */
+    _takeFailure(route, request) {
+        const failure = this._failures.find(({ matcher }) => (typeof matcher === 'function'
+            ? matcher(request)
+            : matcher instanceof RegExp
+                ? matcher.test(route)
+                : matcher === route));
+
+        if (!failure) return null;
+        if (--failure.times <= 0) {
+            this._failures.splice(this._failures.indexOf(failure), 1);
+        }
+        return failure;
+    }
+
+    /**
+     * Handle GET/PATCH/DELETE on a player
+     * @private
+     * @param {string} method - HTTP method
+     * @param {Object} session - Session
+     * @param {string} guildId - Guild ID
+     * @param {MockRequest} request - Recorded request
+     * @param {http.ServerResponse} res - Response
+     */
+    _handlePlayerRequest(method, session, guildId, request, res) {
+        const player = session.players.get(guildId);
+
+        if (method === 'GET') {
+            return player
+                ? this._json(res, 200, this._toPlayer(player))
+                : this._error(res, 404, 'Player not found', request.path);
+        }
+
+        if (method === 'DELETE') {
+            session.players.delete(guildId);
+            res.writeHead(204).end();
+            return;
+        }
+
+        if (method !== 'PATCH') {
+            return this._error(res, 405, 'Method Not Allowed', request.path);
+        }
+
+        this._updatePlayer(session, guildId, request.body ?? {}, request.query.noReplace === 'true', res);
+    }
+
+    /**
+     * Apply a v4 player update, creating the player if needed, and send the events it causes
+     * @private
+     * @param {Object} session - Session
+     * @param {string} guildId - Guild ID
+     * @param {Object} body - PATCH body
+     * @param {boolean} [noReplace=false] - Keep the playing track
+     * @param {http.ServerResponse} [res] - Response to answer with the player
+     * @returns {Object} The mock player
+     */
+    _updatePlayer(session, guildId, body, noReplace = false, res = null) {
+        let player = session.players.get(guildId);
+        if (!player) {
+            player = {
+                guildId,
+                track: null,
+                volume: 100,
+                paused: false,
+                filters: {},
+                voice: {},
+                state: { time: Date.now(), position: 0, connected: false, ping: -1 }
+            };
+            session.players.set(guildId, player);
+        }
+
+        const update = { sessionId: session.id, guildId, body, noReplace, time: Date.now() };
+        this.playerUpdates.push(update);
+
+        const events = [];
+        // A null track stops the player, so only fall back when no track field was sent
+        const encoded = body.track && 'encoded' in body.track ? body.track.encoded : body.encodedTrack;
+        if (encoded !== undefined && !(noReplace && player.track)) {
+            const previous = player.track;
+            player.track = encoded === null ? null : this._decode(encoded);
+
+            if (previous) {
+                const reason = player.track ? TrackEndReason.REPLACED : TrackEndReason.STOPPED;
+                events.push({ type: LavalinkEvents.TRACK_END, track: previous, reason });
+            }
+            if (player.track && this.autoStart) {
+                events.push({ type: LavalinkEvents.TRACK_START, track: player.track });
+            }
+            player.state.position = body.position ?? 0;
+        } else if (body.position !== undefined) {
+            player.state.position = body.position;
+        }
+
+        if (body.paused !== undefined) player.paused = body.paused;
+        if (body.volume !== undefined) player.volume = body.volume;
+        if (body.filters !== undefined) player.filters = body.filters;
+        if (body.voice !== undefined) {
+            player.voice = body.voice;
+            player.state.connected = true;
+        }
+        player.state.time = Date.now();
+
+        if (res) this._json(res, 200, this._toPlayer(player));
+        this.emit('playerUpdate', update);
+
+        for (const event of events) {
+            this.send(this._toEvent(guildId, event), session.id);
+        }
+        return player;
+    }
+
+    /**
+     * Resolve a loadtracks identifier against scripted results
+     * @private
+     * @param {string} identifier - Identifier
+     * @returns {Object}
+     */
+    _loadTracks(identifier) {
+        for (const { matcher, result } of this._loadResults) {
+            const matched = typeof matcher === 'function'
+                ? matcher(identifier)
+                : matcher instanceof RegExp
+                    ? matcher.test(identifier)
+                    : matcher === identifier;
+
+            if (matched) return result;
+        }
+        return { loadType: 'empty', data: {} };
+    }
+
+    /**
+     * Decode an encoded track
+     * @private
+     * @param {string} encoded - Encoded track
+     * @returns {Object|null}
+     */
+    _decode(encoded) {
+        try {
+            return TrackCodec.decode(encoded);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Convert a mock player to the Lavalink player response
+     * @private
+     * @param {Object} player - Mock player
+     * @returns {Object}
+     */
+    _toPlayer(player) {
+        return {
+            guildId: player.guildId,
+            track: player.track,
+            volume: player.volume,
+            paused: player.paused,
+            state: player.state,
+            voice: player.voice,
+            filters: player.filters
+        };
+    }
+
+    /**
+     * Build an event op, in the v3 shape on v3 (encoded tracks, upper-case reasons and severities)
+     * @private
+     * @param {string} guildId - Guild ID
+     * @param {Object} event - v4 event fields, including `type`
+     * @returns {Object}
+     */
+    _toEvent(guildId, event) {
+        const payload = { op: OpCodes.EVENT, guildId, ...event };
+        if (this.version !== 3) return payload;
+
+        if (payload.track) payload.track = payload.track.encoded;
+        if (payload.reason) payload.reason = payload.reason.replace(/([A-Z])/g, '_$1').toUpperCase();
+        if (payload.exception?.severity) {
+            payload.exception = { ...payload.exception, severity: payload.exception.severity.toUpperCase() };
+        }
+        return payload;
+    }
+
+    /**
+     * Convert a v4 load result to the v3 shape
+     * @private
+     * @param {Object} result - v4 load result
+     * @returns {Object}
+     */
+    _toV3LoadResult({ loadType, data }) {
+        const toV3 = track => ({ track: track.encoded, info: track.info });
+        const result = {
+            loadType: V3LoadTypes[loadType],
+            playlistInfo: {},
+            tracks: []
+        };
+
+        if (loadType === 'track') {
+            result.tracks = [toV3(data)];
+        } else if (loadType === 'search') {
+            result.tracks = data.map(toV3);
+        } else if (loadType === 'playlist') {
+            result.playlistInfo = { name: data.info.name, selectedTrack: data.info.selectedTrack };
+            result.tracks = data.tracks.map(toV3);
+        } else if (loadType === 'error') {
+            result.exception = { message: data.message, severity: data.severity.toUpperCase() };
+        }
+        return result;
+    }
+
+    /**
+     * Send a plain text response
+     * @private
+     * @param {http.ServerResponse} res - Response
+     * @param {string} text - Response body
+     */
+    _text(res, text) {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(text);
+    }
+
+    /**
+     * Send a JSON response
+     * @private
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {*} data - Response body
+     */
+    _json(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    /**
+     * Send a Lavalink error response
+     * @private
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @param {string} path - Request path
+     */
+    _error(res, status, message, path) {
+        this._json(res, status, {
+            timestamp: Date.now(),
+            status,
+            error: http.STATUS_CODES[status],
+            message,
+            path
+        });
+    }
+}
+
+module.exports = { MockLavalinkServer };
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * @file Testing module exports
+ * @module fuelink/testing
+ */
+
+const { MockLavalinkServer } = require('./MockLavalinkServer');
+const { FakeDiscordClient } = require('./FakeDiscordClient');
+
+module.exports = {
+    MockLavalinkServer,
+    FakeDiscordClient
+};
@@ -20,6 +20,21 @@ const PlayerState = {
   DESTROYED: 'DESTROYED'
 };
 
+/**
+ * Player state transitions: the states each state may move to
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+const PlayerTransitions = {
+  [PlayerState.CONNECTING]: [PlayerState.CONNECTED, PlayerState.DISCONNECTED, PlayerState.DESTROYED],
+  [PlayerState.CONNECTED]: [PlayerState.PLAYING, PlayerState.STOPPED, PlayerState.DISCONNECTED, PlayerState.DESTROYED],
+  [PlayerState.PLAYING]: [PlayerState.PAUSED, PlayerState.STOPPED, PlayerState.DISCONNECTED, PlayerState.DESTROYED],
+  [PlayerState.PAUSED]: [PlayerState.PLAYING, PlayerState.STOPPED, PlayerState.DISCONNECTED, PlayerState.DESTROYED],
+  [PlayerState.STOPPED]: [PlayerState.PLAYING, PlayerState.DISCONNECTED, PlayerState.DESTROYED],
+  [PlayerState.DISCONNECTED]: [PlayerState.CONNECTING, PlayerState.DESTROYED],
+  [PlayerState.DESTROYED]: []
+};
+
 /**
  * Node state enumeration
  * @readonly
@@ -28,6 +43,7 @@ const PlayerState = {
 const NodeState = {
   CONNECTING: 'CONNECTING',
   CONNECTED: 'CONNECTED',
+  DRAINING: 'DRAINING',
   RECONNECTING: 'RECONNECTING',
   DISCONNECTED: 'DISCONNECTED',
   DESTROYED: 'DESTROYED'
@@ -57,6 +73,33 @@ const TrackEndReason = {
   CLEANUP: 'cleanup'
 };
 
+/**
+ * Node selection strategy enumeration
+ * @readonly
+ * @enum {string}
+ */
+const NodeSelectionStrategy = {
+  PENALTY: 'penalty',
+  LEAST_PLAYERS: 'leastPlayers',
+  ROUND_ROBIN: 'roundRobin',
+  WEIGHTED_RANDOM: 'weightedRandom',
+  LOWEST_LATENCY: 'lowestLatency',
+  REGION_AFFINITY: 'regionAffinity'
+};
+
+/**
+ * Player migration reason enumeration
+ * @readonly
+ * @enum {string}
+ */
+const MigrateReason = {
+  NODE_FAILURE: 'nodeFailure',
+  RECONNECT_TIMEOUT: 'reconnectTimeout',
+  DRAIN: 'drain',
+  REBALANCE: 'rebalance',
+  MANUAL: 'manual'
+};
+
 /**
  * Event names for the client
  * @readonly
@@ -71,6 +114,16 @@ const Events = {
   NODE_READY: 'nodeReady',
   NODE_STATS: 'nodeStats',
   NODE_RAW: 'nodeRaw',
+  SESSION_RESUMED: 'sessionResumed',
+  LAVALINK_EVENT: 'lavalinkEvent',
+  ROUTE_PLANNER_WARNING: 'routePlannerWarning',
+  NODE_UNHEALTHY: 'nodeUnhealthy',
+  NODE_HEALTHY: 'nodeHealthy',
+  NODE_DRAIN_START: 'nodeDrainStart',
+  NODE_DRAIN_PROGRESS: 'nodeDrainProgress',
+  NODE_DRAIN_END: 'nodeDrainEnd',
+  NODE_UNDRAIN: 'nodeUndrain',
+  REBALANCE: 'rebalance',
 
   // Player events
   PLAYER_CREATE: 'playerCreate',
@@ -78,6 +131,9 @@ const Events = {
   PLAYER_MOVE: 'playerMove',
   PLAYER_DISCONNECT: 'playerDisconnect',
   PLAYER_UPDATE: 'playerUpdate',
+  PLAYER_MIGRATE: 'playerMigrate',
+  PLAYER_MIGRATE_FAILED: 'playerMigrateFailed',
+  PLAYER_STATE_CHANGE: 'playerStateChange',
 
   // Track events
   TRACK_START: 'trackStart',
@@ -90,8 +146,31 @@ const Events = {
   QUEUE_REMOVE: 'queueRemove',
   QUEUE_SHUFFLE: 'queueShuffle',
   QUEUE_CLEAR: 'queueClear',
+  QUEUE_MOVE: 'queueMove',
+  QUEUE_SWAP: 'queueSwap',
+  QUEUE_REVERSE: 'queueReverse',
+  QUEUE_JUMP: 'queueJump',
+  QUEUE_BACK: 'queueBack',
+  QUEUE_LOOP: 'queueLoop',
+  QUEUE_AUTOPLAY: 'queueAutoplay',
   QUEUE_END: 'queueEnd',
 
+  // Lyrics events
+  LYRICS_LINE: 'lyricsLine',
+
+  // Vote skip events
+  VOTE_ADD: 'voteAdd',
+  VOTE_SKIP_PASSED: 'voteSkipPassed',
+
+  // SponsorBlock events
+  SEGMENTS_LOADED: 'segmentsLoaded',
+  SEGMENT_SKIPPED: 'segmentSkipped',
+  CHAPTERS_LOADED: 'chaptersLoaded',
+  CHAPTER_STARTED: 'chapterStarted',
+
+  // Plugin events
+  PLUGIN_ERROR: 'pluginError',
+
   // System events
   DEBUG: 'debug',
   ERROR: 'error',
@@ -132,7 +211,42 @@ const LavalinkEvents = {
   TRACK_END: 'TrackEndEvent',
   TRACK_EXCEPTION: 'TrackExceptionEvent',
   TRACK_STUCK: 'TrackStuckEvent',
-  WEBSOCKET_CLOSED: 'WebSocketClosedEvent'
+  WEBSOCKET_CLOSED: 'WebSocketClosedEvent',
+
+  // SponsorBlock plugin
+  SEGMENTS_LOADED: 'SegmentsLoaded',
+  SEGMENT_SKIPPED: 'SegmentSkipped',
+  CHAPTERS_LOADED: 'ChaptersLoaded',
+  CHAPTER_STARTED: 'ChapterStarted'
+};
+
+/**
+ * SponsorBlock segment categories
+ * @readonly
+ * @enum {string}
+ */
+const SponsorBlockCategories = {
+  SPONSOR: 'sponsor',
+  SELF_PROMO: 'selfpromo',
+  INTERACTION: 'interaction',
+  INTRO: 'intro',
+  OUTRO: 'outro',
+  PREVIEW: 'preview',
+  MUSIC_OFFTOPIC: 'music_offtopic',
+  FILLER: 'filler'
+};
+
+/**
+ * Volume fade curves
+ * Fade-outs mirror fade-ins, so a curve sounds the same in both directions
+ * @readonly
+ * @enum {string}
+ */
+const FadeCurve = {
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential',   // Fades in slowly, then quickly
+  LOGARITHMIC: 'logarithmic',   // Fades in quickly, then slowly
+  S_CURVE: 'sCurve'             // Slow at both ends
 };
 
 /**
@@ -142,6 +256,7 @@ const LavalinkEvents = {
  */
 const ErrorCodes = {
   INVALID_NODE: 'INVALID_NODE',
+  NODE_ERROR: 'NODE_ERROR',
   NO_NODES: 'NO_NODES',
   PLAYER_EXISTS: 'PLAYER_EXISTS',
   NO_PLAYER: 'NO_PLAYER',
@@ -150,8 +265,15 @@ const ErrorCodes = {
   QUEUE_ERROR: 'QUEUE_ERROR',
   FILTER_ERROR: 'FILTER_ERROR',
   PLUGIN_ERROR: 'PLUGIN_ERROR',
+  LYRICS_UNAVAILABLE: 'LYRICS_UNAVAILABLE',
   PERSISTENCE_ERROR: 'PERSISTENCE_ERROR',
-  CONNECTION_ERROR: 'CONNECTION_ERROR'
+  CONNECTION_ERROR: 'CONNECTION_ERROR',
+  REST_ERROR: 'REST_ERROR',
+  REST_TIMEOUT: 'REST_TIMEOUT',
+  NODE_UNHEALTHY: 'NODE_UNHEALTHY',
+  CAPABILITY_UNAVAILABLE: 'CAPABILITY_UNAVAILABLE',
+  COMMAND_TIMEOUT: 'COMMAND_TIMEOUT',
+  INVALID_STATE: 'INVALID_STATE'
 };
 
 /**
@@ -165,12 +287,61 @@ const Defaults = {
     retryAmount: 5,
     retryDelay: 5000,
     resumeTimeout: 60,
-    priority: 1
+    priority: 1,
+    weight: 1,
+    version: 4              // Lavalink major version (3, 4 or 'auto')
+  },
+  REST: {
+    timeout: 10000,         // Per-request timeout (ms)
+    retries: 2,             // Retries for retryable failures
+    retryDelay: 250,        // Initial backoff (ms), doubled per retry
+    failureThreshold: 5,    // Consecutive failures before the node is marked unhealthy
+    resetTimeout: 30000     // How long an unhealthy node is skipped (ms)
+  },
+  FAILOVER: {
+    enabled: true,
+    gracePeriod: null       // Only migrate once reconnection is exhausted
+  },
+  ROUTE_PLANNER: {
+    warningThreshold: 10,   // Failing addresses across the cluster
+    checkInterval: null     // Poll interval in ms (null = only on demand)
+  },
+  REBALANCE: {
+    enabled: false,
+    interval: null,         // Scheduled rebalance in ms (null = only on nodeReady)
+    readyDelay: 5000,       // Let a ready node report stats first
+    maxMovesPerMinute: 10,
+    threshold: 5            // Minimum penalty difference worth a move
+  },
+  LOAD_CACHE: {
+    enabled: false,         // Opt in (identical concurrent lookups are coalesced either way)
+    maxSize: 500,           // Cached identifiers (least recently used are evicted)
+    ttl: 300000,            // 5 minutes
+    loadTypes: {
+      error: 10000,         // Retry failed loads soon
+      empty: 60000
+    },
+    sources: {},            // TTL per sourceName (0 = never cache)
+    shared: false           // Also cache in the persistence store
   },
   PLAYER: {
     volume: 100,
     selfDeaf: true,
-    selfMute: false
+    selfMute: false,
+    commandTimeout: 15000   // Per player command, plus its fade (ms)
+  },
+  FADES: {
+    curve: 'linear',
+    pause: 0,               // Fade durations in ms (0 = no fade)
+    resume: 0,
+    stop: 0,
+    skip: 0
+  },
+  VOTE_SKIP: {
+    percentage: 50,         // Share of listeners needed to skip
+    count: null,            // Votes needed regardless of listeners (null = percentage only)
+    requesterSkip: true,    // The track's requester skips instantly
+    autoSkip: true          // Skip as soon as the vote passes
   },
   INACTIVITY: {
     enabled: true,
@@ -298,12 +469,17 @@ const TimescalePresets = {
 
 module.exports = {
   PlayerState,
+  PlayerTransitions,
   NodeState,
   LoopMode,
   TrackEndReason,
+  MigrateReason,
+  NodeSelectionStrategy,
   Events,
   OpCodes,
   LavalinkEvents,
+  SponsorBlockCategories,
+  FadeCurve,
   ErrorCodes,
   Defaults,
   BassBoostPresets,
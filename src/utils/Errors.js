@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * @file Error classes for Fuelink
+ * @module fuelink/utils/Errors
+ */
+
+const { ErrorCodes } = require('./Constants');
+
+/**
+ * @typedef {Object} LavalinkErrorResponse
+ * @property {number} timestamp - Error timestamp (unix ms)
+ * @property {number} status - HTTP status
+ * @property {string} error - HTTP status message
+ * @property {string} message - Error message
+ * @property {string} path - Request path
+ * @property {string} [trace] - Stack trace (when requested with ?trace=true)
+ */
+
+/**
+ * Error thrown by Node REST calls
+ * @extends Error
+ */
+class FuelinkRestError extends Error {
+    /**
+     * Create a new FuelinkRestError
+     * @param {string} message - Error message
+     * @param {Object} data - Error data
+     * @param {string} data.method - HTTP method
+     * @param {string} data.path - Request path
+     * @param {string} [data.node] - Node name
+     * @param {number|null} [data.status] - HTTP status, null if no response was received
+     * @param {LavalinkErrorResponse|null} [data.response] - Lavalink error body
+     * @param {string} [data.code=ErrorCodes.REST_ERROR] - Error code
+     * @param {boolean} [data.retryable=false] - Whether the request may succeed if retried
+     * @param {Error} [data.cause] - Underlying error
+     */
+    constructor(message, data) {
+        super(message, { cause: data.cause });
+
+        this.name = 'FuelinkRestError';
+
+        /**
+         * Error code
+         * @type {string}
+         */
+        this.code = data.code ?? ErrorCodes.REST_ERROR;
+
+        /**
+         * HTTP method
+         * @type {string}
+         */
+        this.method = data.method;
+
+        /**
+         * Request path
+         * @type {string}
+         */
+        this.path = data.path;
+
+        /**
+         * Node name
+         * @type {string|null}
+         */
+        this.node = data.node ?? null;
+
+        /**
+         * HTTP status, null if no response was received
+         * @type {number|null}
+         */
+        this.status = data.status ?? null;
+
+        /**
+         * Lavalink error body
+         * @type {LavalinkErrorResponse|null}
+         */
+        this.response = data.response ?? null;
+
+        /**
+         * Whether the request may succeed if retried
+         * @type {boolean}
+         */
+        this.retryable = data.retryable ?? false;
+    }
+}
+
+module.exports = { FuelinkRestError };
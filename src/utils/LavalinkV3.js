@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * @file Lavalink v3 protocol translation
+ * @module fuelink/utils/LavalinkV3
+ */
+
+const { OpCodes, LavalinkEvents, TrackEndReason } = require('./Constants');
+const { TrackCodec } = require('./TrackCodec');
+
+/**
+ * v3 load types and their v4 equivalents
+ * @type {Object<string, string>}
+ */
+const LoadTypes = {
+    TRACK_LOADED: 'track',
+    PLAYLIST_LOADED: 'playlist',
+    SEARCH_RESULT: 'search',
+    NO_MATCHES: 'empty',
+    LOAD_FAILED: 'error'
+};
+
+/**
+ * v3 track end reasons and their v4 equivalents
+ * @type {Object<string, string>}
+ */
+const EndReasons = {
+    FINISHED: TrackEndReason.FINISHED,
+    LOAD_FAILED: TrackEndReason.LOAD_FAILED,
+    STOPPED: TrackEndReason.STOPPED,
+    REPLACED: TrackEndReason.REPLACED,
+    CLEANUP: TrackEndReason.CLEANUP
+};
+
+/**
+ * Translates between Fuelink's v4-shaped calls and Lavalink v3, which drives players
+ * with websocket ops and returns differently shaped REST responses
+ */
+class LavalinkV3 {
+    /**
+     * Translate a v4 player PATCH into v3 websocket ops
+     * @param {string} guildId - Guild ID
+     * @param {Object} data - v4 player update
+     * @param {boolean} [noReplace=false] - Don't replace the current track
+     * @returns {Object[]} Ops, in the order they must be sent
+     */
+    static toOps(guildId, data, noReplace = false) {
+        const ops = [];
+
+        if (data.voice) {
+            ops.push({
+                op: OpCodes.VOICE_UPDATE,
+                guildId,
+                sessionId: data.voice.sessionId,
+                event: {
+                    guild_id: guildId,
+                    token: data.voice.token,
+                    endpoint: data.voice.endpoint
+                }
+            });
+        }
+
+        // Filters first, so a new track starts with them
+        if (data.filters) {
+            const filters = { ...data.filters };
+            delete filters.pluginFilters;
+            ops.push({ op: OpCodes.FILTERS, guildId, ...filters });
+        }
+
+        const encoded = data.track?.encoded;
+
+        if (encoded) {
+            const play = { op: OpCodes.PLAY, guildId, track: encoded, noReplace };
+            if (data.position !== undefined) play.startTime = data.position;
+            if (data.endTime !== undefined) play.endTime = data.endTime;
+            if (data.volume !== undefined) play.volume = data.volume;
+            if (data.paused !== undefined) play.pause = data.paused;
+            ops.push(play);
+            return ops;
+        }
+
+        if (encoded === null) {
+            ops.push({ op: OpCodes.STOP, guildId });
+        }
+        if (data.paused !== undefined) {
+            ops.push({ op: OpCodes.PAUSE, guildId, pause: data.paused });
+        }
+        if (data.position !== undefined) {
+            ops.push({ op: OpCodes.SEEK, guildId, position: data.position });
+        }
+        if (data.volume !== undefined) {
+            ops.push({ op: OpCodes.VOLUME, guildId, volume: data.volume });
+        }
+
+        return ops;
+    }
+
+    /**
+     * Convert a v3 track (`{ track, info }` or an encoded string) to a v4 track
+     * @param {Object|string} track - v3 track
+     * @returns {Object}
+     */
+    static fromTrack(track) {
+        if (typeof track === 'string') {
+            try {
+                return TrackCodec.decode(track);
+            } catch {
+                return { encoded: track, info: null, pluginInfo: {}, userData: {} };
+            }
+        }
+
+        return {
+            encoded: track.encoded ?? track.track,
+            info: track.info,
+            pluginInfo: track.pluginInfo ?? {},
+            userData: {}
+        };
+    }
+
+    /**
+     * Convert a v3 exception to the v4 shape (lowercase severity)
+     * @param {Object} exception - v3 exception
+     * @returns {Object}
+     */
+    static fromException(exception) {
+        return {
+            message: exception?.message ?? null,
+            severity: exception?.severity?.toLowerCase() ?? 'common',
+            cause: exception?.cause ?? null
+        };
+    }
+
+    /**
+     * Convert a v3 /loadtracks response to the v4 shape
+     * @param {Object} result - v3 load result
+     * @returns {Object}
+     */
+    static fromLoadResult(result) {
+        const loadType = LoadTypes[result?.loadType] ?? result?.loadType;
+        const tracks = (result?.tracks ?? []).map(track => LavalinkV3.fromTrack(track));
+
+        switch (loadType) {
+            case 'track':
+                return { loadType, data: tracks[0] };
+            case 'playlist':
+                return {
+                    loadType,
+                    data: {
+                        info: {
+                            name: result.playlistInfo?.name ?? null,
+                            selectedTrack: result.playlistInfo?.selectedTrack ?? -1
+                        },
+                        pluginInfo: {},
+                        tracks
+                    }
+                };
+            case 'search':
+                return { loadType, data: tracks };
+            case 'error':
+                return { loadType, data: LavalinkV3.fromException(result.exception) };
+            default:
+                return { loadType: 'empty', data: {} };
+        }
+    }
+
+    /**
+     * Convert a v3 event payload to the v4 shape
+     * @param {Object} payload - v3 event payload
+     * @returns {Object}
+     */
+    static fromEvent(payload) {
+        const event = { ...payload };
+
+        if (payload.track !== undefined && payload.track !== null) {
+            event.track = LavalinkV3.fromTrack(payload.track);
+        }
+        if (payload.type === LavalinkEvents.TRACK_END) {
+            event.reason = EndReasons[payload.reason] ?? payload.reason;
+        }
+        if (payload.exception) {
+            event.exception = LavalinkV3.fromException(payload.exception);
+        }
+
+        return event;
+    }
+}
+
+module.exports = { LavalinkV3 };
@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * @file Lavalink track encoding and decoding
+ * @module fuelink/utils/TrackCodec
+ */
+
+const { ErrorCodes } = require('./Constants');
+
+/**
+ * Header flag for tracks with a version byte
+ * @type {number}
+ */
+const TRACK_INFO_VERSIONED = 1;
+
+/**
+ * Newest track format version (adds artworkUrl and isrc)
+ * @type {number}
+ */
+const LATEST_VERSION = 3;
+
+/**
+ * @typedef {Object} ParsedTrack
+ * @property {number} version - Track format version (1-3)
+ * @property {Object} info - Lavalink track info
+ * @property {Buffer} sourceData - Source-specific fields between sourceName and position
+ */
+
+/**
+ * @typedef {Object} EncodeOptions
+ * @property {number} [version=3] - Track format version (1-3)
+ * @property {Buffer} [sourceData] - Source-specific fields (e.g. probe info for http tracks)
+ */
+
+/**
+ * Reads Java DataInput values from a buffer
+ * @private
+ */
+class TrackReader {
+    /**
+     * @param {Buffer} buffer - Buffer to read
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    /**
+     * @param {number} size - Bytes to consume
+     * @returns {number} Offset before the read
+     */
+    take(size) {
+        if (this.offset + size > this.buffer.length) {
+            throw new RangeError('Unexpected end of track data');
+        }
+        const offset = this.offset;
+        this.offset += size;
+        return offset;
+    }
+
+    byte() {
+        return this.buffer.readUInt8(this.take(1));
+    }
+
+    boolean() {
+        return this.byte() !== 0;
+    }
+
+    int() {
+        return this.buffer.readInt32BE(this.take(4));
+    }
+
+    long() {
+        return Number(this.buffer.readBigInt64BE(this.take(8)));
+    }
+
+    utf() {
+        const length = this.buffer.readUInt16BE(this.take(2));
+        const start = this.take(length);
+        return decodeModifiedUtf8(this.buffer.subarray(start, start + length));
+    }
+
+    nullableUtf() {
+        return this.boolean() ? this.utf() : null;
+    }
+}
+
+/**
+ * Writes Java DataOutput values
+ * @private
+ */
+class TrackWriter {
+    constructor() {
+        this.chunks = [];
+    }
+
+    bytes(buffer) {
+        this.chunks.push(buffer);
+    }
+
+    byte(value) {
+        this.bytes(Buffer.from([value]));
+    }
+
+    boolean(value) {
+        this.byte(value ? 1 : 0);
+    }
+
+    long(value) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigInt64BE(BigInt(Math.trunc(value)));
+        this.bytes(buffer);
+    }
+
+    utf(value) {
+        const encoded = encodeModifiedUtf8(value);
+        if (encoded.length > 0xFFFF) {
+            throw new RangeError('String too long for track data');
+        }
+
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(encoded.length);
+        this.bytes(length);
+        this.bytes(encoded);
+    }
+
+    nullableUtf(value) {
+        this.boolean(value !== null && value !== undefined);
+        if (value !== null && value !== undefined) {
+            this.utf(value);
+        }
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+}
+
+/**
+ * Decode Java's modified UTF-8 (as written by DataOutput.writeUTF)
+ * @param {Buffer} bytes - Encoded string
+ * @returns {string}
+ */
+function decodeModifiedUtf8(bytes) {
+    const units = [];
+
+    for (let i = 0; i < bytes.length; i++) {
+        const a = bytes[i];
+
+        if (a < 0x80) {
+            units.push(a);
+        } else if ((a & 0xE0) === 0xC0) {
+            units.push(((a & 0x1F) << 6) | (bytes[++i] & 0x3F));
+        } else {
+            units.push(((a & 0x0F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F));
+        }
+    }
+
+    // Supplementary characters are stored as surrogate pairs, which fromCharCode rejoins
+    let result = '';
+    for (let i = 0; i < units.length; i += 0x2000) {
+        result += String.fromCharCode(...units.slice(i, i + 0x2000));
+    }
+    return result;
+}
+
+/**
+ * Encode a string as Java's modified UTF-8
+ * @param {string} value - String
+ * @returns {Buffer}
+ */
+function encodeModifiedUtf8(value) {
+    const bytes = [];
+
+    for (let i = 0; i < value.length; i++) {
+        const unit = value.charCodeAt(i);
+
+        if (unit !== 0 && unit < 0x80) {
+            bytes.push(unit);
+        } else if (unit < 0x800) {
+            bytes.push(0xC0 | (unit >> 6), 0x80 | (unit & 0x3F));
+        } else {
+            bytes.push(0xE0 | (unit >> 12), 0x80 | ((unit >> 6) & 0x3F), 0x80 | (unit & 0x3F));
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Pure-JS codec for Lavalink's binary track format (versions 1-3)
+ * Matches what Lavalink returns from /v4/decodetrack, without a node
+ */
+class TrackCodec {
+    /**
+     * Parse an encoded track, keeping its version and source-specific fields
+     * @param {string} encoded - Base64 encoded track
+     * @returns {ParsedTrack}
+     * @throws {Error} TRACK_ERROR if the data is not a valid track
+     */
+    static parse(encoded) {
+        try {
+            const reader = new TrackReader(Buffer.from(encoded, 'base64'));
+
+            const header = reader.int();
+            const flags = header >>> 30;
+            const size = header & 0x3FFFFFFF;
+            const end = reader.offset + size;
+            if (end > reader.buffer.length) {
+                throw new RangeError('Track data is truncated');
+            }
+
+            const version = flags & TRACK_INFO_VERSIONED ? reader.byte() : 1;
+            if (version < 1 || version > LATEST_VERSION) {
+                throw new RangeError(`Unsupported track version ${version}`);
+            }
+
+            const title = reader.utf();
+            const author = reader.utf();
+            const length = reader.long();
+            const identifier = reader.utf();
+            const isStream = reader.boolean();
+            const uri = version >= 2 ? reader.nullableUtf() : null;
+            const artworkUrl = version >= 3 ? reader.nullableUtf() : null;
+            const isrc = version >= 3 ? reader.nullableUtf() : null;
+            const sourceName = reader.utf();
+            if (reader.offset > end - 8) {
+                throw new RangeError('Track data is truncated');
+            }
+
+            // Source managers append their own fields before the position
+            const sourceData = Buffer.from(reader.buffer.subarray(reader.offset, end - 8));
+            reader.offset = end - 8;
+            const position = reader.long();
+
+            return {
+                version,
+                info: {
+                    identifier,
+                    isSeekable: !isStream,
+                    author,
+                    length,
+                    isStream,
+                    position,
+                    title,
+                    uri,
+                    artworkUrl,
+                    isrc,
+                    sourceName
+                },
+                sourceData
+            };
+        } catch (cause) {
+            const error = new Error(`Invalid encoded track: ${cause.message}`, { cause });
+            error.code = ErrorCodes.TRACK_ERROR;
+            throw error;
+        }
+    }
+
+    /**
+     * Decode an encoded track to the shape Lavalink returns from /v4/decodetrack
+     * @param {string} encoded - Base64 encoded track
+     * @returns {{ encoded: string, info: Object, pluginInfo: Object, userData: Object }}
+     * @throws {Error} TRACK_ERROR if the data is not a valid track
+     */
+    static decode(encoded) {
+        return {
+            encoded,
+            info: TrackCodec.parse(encoded).info,
+            pluginInfo: {},
+            userData: {}
+        };
+    }
+
+    /**
+     * Encode track info
+     * Tracks from sources that store extra fields (http, local, LavaSrc, ...) need their
+     * `sourceData` from parse() to stay playable
+     * @param {Object} info - Lavalink track info
+     * @param {EncodeOptions} [options] - Encode options
+     * @returns {string} Base64 encoded track
+     */
+    static encode(info, options = {}) {
+        const version = options.version ?? LATEST_VERSION;
+        const writer = new TrackWriter();
+
+        // Version 1 predates the version byte
+        if (version > 1) {
+            writer.byte(version);
+        }
+        writer.utf(info.title ?? '');
+        writer.utf(info.author ?? '');
+        writer.long(info.length ?? info.duration ?? 0);
+        writer.utf(info.identifier ?? '');
+        writer.boolean(info.isStream ?? false);
+        if (version >= 2) {
+            writer.nullableUtf(info.uri);
+        }
+        if (version >= 3) {
+            writer.nullableUtf(info.artworkUrl);
+            writer.nullableUtf(info.isrc);
+        }
+        writer.utf(info.sourceName ?? 'unknown');
+        if (options.sourceData) {
+            writer.bytes(options.sourceData);
+        }
+        writer.long(info.position ?? 0);
+
+        const body = writer.toBuffer();
+        const flags = version > 1 ? TRACK_INFO_VERSIONED : 0;
+        const header = Buffer.alloc(4);
+        header.writeInt32BE((flags << 30) | body.length);
+
+        return Buffer.concat([header, body]).toString('base64');
+    }
+}
+
+module.exports = { TrackCodec };
@@ -166,6 +166,7 @@ class Util {
      * @param {number} [options.initialDelay=1000] - Initial delay in ms
      * @param {number} [options.maxDelay=30000] - Maximum delay in ms
      * @param {number} [options.factor=2] - Backoff factor
+     * @param {Function} [options.shouldRetry] - Called with (error, attempt); return false to stop retrying
      * @returns {Promise<*>}
      */
     static async retry(fn, options = {}) {
@@ -173,7 +174,8 @@ class Util {
             maxRetries = 3,
             initialDelay = 1000,
             maxDelay = 30000,
-            factor = 2
+            factor = 2,
+            shouldRetry = () => true
         } = options;
 
         let lastError;
@@ -184,10 +186,10 @@ class Util {
                 return await fn(attempt);
             } catch (error) {
                 lastError = error;
-                if (attempt < maxRetries) {
-                    await Util.sleep(delay);
-                    delay = Math.min(delay * factor, maxDelay);
-                }
+                if (attempt >= maxRetries || !shouldRetry(error, attempt)) break;
+
+                await Util.sleep(delay);
+                delay = Math.min(delay * factor, maxDelay);
             }
         }
 
@@ -8,11 +8,15 @@
 const Constants = require('./Constants');
 const { Logger, LogLevel, Colors } = require('./Logger');
 const { Util } = require('./Util');
+const { FuelinkRestError } = require('./Errors');
+const { TrackCodec } = require('./TrackCodec');
 
 module.exports = {
     ...Constants,
     Logger,
     LogLevel,
     Colors,
-    Util
+    Util,
+    FuelinkRestError,
+    TrackCodec
 };
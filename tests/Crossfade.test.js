@@ -0,0 +1,165 @@
+'use strict';
+
+const { LoopMode } = require('..');
+const { GUILD_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+// Tracks are 60s long; the fade-out starts CROSSFADE + 500ms (the hand-over lead) before the end
+const CROSSFADE = 600;
+const FADE_START = 60000 - CROSSFADE - 500;
+
+describe('Crossfade', () => {
+    let env;
+    let player;
+    let starts;
+    let ends;
+
+    /**
+     * Volume filter levels sent to the server, in order
+     * @returns {number[]}
+     */
+    const filterVolumes = () => env.server.getPlayerUpdates(GUILD_ID)
+        .filter(update => update.body.filters)
+        .map(update => update.body.filters.volume ?? 1);
+
+    /**
+     * Player updates that played a track, in order
+     * @returns {Object[]}
+     */
+    const plays = () => env.server.getPlayerUpdates(GUILD_ID).filter(update => update.body.track);
+
+    beforeAll(async () => {
+        env = await createEnvironment();
+    });
+
+    afterAll(async () => {
+        await env.close();
+    });
+
+    beforeEach(async () => {
+        player = await createPlayer(env.fuelink);
+        player.queue.add([createTrack('a'), createTrack('b'), createTrack('c')]);
+
+        starts = [];
+        ends = [];
+        player.on('trackStart', ({ track }) => starts.push(track.identifier));
+        player.on('trackEnd', ({ track, reason }) => ends.push(`${track.identifier}:${reason}`));
+
+        await player.play();
+        player.setCrossfade(CROSSFADE);
+        await wait(50);
+        env.server.reset();
+    });
+
+    afterEach(async () => {
+        if (env.fuelink.players.has(GUILD_ID)) {
+            await env.fuelink.players.destroy(GUILD_ID);
+        }
+    });
+
+    test('fades the track out and starts the next one before it ends', async () => {
+        const started = player.waitFor('trackStart', 3000);
+        await player.seek(FADE_START);
+        await started;
+
+        // Lavalink never reported the end: the next track was played before it
+        expect(starts).toEqual(['a', 'b']);
+        expect(ends).toEqual(['a:finished']);
+        expect(env.server.getPlayer(GUILD_ID).track.info.identifier).toBe('b');
+
+        const [play] = plays();
+        expect(play.body.filters.volume).toBe(0);
+
+        await wait(CROSSFADE + 300);
+        const volumes = filterVolumes();
+        const silent = volumes.indexOf(0);
+        expect(silent).toBeGreaterThan(0);
+        expect(volumes.slice(0, silent + 1)).toEqual([...volumes.slice(0, silent + 1)].sort((x, y) => y - x));
+        expect(volumes.at(-1)).toBe(1);
+        expect(player.filters._fadeLevel).toBe(1);
+        expect(player.queue.size).toBe(1);
+    });
+
+    test('a track end from Lavalink during the fade advances once', async () => {
+        await player.seek(FADE_START);
+        await wait(100);
+
+        env.server.emitTrackEnd(GUILD_ID);
+        await wait(CROSSFADE + 300);
+
+        expect(starts).toEqual(['a', 'b']);
+        expect(ends).toEqual(['a:finished']);
+        expect(player.queue.size).toBe(1);
+        expect(player.filters._fadeLevel).toBe(1);
+    });
+
+    test('seeking out of the fade restores the volume', async () => {
+        await player.seek(FADE_START);
+        await wait(300);
+        expect(player.filters._fadeLevel).toBeLessThan(1);
+
+        await player.seek(1000);
+        await wait(CROSSFADE + 300);
+
+        expect(player.filters._fadeLevel).toBe(1);
+        expect(filterVolumes().at(-1)).toBe(1);
+        expect(starts).toEqual(['a']);
+        expect(player.current.identifier).toBe('a');
+    });
+
+    test('seeking past the fade start hands over at once', async () => {
+        const started = player.waitFor('trackStart', 1000);
+        await player.seek(59900);
+        await started;
+
+        expect(starts).toEqual(['a', 'b']);
+        expect(ends).toEqual(['a:finished']);
+    });
+
+    test('skipping mid-fade fades the next track in from the current level', async () => {
+        await player.seek(FADE_START);
+        await wait(300);
+        const level = player.filters._fadeLevel;
+
+        await player.skip();
+        await wait(CROSSFADE + 300);
+
+        const [play] = plays();
+        expect(play.body.filters.volume).toBeCloseTo(level);
+        expect(starts).toEqual(['a', 'b']);
+        expect(player.queue.size).toBe(1);
+        expect(player.filters._fadeLevel).toBe(1);
+    });
+
+    test('in track loop mode the track fades into itself', async () => {
+        player.queue.setLoop(LoopMode.TRACK);
+
+        const started = player.waitFor('trackStart', 3000);
+        await player.seek(FADE_START);
+        await started;
+
+        expect(starts).toEqual(['a', 'a']);
+        expect(ends).toEqual(['a:finished']);
+        expect(player.queue.size).toBe(2);
+        expect(plays()).toHaveLength(1);
+    });
+
+    test('streams are not faded out', async () => {
+        await player.play(createTrack('live', { isStream: true, isSeekable: false, length: 0 }));
+        await wait(50);
+        env.server.reset();
+
+        await wait(300);
+        expect(filterVolumes()).toEqual([]);
+        expect(player._crossfadeTimer).toBeNull();
+    });
+
+    test('the last track is not faded out', async () => {
+        player.queue.clear();
+
+        await player.seek(FADE_START);
+        await wait(CROSSFADE + 300);
+
+        expect(filterVolumes()).toEqual([]);
+        expect(starts).toEqual(['a']);
+    });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { NodeState, MigrateReason, ErrorCodes } = require('..');
+const { GUILD_ID, VOICE_CHANNEL_ID, wait, createTrack, createCluster } = require('./helpers');
+
+const GUILD_IDS = [GUILD_ID, '81384788765712385', '81384788765712386'];
+
+describe('Drain', () => {
+    let env;
+    let nodeA;
+    let players;
+
+    beforeEach(async () => {
+        env = await createCluster(['a', 'b']);
+        nodeA = env.fuelink.nodes.get('a');
+
+        players = [];
+        for (const [index, guildId] of GUILD_IDS.entries()) {
+            if (guildId !== GUILD_ID) env.client.addGuild(guildId);
+
+            const player = await env.fuelink.players.create({ guildId, voiceChannel: VOICE_CHANNEL_ID, node: nodeA });
+            await player.play(createTrack(`track-${index}`));
+            await player.seek(10000 * (index + 1));
+            players.push(player);
+        }
+        await wait(50);
+    });
+
+    afterEach(async () => {
+        await env.close();
+    });
+
+    test('moves every player off the node with its position, then disconnects it', async () => {
+        const events = [];
+        env.fuelink.on('nodeDrainStart', ({ node, total }) => events.push(['start', node.name, total]));
+        env.fuelink.on('nodeDrainProgress', ({ player, to, error, completed, total }) =>
+            events.push(['progress', player.guildId, to.name, error, completed, total]));
+        env.fuelink.on('nodeDrainEnd', ({ node }) => events.push(['end', node.name]));
+
+        const migrations = [];
+        for (const player of players) {
+            player.on('playerMigrate', ({ reason, position }) => migrations.push([reason, position]));
+        }
+
+        const result = await env.fuelink.nodes.drain('a');
+
+        expect(result).toMatchObject({ node: nodeA, migrated: players, failed: [] });
+        expect(events).toEqual([
+            ['start', 'a', 3],
+            ['progress', GUILD_IDS[0], 'b', null, 1, 3],
+            ['progress', GUILD_IDS[1], 'b', null, 2, 3],
+            ['progress', GUILD_IDS[2], 'b', null, 3, 3],
+            ['end', 'a']
+        ]);
+
+        expect(migrations.map(([reason]) => reason)).toEqual(Array(3).fill(MigrateReason.DRAIN));
+        for (const [index, player] of players.entries()) {
+            expect(player.node.name).toBe('b');
+            expect(migrations[index][1]).toBeGreaterThanOrEqual(10000 * (index + 1));
+
+            const remote = env.servers.b.getPlayer(player.guildId);
+            expect(remote.track.info.identifier).toBe(`track-${index}`);
+            expect(remote.state.position).toBeGreaterThanOrEqual(10000 * (index + 1));
+        }
+
+        expect(nodeA.draining).toBe(true);
+        expect(nodeA.state).toBe(NodeState.DISCONNECTED);
+    });
+
+    test('a draining node gets no new players', async () => {
+        const drained = env.fuelink.nodes.drain('a', { migrate: false });
+        expect(env.fuelink.nodes.select()).toBe(env.fuelink.nodes.get('b'));
+        await drained;
+
+        expect(nodeA.state).toBe(NodeState.DRAINING);
+        expect(nodeA.connected).toBe(true);
+        expect(env.fuelink.nodes.select({ exclude: [env.fuelink.nodes.get('b')] })).toBeNull();
+    });
+
+    test('without migrate, players stay and the node stays connected', async () => {
+        const result = await env.fuelink.nodes.drain('a', { migrate: false });
+
+        expect(result).toMatchObject({ migrated: [], failed: [] });
+        expect(players.every(player => player.node === nodeA)).toBe(true);
+        expect(env.fuelink.players.getByNode('a')).toHaveLength(3);
+        expect(nodeA.connected).toBe(true);
+    });
+
+    test('reports players that have nowhere to go', async () => {
+        env.fuelink.nodes.get('b').disconnect();
+
+        const result = await env.fuelink.nodes.drain('a', { disconnect: false });
+
+        expect(result.migrated).toEqual([]);
+        expect(result.failed.map(({ player }) => player)).toEqual(players);
+        expect(result.failed.every(({ error }) => error.code === ErrorCodes.NO_NODES)).toBe(true);
+        expect(players.every(player => player.node === nodeA)).toBe(true);
+        expect(nodeA.connected).toBe(true);
+    });
+
+    test('a second drain of the same node joins the running one', async () => {
+        const starts = jest.fn();
+        env.fuelink.on('nodeDrainStart', starts);
+
+        const [first, second] = await Promise.all([env.fuelink.nodes.drain('a'), env.fuelink.nodes.drain('a')]);
+
+        expect(second).toBe(first);
+        expect(first).toMatchObject({ migrated: players });
+        expect(starts).toHaveBeenCalledTimes(1);
+    });
+
+    test('undrain puts the node back into service and reconnects it', async () => {
+        await env.fuelink.nodes.drain('a');
+        expect(nodeA.state).toBe(NodeState.DISCONNECTED);
+
+        const undrained = env.fuelink.waitFor('nodeUndrain', 1000);
+        const ready = nodeA.waitFor('nodeReady', 2000);
+        await env.fuelink.nodes.undrain('a');
+        await expect(undrained).resolves.toEqual({ node: nodeA });
+        await ready;
+
+        expect(nodeA.draining).toBe(false);
+        expect(nodeA.state).toBe(NodeState.CONNECTED);
+        expect(env.fuelink.nodes.select({ exclude: [env.fuelink.nodes.get('b')] })).toBe(nodeA);
+    });
+
+    test('undrain stops a running drain before its next migration', async () => {
+        env.fuelink.once('nodeDrainProgress', () => {
+            env.fuelink.nodes.undrain('a');
+        });
+
+        const result = await env.fuelink.nodes.drain('a');
+
+        expect(result.migrated).toEqual([players[0]]);
+        expect(players[0].node.name).toBe('b');
+        expect(players.slice(1).every(player => player.node === nodeA)).toBe(true);
+        expect(nodeA.state).toBe(NodeState.CONNECTED);
+    });
+
+    test('an unknown node is rejected with INVALID_NODE', async () => {
+        await expect(env.fuelink.nodes.drain('c')).rejects.toMatchObject({ code: ErrorCodes.INVALID_NODE });
+        await expect(env.fuelink.nodes.undrain('c')).rejects.toMatchObject({ code: ErrorCodes.INVALID_NODE });
+    });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { GUILD_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+describe('Fades', () => {
+    let env;
+    let player;
+
+    /**
+     * Volume filter levels sent to the server, in order
+     * @returns {number[]}
+     */
+    const filterVolumes = () => env.server.getPlayerUpdates(GUILD_ID)
+        .filter(update => update.body.filters)
+        .map(update => update.body.filters.volume ?? 1);
+
+    beforeAll(async () => {
+        env = await createEnvironment({}, { resumeKey: 'fades', retryDelay: 50 });
+    });
+
+    afterAll(async () => {
+        await env.close();
+    });
+
+    beforeEach(async () => {
+        player = await createPlayer(env.fuelink);
+        player.queue.add([createTrack('a'), createTrack('b')]);
+
+        await player.play();
+        await player.filters.setVolume(80);
+        await wait(50);
+        env.server.reset();
+    });
+
+    afterEach(async () => {
+        if (env.fuelink.players.has(GUILD_ID)) {
+            await env.fuelink.players.destroy(GUILD_ID);
+        }
+    });
+
+    test('pause fades the volume filter out, then pauses', async () => {
+        player.setFades({ pause: 600 });
+        await player.pause();
+
+        const volumes = filterVolumes();
+        expect(volumes.some(volume => volume > 0 && volume < 0.8)).toBe(true);
+        expect(volumes.at(-1)).toBe(0);
+        expect(volumes).toEqual([...volumes].sort((a, b) => b - a));
+
+        env.server.assertPlayerUpdate(GUILD_ID, { paused: true });
+        expect(player.paused).toBe(true);
+        expect(player.filters.volume).toBe(80);
+    });
+
+    test('a command arriving mid-fade cancels it and calls the faded command off', async () => {
+        player.setFades({ pause: 1000 });
+
+        const pausing = player.pause();
+        await wait(300);
+        const level = player.filters._fadeLevel;
+        expect(level).toBeGreaterThan(0);
+        expect(level).toBeLessThan(1);
+
+        await player.resume();
+        await expect(pausing).resolves.toBeUndefined();
+        await wait(50);
+
+        const bodies = env.server.getPlayerUpdates(GUILD_ID).map(update => update.body);
+        expect(bodies.some(body => body.paused === true)).toBe(false);
+        expect(player.paused).toBe(false);
+        expect(player.filters._fadeLevel).toBe(1);
+        expect(filterVolumes().at(-1)).toBe(0.8);
+    });
+
+    test('toJSON() during a fade stores the unfaded volumes', async () => {
+        await player.setVolume(70);
+        player.setFades({ stop: 1000 });
+
+        const stopping = player.stop();
+        await wait(300);
+
+        expect(filterVolumes().at(-1)).toBeLessThan(0.7);
+        expect(player.toJSON()).toMatchObject({
+            volume: 70,
+            filters: { volume: 0.7 },
+            fades: { stop: { duration: 1000, curve: null } }
+        });
+
+        await player.seek(0);
+        await stopping;
+    });
+
+    test('a session resumed mid-fade keeps the unfaded filter volume', async () => {
+        player.setFades({ pause: 5000 });
+        const pausing = player.pause();
+        await wait(300);
+        expect(filterVolumes().at(-1)).toBeLessThan(0.8);
+
+        const resumed = env.fuelink.nodes.get('mock').waitFor('sessionResumed', 3000);
+        env.server.disconnect();
+        await expect(resumed).resolves.toMatchObject({ synced: [GUILD_ID] });
+        await pausing;
+
+        // The sync called the pause off without taking the server's faded volume as the real one
+        expect(env.server.getPlayer(GUILD_ID).paused).toBe(false);
+        expect(player.filters.volume).toBe(80);
+        expect(player.toJSON().filters).toEqual({ volume: 0.8 });
+
+        await wait(50);
+        expect(player.filters._fadeLevel).toBe(1);
+        expect(env.server.getPlayer(GUILD_ID).filters.volume).toBe(0.8);
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const { MigrateReason, NodeState, ErrorCodes } = require('..');
+const { GUILD_ID, wait, createTrack, createCluster, createPlayer } = require('./helpers');
+
+describe('Failover', () => {
+    let env;
+    let player;
+
+    /**
+     * Start a two-node cluster with a playing player on node a
+     * @param {Object} [options] - Fuelink options
+     * @param {Object} [nodeOptions] - Options for both nodes
+     */
+    async function setup(options = {}, nodeOptions = { retryAmount: 0 }) {
+        env = await createCluster(['a', 'b'], options, nodeOptions);
+        player = await createPlayer(env.fuelink, { node: env.fuelink.nodes.get('a') });
+        player.queue.add([createTrack('one'), createTrack('two')]);
+
+        await player.play();
+        await wait(50);
+    }
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await env.close();
+    });
+
+    test('moves players off a lost node with their state', async () => {
+        await setup();
+        await player.seek(30000);
+        await player.setVolume(50);
+        await player.filters.setTimescale({ speed: 1.25 });
+        await player.pause();
+
+        const migrated = player.waitFor('playerMigrate', 2000);
+        env.servers.a.disconnect();
+        const { from, to, reason, position } = await migrated;
+
+        expect([from.name, to.name, reason]).toEqual(['a', 'b', MigrateReason.NODE_FAILURE]);
+        expect(position).toBe(30000);
+        expect(player.node.name).toBe('b');
+
+        const remote = env.servers.b.getPlayer(GUILD_ID);
+        expect(remote.track.info.identifier).toBe('one');
+        expect(remote).toMatchObject({
+            paused: true,
+            volume: 50,
+            filters: { timescale: { speed: 1.25 } },
+            state: { position: 30000, connected: true }
+        });
+        expect(player.queue.tracks.map(track => track.identifier)).toEqual(['two']);
+        expect(player.current.identifier).toBe('one');
+    });
+
+    test('the moved player keeps playing on its new node', async () => {
+        await setup();
+
+        const migrated = player.waitFor('playerMigrate', 2000);
+        env.servers.a.disconnect();
+        await migrated;
+
+        env.servers.b.emitTrackEnd(GUILD_ID);
+        await wait(100);
+
+        expect(player.current.identifier).toBe('two');
+        expect(env.servers.b.getPlayer(GUILD_ID).track.info.identifier).toBe('two');
+    });
+
+    test('migrates after the grace period while the node reconnects', async () => {
+        await setup({ failover: { gracePeriod: 100 } }, { retryAmount: 5, retryDelay: 60000 });
+
+        const migrated = player.waitFor('playerMigrate', 2000);
+        env.servers.a.disconnect();
+
+        await expect(migrated).resolves.toMatchObject({ reason: MigrateReason.RECONNECT_TIMEOUT });
+        expect(env.fuelink.nodes.get('a').state).toBe(NodeState.RECONNECTING);
+        expect(player.node.name).toBe('b');
+    });
+
+    test('does not fail over a node disconnected on purpose', async () => {
+        await setup();
+        const migrations = [];
+        player.on('playerMigrate', data => migrations.push(data));
+
+        env.fuelink.nodes.get('a').disconnect();
+        await wait(100);
+
+        expect(migrations).toEqual([]);
+        expect(player.node.name).toBe('a');
+    });
+
+    test('a failed migration leaves the player on its old node to retry', async () => {
+        await setup();
+        const nodeA = env.fuelink.nodes.get('a');
+        const nodeB = env.fuelink.nodes.get('b');
+        jest.spyOn(nodeB, 'updatePlayer').mockRejectedValueOnce(new Error('Node b is busy'));
+
+        const failed = player.waitFor('playerMigrateFailed', 2000);
+        env.servers.a.disconnect();
+
+        await expect(failed).resolves.toMatchObject({ from: nodeA, to: nodeB, reason: MigrateReason.NODE_FAILURE });
+        expect(player.node).toBe(nodeA);
+        expect(env.fuelink.players.getByNode('a')).toEqual([player]);
+
+        await env.fuelink.nodes.handleNodeFailure(nodeA);
+        expect(player.node).toBe(nodeB);
+        expect(env.servers.b.getPlayer(GUILD_ID).track.info.identifier).toBe('one');
+    });
+
+    test('reports players that have nowhere to go', async () => {
+        await setup();
+        env.fuelink.nodes.get('b').disconnect();
+
+        const failed = player.waitFor('playerMigrateFailed', 2000);
+        env.servers.a.disconnect();
+
+        await expect(failed).resolves.toMatchObject({ to: null, error: { code: ErrorCodes.NO_NODES } });
+        expect(player.node.name).toBe('a');
+    });
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const { ErrorCodes, MockLavalinkServer } = require('..');
+const { GUILD_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+describe('Lavalink v3', () => {
+    let env;
+    let node;
+
+    /**
+     * Ops received since the last reset, without their guild ID
+     * @returns {Object[]}
+     */
+    const ops = () => env.server.ops.map(({ payload }) => {
+        const op = { ...payload };
+        delete op.guildId;
+        return op;
+    });
+
+    beforeEach(async () => {
+        env = await createEnvironment({}, { version: 3, resumeKey: 'v3', retryDelay: 50 }, { version: 3 });
+        node = env.fuelink.nodes.get('mock');
+    });
+
+    afterEach(async () => {
+        await env.close();
+    });
+
+    describe('connection', () => {
+        test('connects without a ready op and configures resuming over the websocket', async () => {
+            expect(node.version).toBe(3);
+            expect(node.connected).toBe(true);
+            expect(ops()).toEqual([{ op: 'configureResuming', key: 'v3', timeout: 60 }]);
+            expect(env.server.requests.some(request => request.path.startsWith('/v4'))).toBe(false);
+        });
+
+        test('detects v3 from the version route', async () => {
+            const auto = await createEnvironment({}, { version: 'auto' }, { version: 3 });
+            try {
+                const autoNode = auto.fuelink.nodes.get('mock');
+                expect(autoNode.version).toBe(3);
+                expect(autoNode.info.version.semver).toBe('3.7.11');
+                expect(autoNode.capabilities).toBeNull();
+            } finally {
+                await auto.close();
+            }
+        });
+
+        test('resumes the session by its key', async () => {
+            const player = await createPlayer(env.fuelink);
+            await player.play(createTrack('a'));
+            await wait(50);
+
+            const resumed = new Promise(resolve => env.server.once('connection', resolve));
+            env.server.disconnect();
+            await expect(resumed).resolves.toMatchObject({ resumed: true });
+
+            expect(env.server.getPlayer(GUILD_ID).track.info.identifier).toBe('a');
+            expect(env.server.sessions.size).toBe(1);
+        });
+    });
+
+    describe('players', () => {
+        let player;
+
+        beforeEach(async () => {
+            player = await createPlayer(env.fuelink);
+            player.queue.add([createTrack('a'), createTrack('b')]);
+        });
+
+        test('commands are sent as ops', async () => {
+            await player.play();
+            await wait(50);
+            expect(ops()).toContainEqual(expect.objectContaining({ op: 'voiceUpdate', event: expect.objectContaining({ guild_id: GUILD_ID }) }));
+            expect(ops().at(-1)).toMatchObject({ op: 'play', track: player.current.encoded, noReplace: false });
+            env.server.reset();
+
+            await player.pause();
+            await player.resume();
+            await player.seek(5000);
+            await player.setVolume(40);
+            await player.filters.setTimescale({ speed: 1.25 });
+            await player.stop();
+            await wait(50);
+
+            expect(ops()).toEqual([
+                { op: 'pause', pause: true },
+                { op: 'pause', pause: false },
+                { op: 'seek', position: 5000 },
+                // The player volume is applied through the volume filter
+                expect.objectContaining({ op: 'filters', volume: 0.4 }),
+                expect.objectContaining({ op: 'filters', volume: 0.4, timescale: expect.objectContaining({ speed: 1.25 }) }),
+                { op: 'stop' }
+            ]);
+            expect(env.server.getPlayer(GUILD_ID)).toMatchObject({ paused: false, filters: { volume: 0.4 }, track: null });
+        });
+
+        test('destroying the player sends destroy', async () => {
+            await player.play();
+            await wait(50);
+            env.server.reset();
+
+            await env.fuelink.players.destroy(GUILD_ID);
+            await wait(50);
+
+            expect(ops().at(-1)).toEqual({ op: 'destroy' });
+            expect(env.server.getPlayer(GUILD_ID)).toBeNull();
+        });
+
+        test('v3 events are translated', async () => {
+            const ends = [];
+            const errors = [];
+            player.on('trackEnd', ({ track, reason }) => ends.push(`${track.identifier}:${reason}`));
+            player.on('trackError', ({ error }) => errors.push(error.message));
+
+            await player.play();
+            await wait(50);
+
+            env.server.emitTrackEnd(GUILD_ID);
+            await wait(100);
+            expect(ends).toEqual(['a:finished']);
+            expect(player.current.identifier).toBe('b');
+
+            env.server.emitTrackException(GUILD_ID, { message: 'Video unavailable' });
+            env.server.emitTrackEnd(GUILD_ID, 'loadFailed');
+            await wait(100);
+            expect(errors).toEqual(['Video unavailable']);
+            expect(ends).toEqual(['a:finished', 'b:loadFailed']);
+        });
+
+        test('a play racing a stop sends its ops in call order', async () => {
+            await player.play();
+            await wait(50);
+            env.server.reset();
+
+            await Promise.all([player.stop(), player.play(createTrack('c'))]);
+            await wait(50);
+
+            expect(ops().map(op => op.op)).toEqual(['stop', 'play']);
+            expect(env.server.getPlayer(GUILD_ID).track.info.identifier).toBe('c');
+        });
+    });
+
+    describe('REST', () => {
+        test('load results are converted to the v4 shapes', async () => {
+            const track = MockLavalinkServer.track({ identifier: 'single' });
+            const list = [track, MockLavalinkServer.track({ identifier: 'two' })];
+            env.server.setLoadResult('single', track);
+            env.server.setLoadResult('search', list);
+            env.server.setLoadResult('playlist', {
+                loadType: 'playlist',
+                data: { info: { name: 'Mix', selectedTrack: 1 }, pluginInfo: {}, tracks: list }
+            });
+            env.server.setLoadResult('broken', { loadType: 'error', data: { message: 'Blocked', severity: 'suspicious', cause: 'Mock' } });
+
+            const v4 = ({ encoded, info }) => ({ encoded, info, pluginInfo: {}, userData: {} });
+
+            await expect(node.loadTracks('single')).resolves.toEqual({ loadType: 'track', data: v4(track) });
+            await expect(node.loadTracks('search')).resolves.toEqual({ loadType: 'search', data: list.map(v4) });
+            await expect(node.loadTracks('playlist')).resolves.toEqual({
+                loadType: 'playlist',
+                data: { info: { name: 'Mix', selectedTrack: 1 }, pluginInfo: {}, tracks: list.map(v4) }
+            });
+            await expect(node.loadTracks('broken')).resolves.toEqual({
+                loadType: 'error',
+                data: { message: 'Blocked', severity: 'suspicious', cause: null }
+            });
+            await expect(node.loadTracks('nothing')).resolves.toEqual({ loadType: 'empty', data: {} });
+        });
+
+        test('tracks are decoded through the v3 routes', async () => {
+            const track = MockLavalinkServer.track({ identifier: 'decode' });
+            const v4 = { encoded: track.encoded, info: track.info, pluginInfo: {}, userData: {} };
+
+            await expect(node.decodeTrack(track.encoded)).resolves.toEqual(v4);
+            await expect(node.decodeTracks([track.encoded])).resolves.toEqual([v4]);
+            expect(env.server.requests.map(request => request.path)).toEqual(expect.arrayContaining(['/decodetrack', '/decodetracks']));
+        });
+
+        test('v4-only routes are not called', async () => {
+            await expect(node.getPlayers()).resolves.toEqual([]);
+            await expect(node.getStats()).resolves.toBe(node.stats);
+            await expect(node.getLyrics('track')).rejects.toMatchObject({ code: ErrorCodes.CAPABILITY_UNAVAILABLE });
+            expect(env.server.requests.some(request => request.path.startsWith('/v4'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const { LoadCache, MockLavalinkServer } = require('..');
+const { createEnvironment } = require('./helpers');
+
+const trackResult = (sourceName = 'youtube') => ({
+    loadType: 'track',
+    data: MockLavalinkServer.track({ identifier: 'abc', sourceName })
+});
+
+const EMPTY = { loadType: 'empty', data: {} };
+const ERROR = { loadType: 'error', data: { message: 'Blocked', severity: 'common', cause: 'Mock' } };
+
+describe('LoadCache', () => {
+    describe('TTL', () => {
+        beforeEach(() => {
+            jest.useFakeTimers({ now: 0 });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('caches nothing unless enabled', () => {
+            const cache = new LoadCache({});
+
+            expect(cache.set('a', trackResult())).toBe(0);
+            expect(cache.get('a')).toBeNull();
+        });
+
+        test('expires results after the default TTL', () => {
+            const cache = new LoadCache({}, { enabled: true, ttl: 1000 });
+
+            expect(cache.set('a', trackResult())).toBe(1000);
+            jest.advanceTimersByTime(999);
+            expect(cache.get('a')).toEqual(trackResult());
+
+            jest.advanceTimersByTime(1);
+            expect(cache.get('a')).toBeNull();
+            expect(cache.size).toBe(0);
+        });
+
+        test('uses TTLs per loadType and per source', () => {
+            const cache = new LoadCache({}, {
+                enabled: true,
+                ttl: 1000,
+                loadTypes: { error: 50, empty: 200, track: 500 },
+                sources: { http: 0, spotify: 5000 }
+            });
+
+            expect(cache.getTTL(ERROR)).toBe(50);
+            expect(cache.getTTL(EMPTY)).toBe(200);
+            expect(cache.getTTL(trackResult('youtube'))).toBe(500);
+            expect(cache.getTTL(trackResult('spotify'))).toBe(5000);
+            expect(cache.getTTL({ loadType: 'playlist', data: { tracks: [] } })).toBe(1000);
+
+            // A TTL of 0 never caches
+            expect(cache.set('http', trackResult('http'))).toBe(0);
+            expect(cache.get('http')).toBeNull();
+        });
+
+        test('source TTLs do not apply to errors', () => {
+            const cache = new LoadCache({}, { enabled: true, loadTypes: { error: 50 }, sources: { http: 0 } });
+            expect(cache.getTTL({ ...ERROR, data: { ...ERROR.data, info: { sourceName: 'http' } } })).toBe(50);
+        });
+    });
+
+    describe('LRU', () => {
+        test('evicts the least recently used identifier', () => {
+            const cache = new LoadCache({}, { enabled: true, maxSize: 2 });
+
+            cache.set('a', trackResult());
+            cache.set('b', trackResult());
+            cache.get('a');
+            cache.set('c', trackResult());
+
+            expect(cache.get('b')).toBeNull();
+            expect(cache.get('a')).not.toBeNull();
+            expect(cache.get('c')).not.toBeNull();
+            expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1 });
+        });
+
+        test('setting an identifier again refreshes it', () => {
+            const cache = new LoadCache({}, { enabled: true, maxSize: 2 });
+
+            cache.set('a', trackResult());
+            cache.set('b', trackResult());
+            cache.set('a', EMPTY);
+            cache.set('c', trackResult());
+
+            expect(cache.get('a')).toEqual(EMPTY);
+            expect(cache.get('b')).toBeNull();
+        });
+
+        test('hands out copies', () => {
+            const cache = new LoadCache({}, { enabled: true });
+            const result = trackResult();
+
+            cache.set('a', result);
+            result.data.info.title = 'Changed';
+            cache.get('a').data.info.title = 'Changed too';
+
+            expect(cache.get('a').data.info.title).toBe('Mock Track');
+        });
+    });
+
+    describe('with MockLavalinkServer', () => {
+        let env;
+
+        const loads = () => env.server.requests.filter(request => request.path.includes('/loadtracks')).length;
+
+        beforeAll(async () => {
+            env = await createEnvironment({ loadCache: { enabled: true } });
+            env.server.setLoadResult(/song/, [MockLavalinkServer.track({ identifier: 'song', title: 'Song' })]);
+        });
+
+        afterAll(async () => {
+            await env.close();
+        });
+
+        beforeEach(() => {
+            env.fuelink.loadCache.clear();
+            env.fuelink.loadCache.resetStats();
+            env.server.reset();
+        });
+
+        test('coalesces identical concurrent searches into one request', async () => {
+            const results = await Promise.all(Array.from({ length: 10 }, () => env.fuelink.search('song')));
+
+            expect(results.every(tracks => tracks[0].title === 'Song')).toBe(true);
+            expect(loads()).toBe(1);
+            expect(env.fuelink.loadCache.getStats()).toMatchObject({ misses: 1, coalesced: 9 });
+        });
+
+        test('answers repeated searches from the cache', async () => {
+            await env.fuelink.search('song');
+            await env.fuelink.search('song');
+
+            expect(loads()).toBe(1);
+            expect(env.fuelink.loadCache.getStats()).toMatchObject({ misses: 1, hits: 1, hitRate: 0.5 });
+        });
+
+        test('changing a result does not change the cache', async () => {
+            const [first] = await env.fuelink.search('song');
+            first.pluginInfo.changed = true;
+
+            const [second] = await env.fuelink.search('song');
+            expect(second.pluginInfo).toEqual({});
+        });
+
+        test('searches different identifiers separately', async () => {
+            await Promise.all([env.fuelink.search('song one'), env.fuelink.search('song two')]);
+            expect(loads()).toBe(2);
+        });
+    });
+
+    describe('disabled (the default)', () => {
+        let env;
+
+        beforeAll(async () => {
+            env = await createEnvironment();
+            env.server.setLoadResult(/song/, [MockLavalinkServer.track({ identifier: 'song' })]);
+        });
+
+        afterAll(async () => {
+            await env.close();
+        });
+
+        test('still coalesces concurrent searches, but caches nothing', async () => {
+            await Promise.all([env.fuelink.search('song'), env.fuelink.search('song')]);
+            await env.fuelink.search('song');
+
+            const loads = env.server.requests.filter(request => request.path.includes('/loadtracks'));
+            expect(loads).toHaveLength(2);
+            expect(env.fuelink.loadCache.size).toBe(0);
+        });
+    });
+});
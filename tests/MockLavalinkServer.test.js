@@ -0,0 +1,524 @@
+'use strict';
+
+const { WebSocket } = require('ws');
+const { MockLavalinkServer, TrackCodec } = require('..');
+const { GUILD_ID } = require('./helpers');
+
+describe('MockLavalinkServer', () => {
+    let server;
+    let sockets;
+
+    /**
+     * Open a WebSocket to the server and collect what it sends
+     * @param {Object} [headers] - Extra upgrade headers
+     * @returns {Promise<{ ws: WebSocket, messages: Object[], next: Function }>}
+     */
+    async function connect(headers = {}) {
+        const path = server.version === 3 ? '/' : '/v4/websocket';
+        const ws = new WebSocket(`ws://${server.host}:${server.port}${path}`, {
+            headers: { 'Authorization': server.password, 'User-Id': '1', 'Client-Name': 'test', ...headers }
+        });
+        sockets.push(ws);
+
+        const messages = [];
+        const waiting = [];
+        ws.on('message', data => {
+            const message = JSON.parse(data);
+            const index = waiting.findIndex(({ op }) => !op || op === message.op);
+            if (index === -1) {
+                messages.push(message);
+            } else {
+                waiting.splice(index, 1)[0].resolve(message);
+            }
+        });
+
+        // Resolve with the next message for an op, including ones already received
+        const next = op => {
+            const index = messages.findIndex(message => !op || message.op === op);
+            if (index !== -1) return Promise.resolve(messages.splice(index, 1)[0]);
+            return new Promise(resolve => waiting.push({ op, resolve }));
+        };
+
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('error', reject);
+        });
+        return { ws, messages, next };
+    }
+
+    /**
+     * Call the REST API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path with query
+     * @param {*} [body] - JSON body
+     * @param {string} [password] - Authorization header
+     * @returns {Promise<{ status: number, data: * }>}
+     */
+    async function rest(method, path, body, password = server.password) {
+        const response = await fetch(`${server.url}${path}`, {
+            method,
+            headers: { 'Authorization': password, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const json = response.headers.get('content-type') === 'application/json';
+        return { status: response.status, data: json ? JSON.parse(text) : text };
+    }
+
+    /**
+     * Open a session and return its socket and ID
+     * @returns {Promise<Object>}
+     */
+    async function openSession() {
+        const socket = await connect();
+        const ready = await socket.next('ready');
+        return { ...socket, sessionId: ready.sessionId };
+    }
+
+    beforeEach(async () => {
+        server = await new MockLavalinkServer().start();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        for (const ws of sockets) ws.terminate();
+        await server.stop();
+    });
+
+    describe('websocket', () => {
+        test('sends ready and stats on connect', async () => {
+            const connections = [];
+            server.on('connection', ({ session, resumed }) => connections.push({ id: session.id, resumed }));
+
+            const { next } = await connect();
+            const ready = await next('ready');
+
+            expect(ready).toEqual({ op: 'ready', resumed: false, sessionId: 'mock-session-1' });
+            await expect(next('stats')).resolves.toMatchObject({ players: 0, playingPlayers: 0 });
+            expect(connections).toEqual([{ id: 'mock-session-1', resumed: false }]);
+        });
+
+        test('refuses a wrong password or path', async () => {
+            await expect(connect({ Authorization: 'wrong' })).rejects.toThrow('401');
+
+            const ws = new WebSocket(`ws://${server.host}:${server.port}/v3/websocket`);
+            sockets.push(ws);
+            await expect(new Promise((resolve, reject) => {
+                ws.once('open', resolve);
+                ws.once('error', reject);
+            })).rejects.toThrow('404');
+        });
+
+        test('sends scripted player updates and stats', async () => {
+            const { sessionId, next } = await openSession();
+            await next('stats');
+            await rest('PATCH', `/v4/sessions/${sessionId}/players/${GUILD_ID}`, { volume: 50 });
+
+            server.sendPlayerUpdate(GUILD_ID, { position: 1234, connected: true });
+            await expect(next('playerUpdate')).resolves.toMatchObject({
+                guildId: GUILD_ID,
+                state: { position: 1234, connected: true }
+            });
+
+            server.sendStats({ players: 7 });
+            await expect(next('stats')).resolves.toMatchObject({ players: 7 });
+        });
+    });
+
+    describe('REST', () => {
+        test('requires the password', async () => {
+            await expect(rest('GET', '/v4/info', undefined, 'wrong')).resolves.toMatchObject({
+                status: 401,
+                data: { status: 401, message: 'Unauthorized', path: '/v4/info' }
+            });
+        });
+
+        test('serves info, version and stats', async () => {
+            await expect(rest('GET', '/v4/info')).resolves.toMatchObject({ status: 200, data: { version: { major: 4 } } });
+            await expect(rest('GET', '/version')).resolves.toEqual({ status: 200, data: '4.0.8' });
+            await expect(rest('GET', '/v4/stats')).resolves.toMatchObject({ status: 200, data: { players: 0 } });
+        });
+
+        test('answers loadtracks from scripted results', async () => {
+            const single = MockLavalinkServer.track({ identifier: 'single' });
+            const list = [MockLavalinkServer.track({ identifier: 'one' }), MockLavalinkServer.track({ identifier: 'two' })];
+            const error = { loadType: 'error', data: { message: 'Blocked', severity: 'common', cause: 'Mock' } };
+
+            server.setLoadResult('https://example.com/single', single);
+            server.setLoadResult(/^ytsearch:/, list);
+            server.setLoadResult(identifier => identifier.includes('blocked'), error);
+
+            const load = identifier => rest('GET', `/v4/loadtracks?identifier=${encodeURIComponent(identifier)}`);
+
+            await expect(load('https://example.com/single')).resolves.toEqual({ status: 200, data: { loadType: 'track', data: single } });
+            await expect(load('ytsearch:song')).resolves.toEqual({ status: 200, data: { loadType: 'search', data: list } });
+            await expect(load('ytsearch:blocked')).resolves.toEqual({ status: 200, data: error });
+            await expect(load('nothing')).resolves.toEqual({ status: 200, data: { loadType: 'empty', data: {} } });
+
+            expect(server.requests.map(request => request.query.identifier)).toEqual([
+                'https://example.com/single', 'ytsearch:song', 'ytsearch:blocked', 'nothing'
+            ]);
+        });
+
+        test('decodes tracks', async () => {
+            const track = MockLavalinkServer.track({ identifier: 'decode' });
+            const other = MockLavalinkServer.track({ identifier: 'other' });
+
+            await expect(rest('GET', `/v4/decodetrack?encodedTrack=${encodeURIComponent(track.encoded)}`))
+                .resolves.toEqual({ status: 200, data: TrackCodec.decode(track.encoded) });
+            await expect(rest('POST', '/v4/decodetracks', [track.encoded, other.encoded]))
+                .resolves.toEqual({ status: 200, data: [track, other] });
+
+            await expect(rest('GET', '/v4/decodetrack?encodedTrack=invalid')).resolves.toMatchObject({ status: 400 });
+            await expect(rest('POST', '/v4/decodetracks', [track.encoded, 'invalid'])).resolves.toMatchObject({ status: 400 });
+        });
+
+        test('fails scripted requests, then answers normally', async () => {
+            server.failRequests('GET /v4/info', { times: 2 });
+            server.failRequests(/\/stats$/, { status: 503, delay: 100 });
+            server.failRequests(request => request.query.identifier === 'broken', { times: Infinity });
+
+            await expect(rest('GET', '/v4/info')).resolves.toMatchObject({
+                status: 500,
+                data: { status: 500, message: 'Scripted failure', path: '/v4/info' }
+            });
+            await expect(rest('GET', '/v4/info')).resolves.toMatchObject({ status: 500 });
+            await expect(rest('GET', '/v4/info')).resolves.toMatchObject({ status: 200 });
+
+            const started = Date.now();
+            await expect(rest('GET', '/v4/stats')).resolves.toMatchObject({ status: 503 });
+            expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+            await expect(rest('GET', '/v4/stats')).resolves.toMatchObject({ status: 200 });
+
+            await expect(rest('GET', '/v4/loadtracks?identifier=broken')).resolves.toMatchObject({ status: 500 });
+            await expect(rest('GET', '/v4/loadtracks?identifier=broken')).resolves.toMatchObject({ status: 500 });
+            await expect(rest('GET', '/v4/loadtracks?identifier=fine')).resolves.toMatchObject({ status: 200 });
+
+            server.reset();
+            await expect(rest('GET', '/v4/loadtracks?identifier=broken')).resolves.toMatchObject({ status: 200 });
+        });
+
+        test('configures session resuming', async () => {
+            const { sessionId } = await openSession();
+
+            await expect(rest('PATCH', `/v4/sessions/${sessionId}`, { resuming: true, timeout: 30 }))
+                .resolves.toEqual({ status: 200, data: { resuming: true, timeout: 30 } });
+            expect(server.sessions.get(sessionId)).toMatchObject({ resuming: true, timeout: 30 });
+
+            await expect(rest('PATCH', '/v4/sessions/unknown', { resuming: true })).resolves.toMatchObject({
+                status: 404,
+                data: { message: 'Session not found' }
+            });
+        });
+
+        test('creates, updates, lists and deletes players', async () => {
+            const { sessionId } = await openSession();
+            const path = `/v4/sessions/${sessionId}/players/${GUILD_ID}`;
+            const track = MockLavalinkServer.track({ identifier: 'song' });
+            const voice = { token: 'token', endpoint: 'endpoint', sessionId: 'voice' };
+
+            await expect(rest('GET', path)).resolves.toMatchObject({ status: 404 });
+
+            await rest('PATCH', path, { voice });
+            const { status, data } = await rest('PATCH', `${path}?noReplace=false`, {
+                track: { encoded: track.encoded },
+                position: 5000,
+                volume: 80,
+                paused: true,
+                filters: { timescale: { speed: 1.5 } }
+            });
+
+            expect(status).toBe(200);
+            expect(data).toMatchObject({
+                guildId: GUILD_ID,
+                track,
+                volume: 80,
+                paused: true,
+                voice,
+                filters: { timescale: { speed: 1.5 } },
+                state: { position: 5000, connected: true }
+            });
+            await expect(rest('GET', path)).resolves.toEqual({ status: 200, data });
+            await expect(rest('GET', `/v4/sessions/${sessionId}/players`)).resolves.toEqual({ status: 200, data: [data] });
+
+            expect(server.getPlayerUpdates(GUILD_ID).map(update => update.body)).toEqual([
+                { voice },
+                expect.objectContaining({ volume: 80 })
+            ]);
+            expect(server.assertPlayerUpdate(GUILD_ID, { filters: { timescale: { speed: 1.5 } } }).sessionId).toBe(sessionId);
+            expect(() => server.assertPlayerUpdate(GUILD_ID, { volume: 10 })).toThrow('Expected a player update');
+
+            await expect(rest('DELETE', path)).resolves.toMatchObject({ status: 204 });
+            expect(server.getPlayer(GUILD_ID)).toBeNull();
+        });
+
+        test('noReplace keeps the playing track', async () => {
+            const { sessionId } = await openSession();
+            const path = `/v4/sessions/${sessionId}/players/${GUILD_ID}`;
+            const first = MockLavalinkServer.track({ identifier: 'first' });
+            const second = MockLavalinkServer.track({ identifier: 'second' });
+
+            await rest('PATCH', path, { track: { encoded: first.encoded } });
+            await rest('PATCH', `${path}?noReplace=true`, { track: { encoded: second.encoded } });
+
+            expect(server.getPlayer(GUILD_ID).track).toEqual(first);
+            expect(server.getPlayerUpdates(GUILD_ID)[1].noReplace).toBe(true);
+        });
+
+        test('waitForPlayerUpdate resolves on a matching update', async () => {
+            const { sessionId } = await openSession();
+            const waiting = server.waitForPlayerUpdate(GUILD_ID, { paused: true });
+
+            await rest('PATCH', `/v4/sessions/${sessionId}/players/${GUILD_ID}`, { volume: 50 });
+            await rest('PATCH', `/v4/sessions/${sessionId}/players/${GUILD_ID}`, { paused: true });
+
+            await expect(waiting).resolves.toMatchObject({ body: { paused: true } });
+            await expect(server.waitForPlayerUpdate(GUILD_ID, { volume: 1 }, 20)).rejects.toThrow('Timed out');
+        });
+    });
+
+    describe('events', () => {
+        let session;
+        let track;
+
+        beforeEach(async () => {
+            session = await openSession();
+            track = MockLavalinkServer.track({ identifier: 'song' });
+            await rest('PATCH', `/v4/sessions/${session.sessionId}/players/${GUILD_ID}`, { track: { encoded: track.encoded } });
+        });
+
+        test('a new track starts, and replacing or stopping it ends the old one', async () => {
+            const next = MockLavalinkServer.track({ identifier: 'next' });
+            const path = `/v4/sessions/${session.sessionId}/players/${GUILD_ID}`;
+
+            await expect(session.next('event')).resolves.toEqual({ op: 'event', guildId: GUILD_ID, type: 'TrackStartEvent', track });
+
+            await rest('PATCH', path, { track: { encoded: next.encoded } });
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'TrackEndEvent', track, reason: 'replaced' });
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'TrackStartEvent', track: next });
+
+            await rest('PATCH', path, { track: { encoded: null } });
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'TrackEndEvent', track: next, reason: 'stopped' });
+        });
+
+        test('scripted track ends, exceptions and stuck tracks', async () => {
+            await session.next('event');
+
+            server.emitTrackException(GUILD_ID, { message: 'Broken' });
+            await expect(session.next('event')).resolves.toMatchObject({
+                type: 'TrackExceptionEvent',
+                track,
+                exception: { message: 'Broken', severity: 'common' }
+            });
+
+            server.emitTrackStuck(GUILD_ID, 500);
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'TrackStuckEvent', track, thresholdMs: 500 });
+
+            server.emitTrackEnd(GUILD_ID, 'loadFailed');
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'TrackEndEvent', track, reason: 'loadFailed' });
+            expect(server.getPlayer(GUILD_ID).track).toBeNull();
+
+            server.emitWebSocketClosed(GUILD_ID);
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'WebSocketClosedEvent', code: 4006, byRemote: true });
+        });
+
+        test('custom events go to the session holding the player', async () => {
+            const other = await openSession();
+            await session.next('event');
+
+            server.emitEvent(GUILD_ID, 'SegmentSkipped', { segment: { category: 'sponsor' } });
+            await expect(session.next('event')).resolves.toMatchObject({ type: 'SegmentSkipped', segment: { category: 'sponsor' } });
+            expect(other.messages.filter(message => message.op === 'event')).toEqual([]);
+        });
+    });
+
+    describe('disconnect and resume', () => {
+        /**
+         * Wait for the server to notice a dropped connection
+         * @returns {Promise<void>}
+         */
+        const disconnected = () => new Promise(resolve => server.once('disconnect', () => resolve()));
+
+        test('a resumable session keeps its players and resumes', async () => {
+            const { sessionId } = await openSession();
+            await rest('PATCH', `/v4/sessions/${sessionId}`, { resuming: true, timeout: 30 });
+            await rest('PATCH', `/v4/sessions/${sessionId}/players/${GUILD_ID}`, { volume: 50 });
+
+            const closing = disconnected();
+            server.disconnect();
+            await closing;
+
+            expect(server.sessions.get(sessionId).socket).toBeNull();
+            await expect(rest('GET', `/v4/sessions/${sessionId}/players`)).resolves.toMatchObject({
+                status: 200,
+                data: [{ guildId: GUILD_ID, volume: 50 }]
+            });
+
+            const { next } = await connect({ 'Session-Id': sessionId });
+            await expect(next('ready')).resolves.toEqual({ op: 'ready', resumed: true, sessionId });
+            expect(server.getPlayer(GUILD_ID, sessionId).volume).toBe(50);
+        });
+
+        test('a session without resuming is dropped', async () => {
+            const { sessionId, ws } = await openSession();
+            await rest('PATCH', `/v4/sessions/${sessionId}/players/${GUILD_ID}`, { volume: 50 });
+
+            const closing = new Promise(resolve => ws.once('close', code => resolve(code)));
+            server.disconnect({ code: 4000, reason: 'Going away' });
+            await expect(closing).resolves.toBe(4000);
+
+            const { next } = await connect({ 'Session-Id': sessionId });
+            await expect(next('ready')).resolves.toEqual({ op: 'ready', resumed: false, sessionId: 'mock-session-2' });
+            expect(server.getPlayer(GUILD_ID)).toBeNull();
+        });
+
+        test('a restart forgets even resumable sessions', async () => {
+            const { sessionId } = await openSession();
+            await rest('PATCH', `/v4/sessions/${sessionId}`, { resuming: true });
+            await rest('PATCH', `/v4/sessions/${sessionId}/players/${GUILD_ID}`, { volume: 50 });
+
+            server.restart();
+
+            const { next } = await connect({ 'Session-Id': sessionId });
+            await expect(next('ready')).resolves.toMatchObject({ resumed: false });
+            expect(server.getPlayer(GUILD_ID)).toBeNull();
+        });
+    });
+
+    describe('Lavalink v3', () => {
+        let track;
+
+        /**
+         * Send ops and wait until the server has applied them
+         * @param {WebSocket} ws - Client socket
+         * @param {...Object} ops - Ops to send
+         * @returns {Promise<void>}
+         */
+        async function sendOps(ws, ...ops) {
+            const received = server.ops.length + ops.length;
+            for (const op of ops) ws.send(JSON.stringify(op));
+            while (server.ops.length < received) {
+                await new Promise(resolve => server.once('op', resolve));
+            }
+        }
+
+        beforeEach(async () => {
+            await server.stop();
+            server = await new MockLavalinkServer({ version: 3 }).start();
+            track = MockLavalinkServer.track({ identifier: 'song' });
+        });
+
+        test('serves the v3 websocket without a ready op', async () => {
+            const { next, messages } = await connect();
+
+            await expect(next('stats')).resolves.toMatchObject({ players: 0 });
+            expect(messages.filter(message => message.op === 'ready')).toEqual([]);
+        });
+
+        test('drives players with ops and sends v3 events', async () => {
+            const { ws, next } = await connect();
+            await next('stats');
+
+            await sendOps(ws,
+                { op: 'voiceUpdate', guildId: GUILD_ID, sessionId: 'voice', event: { token: 't', endpoint: 'e', guild_id: GUILD_ID } },
+                { op: 'filters', guildId: GUILD_ID, volume: 0.5 },
+                { op: 'play', guildId: GUILD_ID, track: track.encoded, startTime: 1000, volume: 80, pause: false, noReplace: false }
+            );
+
+            expect(server.ops.map(op => op.payload.op)).toEqual(['voiceUpdate', 'filters', 'play']);
+            expect(server.getPlayer(GUILD_ID)).toMatchObject({
+                track,
+                volume: 80,
+                paused: false,
+                filters: { volume: 0.5 },
+                voice: { token: 't', endpoint: 'e', sessionId: 'voice' },
+                state: { position: 1000, connected: true }
+            });
+            server.assertPlayerUpdate(GUILD_ID, { track: { encoded: track.encoded }, position: 1000 });
+            await expect(next('event')).resolves.toEqual({ op: 'event', guildId: GUILD_ID, type: 'TrackStartEvent', track: track.encoded });
+
+            await sendOps(ws,
+                { op: 'pause', guildId: GUILD_ID, pause: true },
+                { op: 'seek', guildId: GUILD_ID, position: 5000 },
+                { op: 'volume', guildId: GUILD_ID, volume: 30 }
+            );
+            expect(server.getPlayer(GUILD_ID)).toMatchObject({ paused: true, volume: 30, state: { position: 5000 } });
+
+            await sendOps(ws, { op: 'stop', guildId: GUILD_ID });
+            await expect(next('event')).resolves.toMatchObject({ type: 'TrackEndEvent', track: track.encoded, reason: 'STOPPED' });
+
+            await sendOps(ws, { op: 'destroy', guildId: GUILD_ID });
+            expect(server.getPlayer(GUILD_ID)).toBeNull();
+        });
+
+        test('scripted events use the v3 shape', async () => {
+            const { ws, next } = await connect();
+            await sendOps(ws, { op: 'play', guildId: GUILD_ID, track: track.encoded });
+            await next('event');
+
+            server.emitTrackException(GUILD_ID);
+            await expect(next('event')).resolves.toMatchObject({
+                type: 'TrackExceptionEvent',
+                track: track.encoded,
+                exception: { severity: 'COMMON' }
+            });
+
+            server.emitTrackEnd(GUILD_ID, 'loadFailed');
+            await expect(next('event')).resolves.toMatchObject({ type: 'TrackEndEvent', track: track.encoded, reason: 'LOAD_FAILED' });
+        });
+
+        test('serves the v3 REST routes', async () => {
+            const list = [track, MockLavalinkServer.track({ identifier: 'two' })];
+            server.setLoadResult('single', track);
+            server.setLoadResult('search', list);
+            server.setLoadResult('playlist', {
+                loadType: 'playlist',
+                data: { info: { name: 'Mix', selectedTrack: 1 }, pluginInfo: {}, tracks: list }
+            });
+            server.setLoadResult('broken', { loadType: 'error', data: { message: 'Blocked', severity: 'suspicious', cause: 'Mock' } });
+
+            const load = identifier => rest('GET', `/loadtracks?identifier=${identifier}`).then(({ data }) => data);
+            const v3Track = ({ encoded, info }) => ({ track: encoded, info });
+
+            await expect(rest('GET', '/version')).resolves.toEqual({ status: 200, data: '3.7.11' });
+            await expect(load('single')).resolves.toEqual({ loadType: 'TRACK_LOADED', playlistInfo: {}, tracks: [v3Track(track)] });
+            await expect(load('search')).resolves.toMatchObject({ loadType: 'SEARCH_RESULT', tracks: list.map(v3Track) });
+            await expect(load('playlist')).resolves.toMatchObject({
+                loadType: 'PLAYLIST_LOADED',
+                playlistInfo: { name: 'Mix', selectedTrack: 1 },
+                tracks: list.map(v3Track)
+            });
+            await expect(load('broken')).resolves.toMatchObject({
+                loadType: 'LOAD_FAILED',
+                exception: { message: 'Blocked', severity: 'SUSPICIOUS' }
+            });
+            await expect(load('nothing')).resolves.toEqual({ loadType: 'NO_MATCHES', playlistInfo: {}, tracks: [] });
+
+            await expect(rest('GET', `/decodetrack?track=${encodeURIComponent(track.encoded)}`))
+                .resolves.toEqual({ status: 200, data: track.info });
+            await expect(rest('POST', '/decodetracks', [track.encoded])).resolves.toEqual({ status: 200, data: [v3Track(track)] });
+            await expect(rest('GET', '/v4/info')).resolves.toMatchObject({ status: 404 });
+        });
+
+        test('resumes a session by its configured key', async () => {
+            const first = await connect();
+            await sendOps(first.ws,
+                { op: 'configureResuming', key: 'bot', timeout: 30 },
+                { op: 'volume', guildId: GUILD_ID, volume: 50 }
+            );
+
+            const closing = new Promise(resolve => server.once('disconnect', () => resolve()));
+            server.disconnect();
+            await closing;
+
+            const resumed = new Promise(resolve => server.once('connection', resolve));
+            await connect({ 'Resume-Key': 'bot' });
+            await expect(resumed).resolves.toMatchObject({ resumed: true });
+            expect(server.getPlayer(GUILD_ID).volume).toBe(50);
+
+            const fresh = new Promise(resolve => server.once('connection', resolve));
+            await connect({ 'Resume-Key': 'other' });
+            await expect(fresh).resolves.toMatchObject({ resumed: false });
+        });
+    });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { ErrorCodes, LoopMode } = require('..');
+const { GUILD_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+describe('Player command queue', () => {
+    let env;
+    let player;
+    let starts;
+    let ends;
+
+    beforeAll(async () => {
+        env = await createEnvironment();
+    });
+
+    afterAll(async () => {
+        await env.close();
+    });
+
+    beforeEach(async () => {
+        player = await createPlayer(env.fuelink);
+        player.queue.add(['a', 'b', 'c', 'd', 'e'].map(id => createTrack(id)));
+
+        starts = [];
+        ends = [];
+        player.on('trackStart', ({ track }) => starts.push(track.identifier));
+        player.on('trackEnd', ({ track, reason }) => ends.push(`${track?.identifier}:${reason}`));
+
+        await player.play();
+        await wait(50);
+        env.server.reset();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        if (env.fuelink.players.has(GUILD_ID)) {
+            await env.fuelink.players.destroy(GUILD_ID);
+        }
+    });
+
+    describe('ordering', () => {
+        test('runs commands one at a time, in call order', async () => {
+            const seek = player.seek(1000);
+            const pause = player.pause();
+            const resume = player.resume();
+
+            expect(player.pending.map(command => command.name)).toEqual(['seek', 'pause', 'resume']);
+            await Promise.all([seek, pause, resume]);
+
+            const bodies = env.server.getPlayerUpdates(GUILD_ID).map(update => update.body);
+            expect(bodies).toEqual([{ position: 1000 }, { paused: true }, { paused: false }]);
+            expect(player.pending).toEqual([]);
+        });
+
+        test('a skip racing the track end advances once', async () => {
+            env.server.emitTrackEnd(GUILD_ID);
+            await player.skip();
+            await wait(100);
+
+            expect(player.current.identifier).toBe('b');
+            expect(player.queue.size).toBe(3);
+            expect(starts).toEqual(['a', 'b']);
+        });
+
+        test('concurrent skips skip the same track once', async () => {
+            const [first, second] = await Promise.all([player.skip(), player.skip()]);
+            await wait(50);
+
+            expect(first.identifier).toBe('b');
+            expect(second.identifier).toBe('b');
+            expect(player.current.identifier).toBe('b');
+            expect(player.queue.size).toBe(3);
+        });
+
+        test('destroying rejects queued commands with NO_PLAYER', async () => {
+            const seek = player.seek(0);
+            const stop = player.stop();
+            const destroy = env.fuelink.players.destroy(GUILD_ID);
+
+            await expect(seek).resolves.toBeUndefined();
+            await expect(stop).rejects.toMatchObject({ code: ErrorCodes.NO_PLAYER });
+            await destroy;
+        });
+    });
+
+    describe('timeout', () => {
+        test('rejects a command that runs too long, and the next one waiting on it', async () => {
+            const updatePlayer = player.node.updatePlayer.bind(player.node);
+            jest.spyOn(player.node, 'updatePlayer').mockImplementation(async (...args) => {
+                await wait(200);
+                return updatePlayer(...args);
+            });
+            player.commandTimeout = 50;
+
+            const seek = player.seek(1000);
+            const pause = player.pause();
+
+            await expect(seek).rejects.toMatchObject({ code: ErrorCodes.COMMAND_TIMEOUT });
+            await expect(pause).rejects.toMatchObject({ code: ErrorCodes.COMMAND_TIMEOUT });
+            await wait(400);
+        });
+
+        test('the queue moves on after a timeout', async () => {
+            jest.spyOn(player.node, 'updatePlayer').mockImplementationOnce(() => wait(200));
+            player.commandTimeout = 50;
+
+            await expect(player.seek(1000)).rejects.toMatchObject({ code: ErrorCodes.COMMAND_TIMEOUT });
+            player.commandTimeout = 15000;
+
+            await player.pause();
+            expect(player.paused).toBe(true);
+        });
+
+        test('a skip after a stuck update waits for it to finish', async () => {
+            const updatePlayer = player.node.updatePlayer.bind(player.node);
+            jest.spyOn(player.node, 'updatePlayer').mockImplementationOnce(async (...args) => {
+                await wait(200);
+                return updatePlayer(...args);
+            });
+            player.commandTimeout = 50;
+
+            await expect(player.seek(1000)).rejects.toMatchObject({ code: ErrorCodes.COMMAND_TIMEOUT });
+            expect(player.pending.map(command => command.name)).toEqual(['seek']);
+
+            player.commandTimeout = 15000;
+            await expect(player.skip()).resolves.toMatchObject({ identifier: 'b' });
+
+            const bodies = env.server.getPlayerUpdates(GUILD_ID).map(update => update.body);
+            expect(bodies).toEqual([{ position: 1000 }, expect.objectContaining({ track: expect.anything() })]);
+            expect(player.current.identifier).toBe('b');
+            expect(player.pending).toEqual([]);
+        });
+    });
+
+    describe('stale events', () => {
+        test('the end of a replaced track is not emitted', async () => {
+            await player.play(createTrack('x'));
+            await wait(50);
+
+            expect(starts).toEqual(['a', 'x']);
+            expect(ends).toEqual([]);
+        });
+
+        test('an exception followed by its end advances once', async () => {
+            env.server.emitTrackException(GUILD_ID);
+            env.server.emitTrackEnd(GUILD_ID, 'loadFailed');
+            await wait(100);
+
+            expect(player.current.identifier).toBe('b');
+            expect(player.queue.size).toBe(3);
+            expect(ends).toEqual(['a:loadFailed']);
+        });
+
+        test('in track loop mode, an exception followed by its end replays once', async () => {
+            player.queue.setLoop(LoopMode.TRACK);
+
+            env.server.emitTrackException(GUILD_ID);
+            env.server.emitTrackEnd(GUILD_ID, 'loadFailed');
+            await wait(100);
+
+            const plays = env.server.getPlayerUpdates(GUILD_ID).filter(update => update.body.track);
+            expect(plays).toHaveLength(1);
+            expect(starts).toEqual(['a', 'a']);
+        });
+
+        test('replaying the same track ignores the end of the previous play', async () => {
+            player.queue.setLoop(LoopMode.TRACK);
+
+            await player.play(player.current);
+            await wait(50);
+            await player.play(player.current);
+            await wait(50);
+
+            expect(starts).toEqual(['a', 'a', 'a']);
+            expect(ends).toEqual([]);
+            expect(player.current.identifier).toBe('a');
+        });
+    });
+});
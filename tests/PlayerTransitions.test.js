@@ -0,0 +1,185 @@
+'use strict';
+
+const { PlayerState, PlayerTransitions, ErrorCodes, MockLavalinkServer } = require('..');
+const { GUILD_ID, VOICE_CHANNEL_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+describe('PlayerTransitions', () => {
+    test('covers every state, and nothing leaves DESTROYED', () => {
+        expect(Object.keys(PlayerTransitions).sort()).toEqual(Object.values(PlayerState).sort());
+        expect(PlayerTransitions[PlayerState.DESTROYED]).toEqual([]);
+
+        for (const [state, targets] of Object.entries(PlayerTransitions)) {
+            if (state !== PlayerState.DESTROYED) {
+                expect(targets).toContain(PlayerState.DESTROYED);
+            }
+        }
+    });
+
+    describe('player', () => {
+        let env;
+        let changes;
+
+        const record = ({ oldState, newState, cause }) => changes.push(`${oldState}>${newState}:${cause}`);
+
+        beforeAll(async () => {
+            env = await createEnvironment();
+            env.fuelink.on('playerStateChange', record);
+        });
+
+        afterAll(async () => {
+            await env.close();
+        });
+
+        beforeEach(() => {
+            changes = [];
+        });
+
+        afterEach(async () => {
+            jest.restoreAllMocks();
+            if (env.fuelink.players.has(GUILD_ID)) {
+                await env.fuelink.players.destroy(GUILD_ID);
+            }
+        });
+
+        test('follows the table through its lifecycle', async () => {
+            const player = await createPlayer(env.fuelink);
+            player.queue.add([createTrack('a'), createTrack('b')]);
+
+            await player.play();
+            await wait(50);
+            await player.pause();
+            await player.resume();
+            await player.stop();
+            player.disconnect();
+            await env.fuelink.players.destroy(GUILD_ID);
+
+            expect(changes).toEqual([
+                'CONNECTING>CONNECTED:connect',
+                'CONNECTED>PLAYING:play',
+                'PLAYING>PAUSED:pause',
+                'PAUSED>PLAYING:resume',
+                'PLAYING>STOPPED:stop',
+                'STOPPED>DISCONNECTED:disconnect',
+                'DISCONNECTED>DESTROYED:destroy'
+            ]);
+
+            for (const change of changes) {
+                const [from, to] = change.split(':')[0].split('>');
+                expect(PlayerTransitions[from]).toContain(to);
+            }
+        });
+
+        test('reaches STOPPED when the queue ends', async () => {
+            const player = await createPlayer(env.fuelink);
+            player.queue.add(createTrack('a'));
+
+            await player.play();
+            await wait(50);
+            env.server.emitTrackEnd(GUILD_ID);
+            await wait(100);
+
+            expect(player.state).toBe(PlayerState.STOPPED);
+            expect(changes).toContain('PLAYING>STOPPED:queueEnd');
+        });
+
+        test('rejects commands with CONNECTION_ERROR while connecting', async () => {
+            env.client.autoRespond = false;
+            const creating = createPlayer(env.fuelink);
+            await wait(10);
+
+            const player = env.fuelink.players.get(GUILD_ID);
+            expect(player.state).toBe(PlayerState.CONNECTING);
+            await expect(player.play(createTrack('a'))).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_ERROR });
+            await expect(player.pause()).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_ERROR });
+
+            // Discord answers late
+            env.client.autoRespond = true;
+            env.client.sendVoiceStateUpdate(GUILD_ID, VOICE_CHANNEL_ID);
+            env.client.sendVoiceServerUpdate(GUILD_ID);
+            await creating;
+            expect(player.state).toBe(PlayerState.CONNECTED);
+        });
+
+        test('rejects commands with CONNECTION_ERROR once disconnected', async () => {
+            const player = await createPlayer(env.fuelink);
+            player.queue.add(createTrack('a'));
+            await player.play();
+            player.disconnect();
+
+            expect(player.state).toBe(PlayerState.DISCONNECTED);
+            await expect(player.seek(1000)).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_ERROR });
+            await expect(player.resume()).rejects.toMatchObject({ code: ErrorCodes.CONNECTION_ERROR });
+        });
+
+        test('rejects commands and connect() with NO_PLAYER once destroyed', async () => {
+            const player = await createPlayer(env.fuelink);
+            await env.fuelink.players.destroy(GUILD_ID);
+
+            expect(player.state).toBe(PlayerState.DESTROYED);
+            await expect(player.play(createTrack('a'))).rejects.toMatchObject({ code: ErrorCodes.NO_PLAYER });
+            await expect(player.stop()).rejects.toMatchObject({ code: ErrorCodes.NO_PLAYER });
+            await expect(player.connect()).rejects.toMatchObject({ code: ErrorCodes.NO_PLAYER });
+        });
+
+        test('rejects commands the table does not allow with INVALID_STATE', async () => {
+            const player = await createPlayer(env.fuelink);
+            player.queue.add(createTrack('a'));
+            env.server.reset();
+
+            // Nothing played yet
+            await expect(player.pause()).rejects.toMatchObject({ code: ErrorCodes.INVALID_STATE });
+            await expect(player.resume()).rejects.toMatchObject({ code: ErrorCodes.INVALID_STATE });
+            await expect(player.seek(1000)).rejects.toMatchObject({ code: ErrorCodes.INVALID_STATE });
+            expect(player.state).toBe(PlayerState.CONNECTED);
+
+            await player.play();
+            await player.stop();
+            await expect(player.resume()).rejects.toMatchObject({ code: ErrorCodes.INVALID_STATE });
+            await expect(player.pause()).rejects.toMatchObject({
+                code: ErrorCodes.INVALID_STATE,
+                message: expect.stringContaining('STOPPED -> PAUSED')
+            });
+
+            expect(player.state).toBe(PlayerState.STOPPED);
+            const bodies = env.server.getPlayerUpdates(GUILD_ID).map(update => update.body);
+            expect(bodies.some(body => 'paused' in body || ('position' in body && !('track' in body)))).toBe(false);
+        });
+
+        test('allows commands that keep the state', async () => {
+            const player = await createPlayer(env.fuelink);
+            player.queue.add([createTrack('a'), createTrack('b')]);
+
+            await player.play();
+            await player.skip();
+            await wait(50);
+            await player.resume();
+            await player.pause();
+            await player.pause();
+            await player.seek(1000);
+            await player.stop();
+            await player.stop();
+
+            expect(player.state).toBe(PlayerState.STOPPED);
+            await expect(player.back()).resolves.toMatchObject({ identifier: 'a' });
+            expect(player.state).toBe(PlayerState.PLAYING);
+        });
+
+        test('ignores an event that would break the table, with a warning', async () => {
+            const player = await createPlayer(env.fuelink);
+            player.queue.add(createTrack('a'));
+            await player.play();
+            await wait(50);
+            player.disconnect();
+
+            const warn = jest.spyOn(env.fuelink.logger, 'warn');
+            env.server.emitEvent(GUILD_ID, 'TrackStartEvent', { track: MockLavalinkServer.track({ identifier: 'a' }) });
+            await wait(50);
+
+            expect(player.state).toBe(PlayerState.DISCONNECTED);
+            expect(warn).toHaveBeenCalledWith(
+                expect.stringContaining('DISCONNECTED -> PLAYING'),
+                `Player:${GUILD_ID}`
+            );
+        });
+    });
+});
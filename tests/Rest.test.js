@@ -0,0 +1,166 @@
+'use strict';
+
+const { ErrorCodes, FuelinkRestError } = require('..');
+const { wait, createCluster } = require('./helpers');
+
+describe('REST', () => {
+    let env;
+    let node;
+    let server;
+
+    /**
+     * Requests the server received for a route
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {Object[]}
+     */
+    const received = (method, path) => server.requests.filter(request =>
+        request.method === method && request.path === path);
+
+    beforeEach(async () => {
+        env = await createCluster(['a', 'b'], {}, {
+            rest: { timeout: 1000, retries: 2, retryDelay: 50, failureThreshold: 3, resetTimeout: 300 }
+        });
+        node = env.fuelink.nodes.get('a');
+        server = env.servers.a;
+        server.reset();
+    });
+
+    afterEach(async () => {
+        await env.close();
+    });
+
+    describe('retries', () => {
+        test('retries a failed GET with backoff until it succeeds', async () => {
+            server.failRequests('GET /v4/loadtracks', { status: 503, times: 2 });
+
+            await expect(node.loadTracks('song')).resolves.toEqual({ loadType: 'empty', data: {} });
+
+            const requests = received('GET', '/v4/loadtracks');
+            expect(requests).toHaveLength(3);
+            expect(requests[1].time - requests[0].time).toBeGreaterThanOrEqual(45);
+            expect(requests[2].time - requests[1].time).toBeGreaterThanOrEqual(95);
+        });
+
+        test('gives up after the configured retries', async () => {
+            server.failRequests('GET /v4/loadtracks', { times: Infinity });
+
+            const error = await node.loadTracks('song').catch(error => error);
+            expect(error).toBeInstanceOf(FuelinkRestError);
+            expect(error).toMatchObject({
+                code: ErrorCodes.REST_ERROR,
+                status: 500,
+                retryable: true,
+                response: { message: 'Scripted failure' }
+            });
+            expect(received('GET', '/v4/loadtracks')).toHaveLength(3);
+        });
+
+        test('does not retry client errors', async () => {
+            server.failRequests('GET /v4/loadtracks', { status: 400, times: Infinity });
+
+            await expect(node.loadTracks('song')).rejects.toMatchObject({ status: 400, retryable: false });
+            expect(received('GET', '/v4/loadtracks')).toHaveLength(1);
+        });
+
+        test('does not retry a PATCH the server may have applied', async () => {
+            const path = `/v4/sessions/${node.sessionId}`;
+            server.failRequests(`PATCH ${path}`, { times: Infinity });
+
+            await expect(node.rest('PATCH', path, { resuming: true })).rejects.toMatchObject({ status: 500 });
+            expect(received('PATCH', path)).toHaveLength(1);
+        });
+    });
+
+    describe('timeouts', () => {
+        test('rejects a request that takes too long with REST_TIMEOUT', async () => {
+            server.failRequests('GET /v4/info', { delay: 500 });
+
+            await expect(node.rest('GET', '/v4/info', null, { timeout: 50, retries: 0 })).rejects.toMatchObject({
+                code: ErrorCodes.REST_TIMEOUT,
+                status: null,
+                retryable: true
+            });
+        });
+
+        test('retries a timed out GET', async () => {
+            server.failRequests('GET /v4/info', { delay: 500 });
+
+            await expect(node.rest('GET', '/v4/info', null, { timeout: 100 })).resolves.toMatchObject({
+                version: { major: 4 }
+            });
+            expect(received('GET', '/v4/info')).toHaveLength(2);
+        });
+    });
+
+    describe('circuit breaker', () => {
+        /**
+         * Fail requests until the node is marked unhealthy
+         * @returns {Promise<Object>} The nodeUnhealthy event
+         */
+        async function trip() {
+            const unhealthy = node.waitFor('nodeUnhealthy', 2000);
+            server.failRequests('GET /v4/info', { times: 3 });
+            for (let i = 0; i < 3; i++) {
+                await node.rest('GET', '/v4/info', null, { retries: 0 }).catch(() => { });
+            }
+            return unhealthy;
+        }
+
+        test('marks the node unhealthy after consecutive failures', async () => {
+            await expect(trip()).resolves.toMatchObject({ node, failures: 3, error: { status: 500 } });
+
+            expect(node.healthy).toBe(false);
+            expect(env.fuelink.nodes.select()).toBe(env.fuelink.nodes.get('b'));
+        });
+
+        test('rejects requests with NODE_UNHEALTHY without sending them', async () => {
+            await trip();
+            const count = server.requests.length;
+
+            await expect(node.loadTracks('song')).rejects.toMatchObject({
+                code: ErrorCodes.NODE_UNHEALTHY,
+                node: 'a'
+            });
+            expect(server.requests).toHaveLength(count);
+        });
+
+        test('lets a request through after the reset timeout, and recovers when it succeeds', async () => {
+            await trip();
+            const healthy = node.waitFor('nodeHealthy', 2000);
+
+            await wait(350);
+            expect(node.healthy).toBe(true);
+
+            await expect(node.loadTracks('song')).resolves.toMatchObject({ loadType: 'empty' });
+            await expect(healthy).resolves.toEqual({ node });
+            expect(env.fuelink.nodes.select({ exclude: [env.fuelink.nodes.get('b')] })).toBe(node);
+        });
+
+        test('a failed probe opens the breaker again', async () => {
+            await trip();
+            await wait(350);
+
+            server.failRequests('GET /v4/info');
+            await expect(node.rest('GET', '/v4/info', null, { retries: 0 })).rejects.toMatchObject({ status: 500 });
+            expect(node.healthy).toBe(false);
+        });
+
+        test('client errors reset the failure count', async () => {
+            server.failRequests('GET /v4/info', { times: 2 });
+            server.failRequests('GET /v4/stats', { status: 404 });
+            server.failRequests('GET /v4/loadtracks', { times: 2 });
+
+            const unhealthy = jest.fn();
+            node.on('nodeUnhealthy', unhealthy);
+
+            const paths = ['/v4/info', '/v4/info', '/v4/stats', '/v4/loadtracks?identifier=a', '/v4/loadtracks?identifier=b'];
+            for (const path of paths) {
+                await node.rest('GET', path, null, { retries: 0 }).catch(() => { });
+            }
+
+            expect(unhealthy).not.toHaveBeenCalled();
+            expect(node.healthy).toBe(true);
+        });
+    });
+});
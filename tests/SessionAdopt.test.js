@@ -0,0 +1,160 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Fuelink, MockLavalinkServer, FakeDiscordClient, LogLevel, PlayerState } = require('..');
+const { GUILD_ID, wait, createTrack, createPlayer } = require('./helpers');
+
+const OTHER_GUILD_ID = '81384788765712399';
+
+describe('Session adopt after a restart', () => {
+    let server;
+    let file;
+    let fuelink;
+
+    /**
+     * Start a bot whose players and node sessions are saved to the same file every time
+     * @param {Object} [options] - Fuelink options
+     * @returns {Promise<Fuelink>}
+     */
+    async function start(options = {}) {
+        const client = new FakeDiscordClient();
+        client.addGuild(GUILD_ID);
+        client.addGuild(OTHER_GUILD_ID);
+
+        fuelink = new Fuelink({
+            nodes: [{ ...server.nodeOptions(), retryDelay: 50 }],
+            logger: { level: LogLevel.NONE },
+            autoResume: true,
+            persistence: { enabled: true, backend: 'file', options: { path: file } },
+            ...options
+        });
+        await fuelink.init(client);
+        return fuelink;
+    }
+
+    /**
+     * Start a bot playing track a of a, b, c at 20s, then shut it down keeping its players
+     * @returns {Promise<string>} The Lavalink session ID
+     */
+    async function playAndRestart() {
+        await start();
+        const player = await createPlayer(fuelink);
+        player.queue.add([createTrack('a'), createTrack('b'), createTrack('c')]);
+        await player.play();
+        await player.seek(20000);
+        await player.setVolume(60);
+        await wait(50);
+
+        const sessionId = fuelink.nodes.get('mock').sessionId;
+        await fuelink.destroy({ keepPlayers: true });
+        server.reset();
+        return sessionId;
+    }
+
+    beforeEach(async () => {
+        server = await new MockLavalinkServer().start();
+        file = path.join(os.tmpdir(), `fuelink-adopt-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(async () => {
+        await fuelink?.destroy().catch(() => { });
+        fuelink = null;
+        await server.stop();
+        fs.rmSync(file, { force: true });
+    });
+
+    test('resumes the saved session and adopts its players without restarting the track', async () => {
+        const sessionId = await playAndRestart();
+        expect(server.getPlayer(GUILD_ID).track.info.identifier).toBe('a');
+
+        const adopted = new Promise(resolve => server.once('connection', resolve));
+        await start();
+        await expect(adopted).resolves.toMatchObject({ resumed: true });
+
+        const node = fuelink.nodes.get('mock');
+        const player = fuelink.players.get(GUILD_ID);
+        expect(node.sessionId).toBe(sessionId);
+        expect(player.node).toBe(node);
+        expect(player.state).toBe(PlayerState.PLAYING);
+        expect(player.current.identifier).toBe('a');
+        expect(player.queue.tracks.map(track => track.identifier)).toEqual(['b', 'c']);
+        expect(player.volume).toBe(60);
+        expect(player.position).toBeGreaterThanOrEqual(20000);
+
+        // Nothing was replayed
+        expect(server.getPlayerUpdates(GUILD_ID).filter(update => update.body.track)).toEqual([]);
+    });
+
+    test('reports adopted players in sessionResumed', async () => {
+        await playAndRestart();
+
+        const client = new FakeDiscordClient();
+        client.addGuild(GUILD_ID);
+        fuelink = new Fuelink({
+            nodes: [{ ...server.nodeOptions(), retryDelay: 50 }],
+            logger: { level: LogLevel.NONE },
+            autoResume: true,
+            persistence: { enabled: true, backend: 'file', options: { path: file } }
+        });
+        const resumed = fuelink.waitFor('sessionResumed', 3000);
+        await fuelink.init(client);
+
+        await expect(resumed).resolves.toMatchObject({
+            synced: [],
+            restored: [GUILD_ID],
+            destroyedLocal: [],
+            destroyedRemote: []
+        });
+    });
+
+    test('the adopted player keeps playing through its queue', async () => {
+        await playAndRestart();
+        await start();
+        const player = fuelink.players.get(GUILD_ID);
+
+        server.emitTrackEnd(GUILD_ID);
+        await wait(100);
+
+        expect(player.current.identifier).toBe('b');
+        expect(server.getPlayer(GUILD_ID).track.info.identifier).toBe('b');
+    });
+
+    test('server players without saved state are destroyed', async () => {
+        await playAndRestart();
+        const session = Array.from(server.sessions.values())[0];
+        session.players.set(OTHER_GUILD_ID, { ...session.players.get(GUILD_ID), guildId: OTHER_GUILD_ID });
+
+        const resumed = new Promise(resolve => server.once('connection', resolve));
+        await start();
+        await resumed;
+        await fuelink.nodes.get('mock')._sessionReconcile;
+
+        expect(fuelink.players.has(GUILD_ID)).toBe(true);
+        expect(fuelink.players.has(OTHER_GUILD_ID)).toBe(false);
+        expect(server.getPlayer(OTHER_GUILD_ID)).toBeNull();
+    });
+
+    test('without autoResume, kept players are destroyed on the server', async () => {
+        await playAndRestart();
+
+        await start({ autoResume: false });
+        await fuelink.nodes.get('mock')._sessionReconcile;
+
+        expect(fuelink.players.has(GUILD_ID)).toBe(false);
+        expect(server.getPlayer(GUILD_ID)).toBeNull();
+    });
+
+    test('saved players whose session is gone are replayed from their position', async () => {
+        await playAndRestart();
+        server.restart();
+
+        await start();
+        const player = fuelink.players.get(GUILD_ID);
+
+        const play = await server.waitForPlayerUpdate(GUILD_ID, { track: { encoded: player.current.encoded } }, 3000);
+        expect(play.body.position).toBeGreaterThanOrEqual(20000);
+        expect(player.queue.tracks.map(track => track.identifier)).toEqual(['b', 'c']);
+    });
+});
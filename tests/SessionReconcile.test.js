@@ -0,0 +1,110 @@
+'use strict';
+
+const { PlayerState } = require('..');
+const { GUILD_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+const OTHER_GUILD_ID = '81384788765712399';
+
+describe('Session reconcile', () => {
+    let env;
+    let node;
+    let player;
+
+    /**
+     * Drop the connection and wait for the node to resume its session
+     * @param {Function} [whileAway] - Changes to make on the server before the node reconnects
+     * @returns {Promise<Object>} The sessionResumed event
+     */
+    async function resume(whileAway = () => { }) {
+        const closed = new Promise(resolve => env.server.once('disconnect', resolve));
+        const resumed = env.fuelink.waitFor('sessionResumed', 3000);
+
+        env.server.disconnect();
+        await closed;
+        await whileAway(env.server.sessions.get(node.sessionId));
+        return resumed;
+    }
+
+    beforeEach(async () => {
+        env = await createEnvironment({}, { resumeKey: 'reconcile', retryDelay: 50 });
+        node = env.fuelink.nodes.get('mock');
+
+        player = await createPlayer(env.fuelink);
+        player.queue.add([createTrack('a'), createTrack('b')]);
+        await player.play();
+        await wait(50);
+    });
+
+    afterEach(async () => {
+        await env.close();
+    });
+
+    test('resumes the same session and syncs players with the server copy', async () => {
+        const sessionId = node.sessionId;
+        await player.setVolume(40);
+
+        const summary = await resume(session => {
+            const remote = session.players.get(GUILD_ID);
+            Object.assign(remote, { paused: true, filters: { ...remote.filters, timescale: { speed: 1.5 } } });
+            remote.state.position = 30000;
+        });
+
+        expect(summary).toEqual({ node, synced: [GUILD_ID], restored: [], destroyedLocal: [], destroyedRemote: [] });
+        expect(node.sessionId).toBe(sessionId);
+        expect(player.paused).toBe(true);
+        expect(player.state).toBe(PlayerState.PAUSED);
+        expect(player.position).toBe(30000);
+        expect(player.filters.toJSON()).toEqual({ volume: 0.4, timescale: { speed: 1.5 } });
+
+        // The volume is applied through the volume filter, so Lavalink's player volume (100) is not it
+        expect(env.server.getPlayer(GUILD_ID).volume).toBe(100);
+        expect(player.volume).toBe(40);
+        expect(player.current.identifier).toBe('a');
+        expect(env.fuelink.players.get(GUILD_ID)).toBe(player);
+    });
+
+    test('the resumed player keeps playing', async () => {
+        await resume();
+
+        env.server.emitTrackEnd(GUILD_ID);
+        await wait(100);
+
+        expect(player.current.identifier).toBe('b');
+        expect(env.server.getPlayer(GUILD_ID).track.info.identifier).toBe('b');
+    });
+
+    test('a local player missing on the server is destroyed', async () => {
+        const destroyed = env.fuelink.waitFor('playerDestroy', 3000);
+
+        const summary = await resume(session => session.players.delete(GUILD_ID));
+
+        expect(summary).toMatchObject({ synced: [], destroyedLocal: [GUILD_ID] });
+        await destroyed;
+        expect(env.fuelink.players.has(GUILD_ID)).toBe(false);
+    });
+
+    test('a server player without a local copy is destroyed on the server', async () => {
+        const summary = await resume(session => {
+            session.players.set(OTHER_GUILD_ID, { ...session.players.get(GUILD_ID), guildId: OTHER_GUILD_ID });
+        });
+
+        expect(summary).toMatchObject({ synced: [GUILD_ID], restored: [], destroyedRemote: [OTHER_GUILD_ID] });
+        expect(env.server.getPlayer(OTHER_GUILD_ID)).toBeNull();
+        expect(env.server.getPlayer(GUILD_ID)).not.toBeNull();
+        expect(env.fuelink.players.has(OTHER_GUILD_ID)).toBe(false);
+    });
+
+    test('a session the server dropped starts over without reconciling', async () => {
+        const sessionId = node.sessionId;
+        const resumed = jest.fn();
+        env.fuelink.on('sessionResumed', resumed);
+        const ready = node.waitFor('nodeReady', 3000);
+
+        env.server.restart();
+
+        await expect(ready).resolves.toMatchObject({ resumed: false });
+        await wait(50);
+        expect(resumed).not.toHaveBeenCalled();
+        expect(node.sessionId).not.toBe(sessionId);
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const { TrackCodec, MockLavalinkServer, ErrorCodes } = require('..');
+const { createEnvironment } = require('./helpers');
+
+// Lavalink's own example track (version 2, from a YouTube source)
+const LAVALINK_TRACK = 'QAAAjQIAJVJpY2sgQXN0bGV5IC0gTmV2ZXIgR29ubmEgR2l2ZSBZb3UgVXAADlJpY2tBc3RsZXlWRVZPAAAAAAADPCAAC2RRdzR3OVdnWGNRAAEAK2h0dHBzOi8vd3d3LnlvdXR1YmUuY29tL3dhdGNoP3Y9ZFF3NHc5V2dYY1EAB3lvdXR1YmUAAAAAAAAAAA==';
+
+const INFO = {
+    identifier: 'abc123',
+    isSeekable: true,
+    author: 'Artist',
+    length: 215000,
+    isStream: false,
+    position: 0,
+    title: 'Song',
+    uri: 'https://example.com/abc123',
+    artworkUrl: 'https://example.com/abc123.jpg',
+    isrc: 'USUM71703861',
+    sourceName: 'http'
+};
+
+describe('TrackCodec', () => {
+    test('decodes a track encoded by Lavalink', () => {
+        const { version, info } = TrackCodec.parse(LAVALINK_TRACK);
+
+        expect(version).toBe(2);
+        expect(info).toEqual({
+            identifier: 'dQw4w9WgXcQ',
+            isSeekable: true,
+            author: 'RickAstleyVEVO',
+            length: 212000,
+            isStream: false,
+            position: 0,
+            title: 'Rick Astley - Never Gonna Give You Up',
+            uri: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            artworkUrl: null,
+            isrc: null,
+            sourceName: 'youtube'
+        });
+    });
+
+    test('re-encodes a Lavalink track to the same string', () => {
+        const { version, info, sourceData } = TrackCodec.parse(LAVALINK_TRACK);
+        expect(TrackCodec.encode(info, { version, sourceData })).toBe(LAVALINK_TRACK);
+    });
+
+    test('round-trips track info', () => {
+        const encoded = TrackCodec.encode(INFO);
+        const parsed = TrackCodec.parse(encoded);
+
+        expect(parsed.version).toBe(3);
+        expect(parsed.info).toEqual(INFO);
+        expect(TrackCodec.encode(parsed.info)).toBe(encoded);
+    });
+
+    test('round-trips streams and positions', () => {
+        const info = { ...INFO, isStream: true, isSeekable: false, length: 0, position: 30000 };
+        expect(TrackCodec.parse(TrackCodec.encode(info)).info).toEqual(info);
+    });
+
+    test('round-trips text that needs modified UTF-8', () => {
+        const info = { ...INFO, title: 'Ünïcödé 音楽 🎵 \u0000 end', author: 'Ｆｕｌｌ ｗｉｄｔｈ' };
+        expect(TrackCodec.parse(TrackCodec.encode(info)).info).toEqual(info);
+    });
+
+    test('older versions drop the fields they do not have', () => {
+        const v1 = TrackCodec.parse(TrackCodec.encode(INFO, { version: 1 }));
+        expect(v1.version).toBe(1);
+        expect(v1.info).toMatchObject({ title: 'Song', uri: null, artworkUrl: null, isrc: null });
+
+        const v2 = TrackCodec.parse(TrackCodec.encode(INFO, { version: 2 }));
+        expect(v2.version).toBe(2);
+        expect(v2.info).toMatchObject({ uri: INFO.uri, artworkUrl: null, isrc: null });
+    });
+
+    test('round-trips version 1 tracks, which have no version byte', () => {
+        const encoded = TrackCodec.encode(INFO, { version: 1 });
+        const buffer = Buffer.from(encoded, 'base64');
+
+        expect(buffer.readInt32BE(0) >>> 30).toBe(0);
+        expect(buffer.readUInt16BE(4)).toBe(INFO.title.length);
+
+        const { version, info, sourceData } = TrackCodec.parse(encoded);
+        expect(version).toBe(1);
+        expect(TrackCodec.encode(info, { version, sourceData })).toBe(encoded);
+    });
+
+    test('keeps source-specific data', () => {
+        const sourceData = Buffer.from([0, 3, 0x6d, 0x70, 0x33]);
+        const encoded = TrackCodec.encode(INFO, { sourceData });
+        const parsed = TrackCodec.parse(encoded);
+
+        expect(parsed.sourceData.equals(sourceData)).toBe(true);
+        expect(parsed.info).toEqual(INFO);
+        expect(TrackCodec.encode(parsed.info, { sourceData: parsed.sourceData })).toBe(encoded);
+    });
+
+    test('decode() returns the /v4/decodetrack shape', () => {
+        const encoded = TrackCodec.encode(INFO);
+        expect(TrackCodec.decode(encoded)).toEqual({ encoded, info: INFO, pluginInfo: {}, userData: {} });
+    });
+
+    test('rejects invalid tracks with TRACK_ERROR', () => {
+        const truncated = Buffer.from(LAVALINK_TRACK, 'base64').subarray(0, 40).toString('base64');
+
+        for (const encoded of ['', 'bm90IGEgdHJhY2s=', truncated]) {
+            expect(() => TrackCodec.parse(encoded)).toThrow(expect.objectContaining({ code: ErrorCodes.TRACK_ERROR }));
+        }
+    });
+
+    test('rejects a header length too short for the fields it holds', () => {
+        const buffer = Buffer.from(TrackCodec.encode(INFO), 'base64');
+        buffer.writeInt32BE((1 << 30) | 20, 0);
+
+        expect(() => TrackCodec.parse(buffer.toString('base64'))).toThrow(expect.objectContaining({
+            code: ErrorCodes.TRACK_ERROR,
+            message: 'Invalid encoded track: Track data is truncated'
+        }));
+    });
+
+    describe('with MockLavalinkServer', () => {
+        let env;
+
+        beforeAll(async () => {
+            env = await createEnvironment();
+        });
+
+        afterAll(async () => {
+            await env.close();
+        });
+
+        test('mock tracks decode to their info', () => {
+            const track = MockLavalinkServer.track({ identifier: 'xyz', title: 'Mock' });
+            expect(TrackCodec.decode(track.encoded)).toEqual(track);
+        });
+
+        test('the node decodes what TrackCodec encodes', async () => {
+            const node = env.fuelink.nodes.get('mock');
+            const encoded = TrackCodec.encode(INFO);
+
+            await expect(node.decodeTrack(encoded)).resolves.toEqual(TrackCodec.decode(encoded));
+            await expect(node.decodeTracks([encoded, LAVALINK_TRACK])).resolves.toEqual([
+                TrackCodec.decode(encoded),
+                TrackCodec.decode(LAVALINK_TRACK)
+            ]);
+        });
+
+        test('fuelink.decodeTrack() returns a Track', async () => {
+            const track = await env.fuelink.decodeTrack(LAVALINK_TRACK);
+            expect(track.identifier).toBe('dQw4w9WgXcQ');
+            expect(track.title).toBe('Rick Astley - Never Gonna Give You Up');
+        });
+    });
+});
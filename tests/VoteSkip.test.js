@@ -0,0 +1,208 @@
+'use strict';
+
+const { GUILD_ID, VOICE_CHANNEL_ID, wait, createTrack, createEnvironment, createPlayer } = require('./helpers');
+
+const LISTENERS = ['u1', 'u2', 'u3', 'u4'];
+
+describe('VoteSkip', () => {
+    let env;
+    let player;
+    let passed;
+
+    beforeAll(async () => {
+        env = await createEnvironment();
+    });
+
+    afterAll(async () => {
+        await env.close();
+    });
+
+    beforeEach(async () => {
+        player = await createPlayer(env.fuelink);
+        passed = [];
+        player.on('voteSkipPassed', ({ track, voters, reason }) => passed.push({ track: track.identifier, voters, reason }));
+
+        for (const userId of LISTENERS) {
+            env.client.setMemberVoice(GUILD_ID, userId, VOICE_CHANNEL_ID);
+        }
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        for (const userId of [...LISTENERS, 'bot', 'deaf', 'elsewhere']) {
+            env.client.setMemberVoice(GUILD_ID, userId, null);
+        }
+        if (env.fuelink.players.has(GUILD_ID)) {
+            await env.fuelink.players.destroy(GUILD_ID);
+        }
+    });
+
+    /**
+     * Queue tracks and start the first one
+     * @param {Object} [requester] - Requester of the first track
+     */
+    async function startPlaying(requester = { id: 'requester' }) {
+        player.queue.add([createTrack('a', {}, requester), createTrack('b'), createTrack('c')]);
+        await player.play();
+        await wait(50);
+    }
+
+    describe('listeners', () => {
+        test('are the users in the channel who are neither bots nor deafened', () => {
+            env.client.setMemberVoice(GUILD_ID, 'bot', VOICE_CHANNEL_ID, { bot: true });
+            env.client.setMemberVoice(GUILD_ID, 'deaf', VOICE_CHANNEL_ID, { selfDeaf: true });
+            env.client.setMemberVoice(GUILD_ID, 'elsewhere', '333333333333333333');
+
+            expect(player.votes.listeners.sort()).toEqual(LISTENERS);
+        });
+
+        test('only listeners may vote', async () => {
+            await startPlaying();
+            env.client.setMemberVoice(GUILD_ID, 'bot', VOICE_CHANNEL_ID, { bot: true });
+
+            await expect(player.voteSkip('bot')).resolves.toMatchObject({ added: false, reason: 'notListening' });
+            await expect(player.voteSkip('stranger')).resolves.toMatchObject({ added: false, reason: 'notListening' });
+        });
+
+        test('nothing to vote on without a track', async () => {
+            await expect(player.voteSkip('u1')).resolves.toMatchObject({ added: false, reason: 'noTrack' });
+        });
+    });
+
+    describe('thresholds', () => {
+        test('half the listeners skip by default', async () => {
+            await startPlaying();
+            expect(player.votes.required).toBe(2);
+
+            await expect(player.voteSkip('u1')).resolves.toEqual({
+                added: true,
+                passed: false,
+                reason: null,
+                votes: 1,
+                required: 2
+            });
+            await expect(player.voteSkip('u1')).resolves.toMatchObject({ added: false, reason: 'alreadyVoted' });
+            await expect(player.voteSkip('u2')).resolves.toEqual({
+                added: true,
+                passed: true,
+                reason: 'threshold',
+                votes: 2,
+                required: 2
+            });
+
+            expect(passed).toEqual([{ track: 'a', voters: ['u1', 'u2'], reason: 'threshold' }]);
+            expect(player.current.identifier).toBe('b');
+            expect(player.votes.size).toBe(0);
+        });
+
+        test('the percentage rounds up', () => {
+            player.votes.setOptions({ percentage: 60 });
+            expect(player.votes.required).toBe(3);
+
+            player.votes.setOptions({ percentage: 1 });
+            expect(player.votes.required).toBe(1);
+        });
+
+        test('with a count too, whichever needs fewer votes applies', () => {
+            player.votes.setOptions({ percentage: 100, count: 3 });
+            expect(player.votes.required).toBe(3);
+
+            player.votes.setOptions({ percentage: 25, count: 3 });
+            expect(player.votes.required).toBe(1);
+        });
+
+        test('never needs more votes than there are listeners', () => {
+            player.votes.setOptions({ percentage: null, count: 10 });
+            expect(player.votes.required).toBe(4);
+        });
+
+        test('the requester skips at once', async () => {
+            env.client.setMemberVoice(GUILD_ID, 'requester', VOICE_CHANNEL_ID);
+            await startPlaying();
+
+            await expect(player.voteSkip('requester')).resolves.toMatchObject({ passed: true, reason: 'requester' });
+            expect(player.current.identifier).toBe('b');
+
+            env.client.setMemberVoice(GUILD_ID, 'requester', null);
+        });
+
+        test('requesterSkip can be turned off', async () => {
+            env.client.setMemberVoice(GUILD_ID, 'requester', VOICE_CHANNEL_ID);
+            player.votes.setOptions({ requesterSkip: false });
+            await startPlaying();
+
+            await expect(player.voteSkip('requester')).resolves.toMatchObject({ passed: false, required: 3 });
+            expect(player.current.identifier).toBe('a');
+
+            env.client.setMemberVoice(GUILD_ID, 'requester', null);
+        });
+    });
+
+    describe('listener changes', () => {
+        test('the vote passes when enough listeners leave', async () => {
+            await startPlaying();
+            await player.voteSkip('u1');
+
+            env.client.setMemberVoice(GUILD_ID, 'u2', null);
+            env.client.setMemberVoice(GUILD_ID, 'u3', '333333333333333333');
+            await wait(50);
+
+            expect(passed).toEqual([{ track: 'a', voters: ['u1'], reason: 'threshold' }]);
+            expect(player.current.identifier).toBe('b');
+        });
+
+        test('a voter who leaves or deafens loses their vote', async () => {
+            player.votes.setOptions({ percentage: 100 });
+            await startPlaying();
+            await player.voteSkip('u1');
+            await player.voteSkip('u2');
+
+            env.client.setMemberVoice(GUILD_ID, 'u1', VOICE_CHANNEL_ID, { selfDeaf: true });
+            env.client.setMemberVoice(GUILD_ID, 'u2', null);
+            await wait(50);
+
+            expect(player.votes.voters).toEqual([]);
+            expect(player.current.identifier).toBe('a');
+        });
+    });
+
+    describe('passing', () => {
+        test('without autoSkip the vote passes once and the track plays on', async () => {
+            player.votes.setOptions({ autoSkip: false });
+            await startPlaying();
+
+            await player.voteSkip('u1');
+            await expect(player.voteSkip('u2')).resolves.toMatchObject({ passed: true });
+            await expect(player.voteSkip('u3')).resolves.toMatchObject({ added: false, reason: 'alreadyPassed' });
+
+            expect(player.current.identifier).toBe('a');
+            expect(passed).toHaveLength(1);
+        });
+
+        test('votes reset when the next track starts', async () => {
+            await startPlaying();
+            await player.voteSkip('u1');
+
+            await player.skip();
+            await wait(50);
+
+            expect(player.votes.size).toBe(0);
+            await expect(player.voteSkip('u1')).resolves.toMatchObject({ added: true, votes: 1 });
+        });
+
+        test('a failed skip reopens the vote', async () => {
+            await startPlaying();
+            jest.spyOn(player, 'skip').mockRejectedValueOnce(new Error('Node went away'));
+
+            await player.voteSkip('u1');
+            await expect(player.voteSkip('u2')).rejects.toThrow('Node went away');
+
+            expect(passed).toEqual([]);
+            expect(player.votes.voters).toEqual(['u1']);
+
+            await expect(player.voteSkip('u2')).resolves.toMatchObject({ passed: true, reason: 'threshold' });
+            expect(passed).toHaveLength(1);
+            expect(player.current.identifier).toBe('b');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * @file Shared setup for the test suites
+ */
+
+const { Fuelink, MockLavalinkServer, FakeDiscordClient, Track, LogLevel } = require('..');
+
+const GUILD_ID = '81384788765712384';
+const VOICE_CHANNEL_ID = '222222222222222222';
+
+/**
+ * Wait a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build a playable track
+ * @param {string} identifier - Track identifier
+ * @param {Object} [info] - Extra track info
+ * @param {Object} [requester] - Requester data
+ * @returns {Track}
+ */
+const createTrack = (identifier, info = {}, requester = null) =>
+    Track.from(MockLavalinkServer.track({ identifier, title: identifier, length: 60000, ...info }), requester);
+
+/**
+ * Start a mock Lavalink server and a Fuelink client on a fake Discord client
+ * @param {Object} [options] - Fuelink options
+ * @param {Object} [nodeOptions] - Extra node options
+ * @param {Object} [serverOptions] - MockLavalinkServer options
+ * @returns {Promise<{ server: MockLavalinkServer, client: FakeDiscordClient, fuelink: Fuelink, close: Function }>}
+ */
+async function createEnvironment(options = {}, nodeOptions = {}, serverOptions = {}) {
+    const server = await new MockLavalinkServer(serverOptions).start();
+    const client = new FakeDiscordClient();
+    client.addGuild(GUILD_ID);
+
+    const fuelink = new Fuelink({
+        nodes: [{ ...server.nodeOptions(), ...nodeOptions }],
+        logger: { level: LogLevel.NONE },
+        ...options
+    });
+    await fuelink.init(client);
+    await fuelink.nodes.waitForReady();
+
+    const close = async () => {
+        await fuelink.destroy();
+        await server.stop();
+    };
+
+    return { server, client, fuelink, close };
+}
+
+/**
+ * Start a mock Lavalink server per node name and a Fuelink client using all of them
+ * @param {string[]} names - Node names
+ * @param {Object} [options] - Fuelink options
+ * @param {Object} [nodeOptions] - Options for every node
+ * @returns {Promise<{ servers: Object<string, MockLavalinkServer>, client: FakeDiscordClient, fuelink: Fuelink, close: Function }>}
+ */
+async function createCluster(names, options = {}, nodeOptions = {}) {
+    const servers = {};
+    for (const name of names) {
+        servers[name] = await new MockLavalinkServer().start();
+    }
+
+    const client = new FakeDiscordClient();
+    client.addGuild(GUILD_ID);
+
+    const fuelink = new Fuelink({
+        nodes: names.map(name => ({ ...servers[name].nodeOptions(name), ...nodeOptions })),
+        logger: { level: LogLevel.NONE },
+        ...options
+    });
+    await fuelink.init(client);
+    await fuelink.nodes.waitForReady();
+
+    const close = async () => {
+        await fuelink.destroy();
+        await Promise.all(Object.values(servers).map(server => server.stop()));
+    };
+
+    return { servers, client, fuelink, close };
+}
+
+/**
+ * Create a player connected to voice
+ * @param {Fuelink} fuelink - Fuelink client
+ * @param {Object} [options] - Player options
+ * @returns {Promise<Object>}
+ */
+function createPlayer(fuelink, options = {}) {
+    return fuelink.players.create({ guildId: GUILD_ID, voiceChannel: VOICE_CHANNEL_ID, ...options });
+}
+
+module.exports = {
+    GUILD_ID,
+    VOICE_CHANNEL_ID,
+    wait,
+    createTrack,
+    createEnvironment,
+    createCluster,
+    createPlayer
+};